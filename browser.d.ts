@@ -10,25 +10,203 @@
 
 export interface UUSIDGeneratorOptions {
     nodeId?: string;
+    /** 'random' (default) or 'explicit' (implied by nodeId); other strategies are server-only */
+    nodeIdStrategy?: 'random' | 'explicit';
+    /** Slot (0-65535) in the low 16 bits of the node ID; leases are server only */
+    nodeSlot?: number;
     clockSeq?: number;
     prefix?: string;
     separator?: string;
     validAfter?: Date | string | number;
     validBefore?: Date | string | number;
     secretKey?: string;
+    /** 1 = time-based (default), 6 = reordered time, 7 = RFC 9562 UUIDv7 */
+    version?: UUIDVersion;
+    /** 'ms' (default) or 'high' — sub-ms time bits from performance.now() */
+    precision?: 'ms' | 'high';
+    /** Backward clock moves: 'increment' (default) clockSeq, 'wait' it out, or 'throw' */
+    clockRegression?: 'increment' | 'wait' | 'throw';
+    /** Longest regression (ms) the 'wait' policy will sit out (default: 1000) */
+    maxClockWait?: number;
+    /** Sequence exhausted within a tick: 'spin' (default), 'borrow' future ticks, or 'throw' */
+    sequenceOverflow?: 'spin' | 'borrow' | 'throw';
+    /** IDs sort after the last one from any monotonic generator of this layout in the page (default: false) */
+    monotonic?: boolean;
+    /** Append a Damm check character (mod-37 symbol for Crockford); validate() then expects it (default: false) */
+    checksum?: boolean;
+    /** Random source returning exactly n bytes (default: crypto.getRandomValues) */
+    random?: (n: number) => Uint8Array | ArrayLike<number>;
+    /** Clock in Unix ms (default: Date.now); fractional ms feed 'high' precision */
+    now?: () => number;
+    /** Timestamp epoch (default: 1582-10-15 for v1/v6, Unix for v7); decode with the same epoch */
+    epoch?: Date | string | number;
+    /** KSUID epoch (default: 2014-05-13T16:53:20Z) */
+    ksuidEpoch?: Date | string | number;
+}
+
+export type UUIDVersion = 1 | 6 | 7;
+
+export interface KsuidParts {
+    /** Unix ms, one-second resolution */
+    timestamp: number;
+    date: Date;
+    /** 128-bit payload as 32 hex digits */
+    payload: string;
+}
+
+export interface Base32Options {
+    /** 'rfc4648' (default) or hyphen-grouped 'crockford' (case-insensitive, I/L = 1, O = 0) */
+    encoding?: 'rfc4648' | 'crockford';
+    /** Append the mod-37 check symbol (Crockford only) */
+    checkSymbol?: boolean;
+}
+
+export type IdFormat = 'standard' | 'custom' | 'compact' | 'urlSafe' | 'hierarchical' | 'base32'
+    | 'crockford' | 'ulid' | 'base64url' | 'base58' | 'base62';
+
+export interface ParsedId {
+    format: IdFormat;
+    prefix: string | null;
+    /** Separator of 'standard'/'custom' input */
+    separator: string | null;
+    hex: string;
+    /** 8-4-4-4-12 with the generator's separator */
+    canonical: string;
+    version: number | null;
+    timestamp: number | null;
+    representations: Record<Exclude<IdFormat, 'custom'>, string>;
+}
+
+export interface ParseOptions {
+    /** Skip detection; required for Base58/Base62, which are never detected */
+    from?: IdFormat;
+}
+
+export interface UUSIDParseOptions extends ParseOptions {
+    generator?: UUSIDGenerator;
+}
+
+/** e.g. `usr_${string}` */
+export type PrefixedId<P extends string, S extends string = '_'> = `${P}${S}${string}`;
+export type IdOf<R, K extends string> = R extends PrefixRegistry<infer T, infer S>
+    ? K extends keyof T ? PrefixedId<T[K], S> : never
+    : never;
+
+export interface PrefixRegistryOptions<S extends string = '_'> extends Omit<UUSIDGeneratorOptions, 'prefix' | 'separator'> {
+    /** Default '_'; no letters or digits */
+    separator?: S;
+    generator?: UUSIDGenerator;
+}
+
+export interface PrefixEntityOptions<P extends string = string> {
+    prefix: P;
+    /** Default 'standard'; 'short' uses shortId() and has no UUID behind it */
+    format?: Exclude<IdFormat, 'custom'> | 'short';
+    /** Only for 'short' (default 12); the other formats have a fixed width */
+    length?: number;
+}
+
+export type RegistryParsedId<T extends Record<string, string>> = {
+    [K in keyof T & string]: { type: K; prefix: T[K]; id: string }
+}[keyof T & string];
+
+export interface ConvertOptions extends ParseOptions {
+    /** Default 'standard' */
+    to?: IdFormat;
+    /** For 'custom' output */
+    separator?: string;
+}
+
+export interface FromBinaryOptions {
+    /** Default: the generator's separator */
+    separator?: string;
+    prefix?: string;
+}
+
+export interface ShortIdOptions {
+    /** Default 12 */
+    length?: number;
+    /** 2 to 256 distinct characters; default Base62 */
+    alphabet?: string;
+}
+
+export interface CollisionOptions extends ShortIdOptions {
+    count: number;
+}
+
+export interface SafeLengthOptions {
+    count: number;
+    /** Default 1e-6 */
+    risk?: number;
+    alphabet?: string;
+}
+
+export interface UlidParts {
+    timestamp: number;
+    date: Date;
+    /** 80-bit random part as 20 hex digits */
+    random: string;
+}
+
+export interface SnowflakeBits {
+    timestamp?: number;
+    datacenter?: number;
+    worker?: number;
+    sequence?: number;
+}
+
+/** Defaults: Twitter epoch, 41/5/5/12 bits, ids 0, bigint output. No prefix. */
+export interface SnowflakeOptions extends Omit<UUSIDGeneratorOptions, 'prefix' | 'version' | 'precision' | 'checksum'> {
+    epoch?: Date | string | number;
+    bits?: SnowflakeBits;
+    /** Shorthand for bits.timestamp; UUSIDGenerator rejects it */
+    timestampBits?: number;
+    datacenterId?: number;
+    workerId?: number;
+    output?: 'bigint' | 'string';
+}
+
+export interface SnowflakeParts {
+    timestamp: number;
+    date: Date;
+    datacenterId: number;
+    workerId: number;
+    sequence: number;
+}
+
+export interface NodeInfo {
+    nodeId: string;
+    strategy: 'random' | 'explicit';
+    slot?: number;
+    multicast: boolean;
 }
 
 export interface ValidationResult {
     isValid: boolean;
     valid: boolean;
     version: string | null;
+    uuidVersion?: number;
     entropy: number;
     reason?: string;
+    bitErrors?: BitError[];
+}
+
+export interface BitError {
+    field: 'version' | 'variant';
+    bits: string;
+    expected: string;
+    actual: string;
+    message: string;
 }
 
 export interface ValidationOptions {
+    /** Enforce RFC 9562 version and variant bits */
     strict?: boolean;
+    /** Version nibble required in strict mode (default: any of 1-8) */
+    version?: number;
     allowPrefix?: boolean;
+    /** Require and verify a check character (default: the generator's checksum option) */
+    checksum?: boolean;
 }
 
 export interface Metrics {
@@ -37,6 +215,7 @@ export interface Metrics {
     peakRate: number;
     currentRate: number;
     collisions: number;
+    clockDrift: number;
     uptime: string;
 }
 
@@ -46,6 +225,7 @@ export interface HealthCheck {
         validation: boolean;
         uniqueness: boolean;
         performance: boolean;
+        ksuid: boolean;
     };
     metrics?: {
         generationTime: string;
@@ -63,7 +243,7 @@ export interface AnalysisResult {
     duplicates: number;
     uniqueIds: number;
     timeRange: { earliest: Date | null; latest: Date | null };
-    formats: { standard: number; prefixed: number; custom: number };
+    formats: { standard: number; prefixed: number; custom: number; ulid: number; base32: number; base64url: number };
     errors: string[];
 }
 
@@ -81,10 +261,15 @@ export interface HierarchyInfo {
     leaf: string;
 }
 
+export type StandardNamespace = 'DNS' | 'URL' | 'OID' | 'X500';
+
 export interface ContentOptions {
+    /** With `rfc`, a UUID or one of 'DNS' | 'URL' | 'OID' | 'X500' */
     namespace?: string;
     /** Web Crypto digest algorithm: 'SHA-256' | 'SHA-384' | 'SHA-512' | 'SHA-1' */
     algorithm?: string;
+    /** RFC 9562 name-based UUID: v3 (MD5), v5 (SHA-1) or v8 (SHA-256); same output as the server entry */
+    rfc?: 'v3' | 'v5' | 'v8';
 }
 
 export declare class UUSIDGenerator {
@@ -93,14 +278,46 @@ export declare class UUSIDGenerator {
     readonly version: string;
     readonly prefix: string | null;
     readonly separator: string;
+    readonly uuidVersion: UUIDVersion;
 
     constructor(options?: UUSIDGeneratorOptions);
 
     generate(): string;
-    base32(): string;
+    /** 16 bytes without an intermediate string; any prefix is dropped */
+    generateBytes(): Uint8Array;
+    /** Immutable UUSID object; keeps the prefix */
+    generateObject(): UUSID;
+    base32(options?: Base32Options): string;
+    fromBase32(text: string, options?: Pick<Base32Options, 'encoding'>): string;
     urlSafe(): string;
+    /** 22-char RFC 4648 §5 Base64url, unpadded */
+    base64url(): string;
+    fromBase64url(text: string): string;
+    /** 22-char Base58 (Bitcoin alphabet) / Base62, zero-padded to sort like the IDs */
+    base58(): string;
+    fromBase58(text: string): string;
+    base62(): string;
+    fromBase62(text: string): string;
+    /** Random, unbiased (rejection sampling); not time-based */
+    shortId(options?: ShortIdOptions): string;
+    toBase58(bytes: Uint8Array): string;
+    toBase62(bytes: Uint8Array): string;
     compact(): string;
+    ulid(): string;
+    /** Factory whose ULIDs stay strictly increasing within a millisecond */
+    monotonicUlid(): () => string;
+    decodeUlid(ulid: string): UlidParts;
+    ulidToUuid(ulid: string): string;
+    uuidToUlid(id: string): string;
+    ksuid(): string;
+    parseKsuid(ksuid: string): KsuidParts;
+    /** Adjacent KSUIDs in sort order, for range scans */
+    ksuidNext(ksuid: string): string;
+    ksuidPrev(ksuid: string): string;
     generateBatch(count: number): string[];
+    /** Yields to the event loop (setTimeout) instead of spinning the main thread on sequence overflow. */
+    generateAsync(): Promise<string>;
+    generateBatchAsync(count: number): Promise<string[]>;
     generateSortedBatch(count: number): string[];
     hierarchical(options?: HierarchicalOptions): string;
     parseHierarchy(id: string, options?: { separator?: string }): HierarchyInfo;
@@ -115,15 +332,96 @@ export declare class UUSIDGenerator {
     extractTimestamp(id: string): number;
     validate(id: string, options?: ValidationOptions): ValidationResult;
     isInTimeRange(id: string, start: Date | string, end: Date | string): boolean;
+    toV6(id: string): string;
+    toV1(id: string): string;
+    parse(id: string, options?: ParseOptions): ParsedId;
+    convert(id: string, options?: ConvertOptions): string;
+    addChecksum(id: string): string;
+    /** Throws on a mismatch */
+    stripChecksum(id: string): string;
+    toBytes(id: string): Uint8Array;
+    fromBytes(bytes: Uint8Array, options?: FromBinaryOptions): string;
+    toBigInt(id: string): bigint;
+    fromBigInt(value: bigint, options?: FromBinaryOptions): string;
     getMetrics(): Metrics;
+    getNodeInfo(): NodeInfo;
     healthCheck(): Promise<HealthCheck>;
     analyze(idArray: string[]): AnalysisResult;
 }
 
+/** Not a UUSIDGenerator: the UUID formatting methods do not apply to its IDs */
+export declare class SnowflakeGenerator {
+    constructor(options?: SnowflakeOptions);
+    readonly epoch: number;
+    readonly bits: Required<SnowflakeBits>;
+    readonly datacenterId: number;
+    readonly workerId: number;
+    readonly output: 'bigint' | 'string';
+    /** bigint, or a decimal string with output: 'string' */
+    generate(): bigint | string;
+    generateBatch(count: number): Array<bigint | string>;
+    generateAsync(): Promise<bigint | string>;
+    generateBatchAsync(count: number): Promise<Array<bigint | string>>;
+    decodeSnowflake(id: bigint | string): SnowflakeParts;
+    validate(id: bigint | string): ValidationResult;
+    extractTimestamp(id: bigint | string): number;
+    isInTimeRange(id: bigint | string, start: Date | string | number, end: Date | string | number): boolean;
+    analyze(idArray: Array<bigint | string>): AnalysisResult;
+    getMetrics(): Metrics;
+}
+
+export declare class ClockRegressionError extends Error {
+    readonly name: 'ClockRegressionError';
+    readonly lastTimestamp: number;
+    readonly currentTimestamp: number;
+    readonly drift: number;
+}
+
+export declare class SequenceOverflowError extends Error {
+    readonly name: 'SequenceOverflowError';
+    readonly timestamp: number;
+}
+
+/** Immutable ID value; fields are decoded on first access with the generator's layout */
+export declare class UUSID {
+    constructor(hex: string, options?: { generator?: UUSIDGenerator; prefix?: string | null; sequence?: number | null });
+    static parse(text: string | UUSID, options?: UUSIDParseOptions): UUSID;
+    readonly hex: string;
+    readonly prefix: string | null;
+    readonly version: number;
+    readonly timestamp: number | null;
+    /** v1/v6 only */
+    readonly node: string | null;
+    /** v1/v6 only, per-tick sequence included */
+    readonly clockSeq: number | null;
+    /** From the bits for v7; for v1/v6 only known from generateObject() */
+    readonly sequence: number | null;
+    /** Same 128 bits; the prefix is not compared. Base58/Base62 strings need options.from */
+    equals(other: UUSID | string, options?: ParseOptions): boolean;
+    /** Time order: -1, 0 or 1 */
+    compare(other: UUSID | string, options?: ParseOptions): -1 | 0 | 1;
+    toString(format?: IdFormat): string;
+    toJSON(): string;
+    [Symbol.toPrimitive](hint: 'number'): number;
+    [Symbol.toPrimitive](hint: 'string' | 'default'): string;
+}
+
 export declare class PrefixedGenerator extends UUSIDGenerator {
     constructor(prefix: string, options?: UUSIDGeneratorOptions);
 }
 
+/** Chain register() so the compiler learns each entity's prefix */
+export declare class PrefixRegistry<T extends Record<string, string> = {}, S extends string = '_'> {
+    constructor(options?: PrefixRegistryOptions<S>);
+    readonly separator: S;
+    readonly generator: UUSIDGenerator;
+    register<K extends string, P extends string>(type: K, options: PrefixEntityOptions<P>): PrefixRegistry<T & { [key in K]: P }, S>;
+    generate<K extends keyof T & string>(type: K): PrefixedId<T[K], S>;
+    /** Throws on unknown prefixes */
+    parse(id: string): RegistryParsedId<T>;
+    is<K extends keyof T & string>(type: K, id: unknown): id is PrefixedId<T[K], S>;
+}
+
 export declare class EncryptedGenerator extends UUSIDGenerator {
     constructor(options: UUSIDGeneratorOptions & { secretKey: string });
     /** Async on browser — encrypts with AES-GCM. */
@@ -132,23 +430,63 @@ export declare class EncryptedGenerator extends UUSIDGenerator {
 
 export declare function uusid(options?: UUSIDGeneratorOptions): string;
 export declare function uusidBatch(count: number, options?: UUSIDGeneratorOptions): string[];
+export declare function uusidV7(options?: UUSIDGeneratorOptions): string;
 export declare function createGenerator(options?: UUSIDGeneratorOptions): UUSIDGenerator;
 export declare function createPrefixedGenerator(prefix: string, options?: UUSIDGeneratorOptions): PrefixedGenerator;
+export declare function createPrefixRegistry<S extends string = '_'>(options?: PrefixRegistryOptions<S>): PrefixRegistry<{}, S>;
 export declare function createEncryptedGenerator(options: UUSIDGeneratorOptions & { secretKey: string }): EncryptedGenerator;
+export declare function createSnowflakeGenerator(options?: SnowflakeOptions): SnowflakeGenerator;
+export declare function decodeSnowflake(id: bigint | string, options?: Pick<SnowflakeOptions, 'epoch' | 'bits'>): SnowflakeParts;
 
 export declare function validate(id: string, options?: ValidationOptions): ValidationResult;
 export declare function extractTimestamp(id: string): number;
 export declare function isInTimeRange(id: string, start: Date | string, end: Date | string): boolean;
+export declare function toV6(id: string): string;
+export declare function toV1(id: string): string;
+export declare function parse(id: string, options?: ParseOptions): ParsedId;
+export declare function convert(id: string, options?: ConvertOptions): string;
+export declare function generateBytes(): Uint8Array;
+export declare function generateObject(): UUSID;
+export declare function addChecksum(id: string): string;
+export declare function stripChecksum(id: string): string;
+export declare function toBytes(id: string): Uint8Array;
+export declare function fromBytes(bytes: Uint8Array, options?: FromBinaryOptions): string;
+export declare function toBigInt(id: string): bigint;
+export declare function fromBigInt(value: bigint, options?: FromBinaryOptions): string;
 export declare function analyze(idArray: string[]): AnalysisResult;
 export declare function getMetrics(): Metrics;
+export declare function getNodeInfo(): NodeInfo;
 export declare function healthCheck(): Promise<HealthCheck>;
 
-export declare function base32(): string;
+export declare function base32(options?: Base32Options): string;
+export declare function fromBase32(text: string, options?: Pick<Base32Options, 'encoding'>): string;
 export declare function urlSafe(): string;
+export declare function base64url(): string;
+export declare function fromBase64url(text: string): string;
+export declare function base58(): string;
+export declare function fromBase58(text: string): string;
+export declare function base62(): string;
+export declare function fromBase62(text: string): string;
+export declare function shortId(options?: ShortIdOptions): string;
 export declare function compact(): string;
+export declare function ulid(): string;
+export declare function monotonicUlid(): () => string;
+export declare function decodeUlid(ulid: string): UlidParts;
+export declare function ulidToUuid(ulid: string): string;
+export declare function uuidToUlid(id: string): string;
+export declare function ksuid(): string;
+export declare function parseKsuid(ksuid: string): KsuidParts;
+export declare function ksuidNext(ksuid: string): string;
+export declare function ksuidPrev(ksuid: string): string;
+/** Birthday bound for `count` IDs */
+export declare function collisionProbability(options: CollisionOptions): number;
+/** Shortest length within `risk` for `count` IDs */
+export declare function safeLength(options: SafeLengthOptions): number;
 export declare function hierarchical(options?: HierarchicalOptions): string;
 export declare function fromContent(content: string, options?: ContentOptions): Promise<string>;
 
+export declare const NAMESPACES: Readonly<Record<StandardNamespace, string>>;
+
 export declare const defaultGenerator: UUSIDGenerator;
 
 declare const _default: typeof uusid;
@@ -2,10 +2,13 @@
  * Browser entry for @code_with_sachin/uusid
  *
  * Uses Web Crypto (`globalThis.crypto`) instead of Node's `crypto`/`os`/`Buffer`.
- * Surface mirrors the server entry, with three differences:
+ * Surface mirrors the server entry, with these differences:
  *   - fromContent / encrypt / decrypt are async (Promise<string>)
  *   - WorkerPool is not exported (no Web Workers port yet)
  *   - getMetrics()/healthCheck() omit memoryUsage (no browser equivalent)
+ *   - the stateFile option is rejected (no filesystem)
+ *   - nodeIdStrategy is 'random' or 'explicit' only (no MAC, hostname or env)
+ *   - nodeSlot must be a number: leaseDir, serveNodeSlots and requestNodeSlot are server only
  *
  * Encrypted IDs use AES-256-GCM here; the server uses AES-256-CBC.
  * Cross-entry encryption interop is NOT supported.
@@ -35,82 +38,713 @@ const hexToBytes = (hex) => {
     return out;
 };
 
+// Web Crypto has no MD5, but RFC 9562 v3 IDs need it
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0);
+
+const md5 = (input) => {
+    const total = (((input.length + 8) >>> 6) + 1) << 6;
+    const padded = new Uint8Array(total);
+    padded.set(input);
+    padded[input.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(total - 8, (input.length << 3) >>> 0, true);
+    view.setUint32(total - 4, Math.floor(input.length / 0x20000000), true);
+
+    const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+    for (let offset = 0; offset < total; offset += 64) {
+        let [a, b, c, d] = state;
+        for (let i = 0; i < 64; i++) {
+            let f, g;
+            if (i < 16) { f = (b & c) | (~b & d); g = i; }
+            else if (i < 32) { f = (d & b) | (~d & c); g = (5 * i + 1) % 16; }
+            else if (i < 48) { f = b ^ c ^ d; g = (3 * i + 5) % 16; }
+            else { f = c ^ (b | ~d); g = (7 * i) % 16; }
+            f = (f + a + MD5_K[i] + view.getUint32(offset + g * 4, true)) >>> 0;
+            const shift = MD5_SHIFTS[(i >> 4) * 4 + (i % 4)];
+            a = d; d = c; c = b;
+            b = (b + ((f << shift) | (f >>> (32 - shift)))) >>> 0;
+        }
+        state[0] = (state[0] + a) >>> 0;
+        state[1] = (state[1] + b) >>> 0;
+        state[2] = (state[2] + c) >>> 0;
+        state[3] = (state[3] + d) >>> 0;
+    }
+
+    const out = new Uint8Array(16);
+    const outView = new DataView(out.buffer);
+    state.forEach((word, i) => outView.setUint32(i * 4, word, true));
+    return out;
+};
+
+const NAMESPACES = Object.freeze({
+    DNS: '6ba7b810-9dad-11d1-80b4-00c04fd430c8',
+    URL: '6ba7b811-9dad-11d1-80b4-00c04fd430c8',
+    OID: '6ba7b812-9dad-11d1-80b4-00c04fd430c8',
+    X500: '6ba7b814-9dad-11d1-80b4-00c04fd430c8'
+});
+
+const NAME_BASED_VERSIONS = {
+    v3: { version: 3, algorithm: 'MD5' },
+    v5: { version: 5, algorithm: 'SHA-1' },
+    v8: { version: 8, algorithm: 'SHA-256' }
+};
+
+const charEntropy = (s) => s.split('').reduce((acc, char, i, arr) => {
+    const probability = arr.filter(c => c === char).length / arr.length;
+    return acc - probability * Math.log2(probability);
+}, 0);
+
+// ULID: 48-bit ms timestamp + 80 random bits, 26 Crockford Base32 chars (first char 0-7)
+const CROCKFORD_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const ULID_PATTERN = /^[0-7][0-9A-HJKMNP-TV-Z]{25}$/i;
+const ULID_MAX_TIME = 2 ** 48 - 1;
+const ULID_MAX_RANDOM = (1n << 80n) - 1n;
+
+const hexToUlid = (hex) => {
+    let value = BigInt(`0x${hex}`);
+    let ulid = '';
+    for (let i = 0; i < 26; i++) {
+        ulid = CROCKFORD_ALPHABET[Number(value & 31n)] + ulid;
+        value >>= 5n;
+    }
+    return ulid;
+};
+
+const ulidToHex = (ulid) => {
+    if (typeof ulid !== 'string' || !ULID_PATTERN.test(ulid)) throw new Error(`Invalid ULID: ${ulid}`);
+    let value = 0n;
+    for (const char of ulid.toUpperCase()) value = (value << 5n) | BigInt(CROCKFORD_ALPHABET.indexOf(char));
+    return value.toString(16).padStart(32, '0');
+};
+
+// KSUID: 32-bit seconds since 2014-05-13T16:53:20Z + 128-bit payload, 27 Base62 chars
+const KSUID_EPOCH = 1400000000000;
+const KSUID_LENGTH = 27;
+const KSUID_MAX = (1n << 160n) - 1n;
+const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+const encodeBigInt = (value, alphabet, length) => {
+    const base = BigInt(alphabet.length);
+    let out = '';
+    for (let i = 0; i < length; i++) {
+        out = alphabet[Number(value % base)] + out;
+        value /= base;
+    }
+    return out;
+};
+
+// RFC 4648 Base32 of the 16 ID bytes, unpadded: the 26th char holds 3 data bits (A, E, I, M, Q, U, Y or 4)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const BASE32_PATTERN = /^[A-Z2-7]{25}[AEIMQUY4]$/;
+const BASE32_ENCODINGS = ['rfc4648', 'crockford'];
+
+// Crockford Base32 of the 128-bit value, hyphen-grouped; optional mod-37 check symbol
+const CROCKFORD_CHECK_SYMBOLS = `${CROCKFORD_ALPHABET}*~$=U`;
+const CROCKFORD_ID_PATTERN = /^[0-7][0-9A-HJKMNP-TV-Z]{25}[0-9A-HJKMNP-Z*~$=]?$/;
+
+// RFC 4648 §5 Base64url of the 16 ID bytes, unpadded: the 22nd char holds 2 data bits (A, Q, g or w)
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]{21}[AQgw]$/;
+
+const decodeBigInt = (text, alphabet) => {
+    const base = BigInt(alphabet.length);
+    let value = 0n;
+    for (const char of text) {
+        const digit = alphabet.indexOf(char);
+        if (digit < 0) throw new Error(`Invalid character '${char}'`);
+        value = value * base + BigInt(digit);
+    }
+    return value;
+};
+
+const parseKsuidValue = (ksuid) => {
+    if (typeof ksuid !== 'string' || ksuid.length !== KSUID_LENGTH) throw new Error(`Invalid KSUID: ${ksuid}`);
+    const value = decodeBigInt(ksuid, BASE62_ALPHABET);
+    if (value > KSUID_MAX) throw new Error(`KSUID out of range: ${ksuid}`);
+    return value;
+};
+
+const base32ToHex = (text) => {
+    const symbols = typeof text === 'string' ? text.toUpperCase() : '';
+    if (!BASE32_PATTERN.test(symbols)) throw new Error(`Invalid Base32 ID: ${text}`);
+    return (decodeBigInt(symbols, BASE32_ALPHABET) >> 2n).toString(16).padStart(32, '0');
+};
+
+// Hyphens and case are ignored; I/L read as 1, O as 0
+const normalizeCrockford = (text) => text.replace(/-/g, '').toUpperCase().replace(/[IL]/g, '1').replace(/O/g, '0');
+
+const hexToCrockford = (hex, checkSymbol = false) => {
+    const value = BigInt(`0x${hex}`);
+    const symbols = encodeBigInt(value, CROCKFORD_ALPHABET, 26) + (checkSymbol ? CROCKFORD_CHECK_SYMBOLS[Number(value % 37n)] : '');
+    return symbols.match(/^(.{6})(.{5})(.{5})(.{5})(.+)$/).slice(1).join('-');
+};
+
+const crockfordToHex = (text) => {
+    const symbols = typeof text === 'string' ? normalizeCrockford(text) : '';
+    if (!CROCKFORD_ID_PATTERN.test(symbols)) throw new Error(`Invalid Crockford Base32 ID: ${text}`);
+    const value = decodeBigInt(symbols.substring(0, 26), CROCKFORD_ALPHABET);
+    if (symbols.length === 27 && CROCKFORD_CHECK_SYMBOLS[Number(value % 37n)] !== symbols[26]) {
+        throw new Error(`Check symbol mismatch: ${text}`);
+    }
+    return value.toString(16).padStart(32, '0');
+};
+
+const hexToBase64url = (hex) => encodeBigInt(BigInt(`0x${hex}`) << 4n, BASE64URL_ALPHABET, 22);
+
+const base64urlToHex = (text) => {
+    if (typeof text !== 'string' || !BASE64URL_PATTERN.test(text)) throw new Error(`Invalid Base64url ID: ${text}`);
+    return (decodeBigInt(text, BASE64URL_ALPHABET) >> 4n).toString(16).padStart(32, '0');
+};
+
+// Base58 (Bitcoin alphabet) and Base62 of the 128-bit value, zero-padded to 22 chars so they sort like the IDs
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const ID_MAX = (1n << 128n) - 1n;
+
+const encodeBytes = (bytes, alphabet) => {
+    const length = Math.ceil(bytes.length * 8 / Math.log2(alphabet.length));
+    return encodeBigInt(BigInt(`0x${bytesToHex(bytes) || '0'}`), alphabet, length);
+};
+
+const baseNToHex = (text, alphabet, name) => {
+    if (typeof text !== 'string' || text.length !== 22) throw new Error(`Invalid ${name} ID: ${text}`);
+    const value = decodeBigInt(text, alphabet);
+    if (value > ID_MAX) throw new Error(`${name} ID out of range: ${text}`);
+    return value.toString(16).padStart(32, '0');
+};
+
+// Formats parse()/convert() understand; 'custom' is 8-4-4-4-12 with a non-hyphen separator
+const ID_FORMATS = ['standard', 'custom', 'compact', 'urlSafe', 'hierarchical', 'base32', 'crockford', 'ulid', 'base64url', 'base58', 'base62'];
+const DELIMITED_PATTERN = /^([0-9a-f]{8})([^0-9a-z]+)([0-9a-f]{4})\2([0-9a-f]{4})\2([0-9a-f]{4})\2([0-9a-f]{12})$/i;
+const PREFIX_PATTERN = /^([a-z][a-z0-9]*)([_:.-])(.+)$/i;
+
+const hasRfcBits = (hex) => /^.{12}[1-8].{3}[89ab]/.test(hex);
+
+// Damm check character over GF(16) (hex) or GF(32) (Base32): interim * digit = 2 * interim + digit
+// is totally anti-symmetric, so any single typo or adjacent swap changes it
+const HEX_ALPHABET = '0123456789abcdef';
+const CHECK_POLYNOMIALS = { 16: 0x13, 32: 0x25 };
+
+const gfDouble = (x, size) => ((x << 1) & size ? (x << 1) ^ CHECK_POLYNOMIALS[size] : x << 1);
+
+const checkCharacter = (digits, alphabet) => {
+    let interim = 0;
+    for (const char of digits) interim = gfDouble(interim, alphabet.length) ^ alphabet.indexOf(char);
+    return alphabet[gfDouble(interim, alphabet.length)];
+};
+
 const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
+// Base62, 12 characters (about 71 random bits)
+const SHORT_ID_ALPHABET = BASE62_ALPHABET;
+const SHORT_ID_LENGTH = 12;
+
+const alphabetSymbols = (alphabet) => {
+    const symbols = typeof alphabet === 'string' ? Array.from(alphabet) : [];
+    if (symbols.length < 2 || symbols.length > 256 || new Set(symbols).size !== symbols.length) {
+        throw new Error('Alphabet must have 2 to 256 distinct characters');
+    }
+    return symbols;
+};
+
+const checkShortIdLength = (length) => {
+    if (!Number.isInteger(length) || length < 1) throw new Error(`Invalid length: ${length} (must be a positive integer)`);
+};
+
+const checkCount = (count) => {
+    if (typeof count !== 'number' || !(count >= 0) || count === Infinity) {
+        throw new Error(`Invalid count: ${count} (must be a non-negative number)`);
+    }
+};
+
+// Birthday bound; expm1 keeps tiny probabilities from rounding to zero
+const collisionProbability = (options = {}) => {
+    const { length = SHORT_ID_LENGTH, alphabet = SHORT_ID_ALPHABET, count } = options;
+    const size = alphabetSymbols(alphabet).length;
+    checkShortIdLength(length);
+    checkCount(count);
+    const pairs = Math.max(0, count * (count - 1) / 2);
+    return -Math.expm1(-pairs / Math.pow(size, length));
+};
+
+const safeLength = (options = {}) => {
+    const { count, risk = 1e-6, alphabet = SHORT_ID_ALPHABET } = options;
+    const size = alphabetSymbols(alphabet).length;
+    checkCount(count);
+    if (typeof risk !== 'number' || !(risk > 0 && risk < 1)) throw new Error(`Invalid risk: ${risk} (must be between 0 and 1)`);
+    const pairs = Math.max(0, count * (count - 1) / 2);
+    let length = Math.max(1, Math.ceil(Math.log(pairs / -Math.log1p(-risk)) / Math.log(size)));
+    while (length > 1 && collisionProbability({ length: length - 1, alphabet, count }) <= risk) length--;
+    while (collisionProbability({ length, alphabet, count }) > risk) length++;
+    return length;
+};
+
 const UUID_EPOCH = new Date('1582-10-15').getTime();
+// Widest timestamp each layout holds: 60-bit 100-ns ticks (v1/v6), 48-bit ms (v7)
+const TIMESTAMP_FIELD_BITS = { 1: 60, 6: 60, 7: 48 };
+
+const SUPPORTED_VERSIONS = [1, 6, 7];
+
+// Sequence shares the 14-bit clock-seq field; wider values would hit the variant bits
+const MAX_SEQUENCE = 0x3fff;
+
+const PRECISIONS = ['ms', 'high'];
+const HR_RESYNC_MS = 1000;
+const CLOCK_REGRESSION_POLICIES = ['increment', 'wait', 'throw'];
+const SEQUENCE_OVERFLOW_POLICIES = ['spin', 'borrow', 'throw'];
+
+// A node slot replaces the low 16 bits of the node ID
+const NODE_SLOT_BITS = 16;
+const NODE_SLOT_COUNT = 2 ** NODE_SLOT_BITS;
+
+// Process-wide sequence state per layout, node ID and clock sequence, shared by all instances
+const sequenceRegistry = new Map();
+const SEQUENCE_FIELDS = ['lastTimestamp', 'lastSubMs', 'sequenceCounter', 'sequenceHighWater', 'borrowedFrom'];
+// When the registry gets large, drop idle entries whose ticks are past (not those held ahead of
+// the clock). The next scan waits until it has doubled, so busy bursts cost amortised O(1) per insert
+const SEQUENCE_REGISTRY_LIMIT = 1024;
+const SEQUENCE_IDLE_MS = 1000;
+let sequencePruneAt = SEQUENCE_REGISTRY_LIMIT;
+
+const newSequenceState = () => ({ lastTimestamp: 0, lastSubMs: 0, sequenceCounter: 0, sequenceHighWater: 0, borrowedFrom: null, touchedAt: 0 });
+
+const sequenceStateFor = (key) => {
+    let state = sequenceRegistry.get(key);
+    if (!state) {
+        if (sequenceRegistry.size >= sequencePruneAt) {
+            const idleBefore = Date.now() - SEQUENCE_IDLE_MS;
+            for (const [staleKey, entry] of sequenceRegistry) {
+                if (entry.touchedAt < idleBefore && entry.lastTimestamp < idleBefore && entry.borrowedFrom === null) {
+                    sequenceRegistry.delete(staleKey);
+                }
+            }
+            sequencePruneAt = Math.max(SEQUENCE_REGISTRY_LIMIT, sequenceRegistry.size * 2);
+        }
+        state = newSequenceState();
+        sequenceRegistry.set(key, state);
+    }
+    return state;
+};
+
+// Last ID issued by a monotonic generator, per layout: { key, tick }
+const lastMonotonic = new Map();
+
+const compareReadings = (a, b) => {
+    if (a.ms !== b.ms) return a.ms < b.ms ? -1 : 1;
+    if (a.subMs !== b.subMs) return a.subMs < b.subMs ? -1 : 1;
+    return 0;
+};
+
+// Macrotask, so rendering, input and timers get a turn (a microtask would not)
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+class ClockRegressionError extends Error {
+    constructor(lastTimestamp, currentTimestamp) {
+        super(`Clock moved backwards by ${lastTimestamp - currentTimestamp}ms`);
+        this.name = 'ClockRegressionError';
+        this.lastTimestamp = lastTimestamp;
+        this.currentTimestamp = currentTimestamp;
+        this.drift = lastTimestamp - currentTimestamp;
+    }
+}
+
+class SequenceOverflowError extends Error {
+    constructor(timestamp, capacity = MAX_SEQUENCE + 1) {
+        super(`Sequence exhausted: more than ${capacity} IDs requested within one clock tick`);
+        this.name = 'SequenceOverflowError';
+        this.timestamp = timestamp;
+    }
+}
 
 class UUSIDGenerator {
     constructor(options = {}) {
-        this.nodeId = options.nodeId || this.generateNodeId();
+        if (options.stateFile) throw new Error('stateFile is only supported on the server entry');
+        if (options.leaseDir || options.nodeSlot === 'lease') {
+            throw new Error('Node slot leases are only supported on the server entry');
+        }
+        for (const hook of ['random', 'now']) {
+            if (options[hook] != null && typeof options[hook] !== 'function') {
+                throw new Error(`options.${hook} must be a function`);
+            }
+        }
+        this.random = options.random || randomBytes;
+        this.now = options.now || Date.now;
+        this.customClock = Boolean(options.now);
+        this.customRandom = Boolean(options.random);
+        this.nodeIdStrategy = options.nodeIdStrategy || (options.nodeId ? 'explicit' : 'random');
+        if (!['random', 'explicit'].includes(this.nodeIdStrategy)) {
+            throw new Error(`Unsupported nodeIdStrategy in the browser: ${options.nodeIdStrategy} (use 'random' or 'explicit')`);
+        }
+        if (options.nodeId && this.nodeIdStrategy !== 'explicit') {
+            throw new Error(`nodeId cannot be combined with nodeIdStrategy '${this.nodeIdStrategy}'`);
+        }
+        this.nodeId = this.generateNodeId(options.nodeId);
+        this.nodeSlot = null;
+        if (options.nodeSlot != null) this.applyNodeSlot(options.nodeSlot);
         this.clockSeq = options.clockSeq ?? this.generateClockSeq();
-        this.lastTimestamp = 0;
-        this.sequenceCounter = 0;
+        this.uuidVersion = options.version || 1;
+        if (!SUPPORTED_VERSIONS.includes(this.uuidVersion)) {
+            throw new Error(`Unsupported UUID version: ${options.version}`);
+        }
+        this.epoch = options.epoch != null ? new Date(options.epoch).getTime() : null;
+        if (Number.isNaN(this.epoch)) throw new Error(`Invalid epoch: ${options.epoch}`);
+        if (options.timestampBits != null) {
+            throw new Error('timestampBits only applies to SnowflakeGenerator; UUID timestamp fields have a fixed width');
+        }
+        this.precision = options.precision || 'ms';
+        if (!PRECISIONS.includes(this.precision)) {
+            throw new Error(`Unsupported precision: ${options.precision} (use 'ms' or 'high')`);
+        }
+        this.subMsUnits = this.uuidVersion === 7 ? 4096 : 10000;
+        this.anchorClock();
+        this.clockRegression = options.clockRegression || 'increment';
+        if (!CLOCK_REGRESSION_POLICIES.includes(this.clockRegression)) {
+            throw new Error(`Unsupported clockRegression policy: ${options.clockRegression}`);
+        }
+        this.maxClockWait = options.maxClockWait ?? 1000;
+        this.sequenceOverflow = options.sequenceOverflow || 'spin';
+        if (!SEQUENCE_OVERFLOW_POLICIES.includes(this.sequenceOverflow)) {
+            throw new Error(`Unsupported sequenceOverflow policy: ${options.sequenceOverflow}`);
+        }
+        // SEQUENCE_FIELDS live in the shared registry entry, bound on first use
+        this.sequenceState = null;
+        // Sequence of the last ID this instance built; unlike sequenceCounter, not shared
+        this.issuedSequence = null;
+        this.monotonic = Boolean(options.monotonic);
+        this.checksum = Boolean(options.checksum);
+        this.maxSequence = MAX_SEQUENCE;
         this.version = '@code_with_sachin/uusid';
         this.prefix = options.prefix || null;
         this.separator = options.separator || '-';
         this.validAfter = options.validAfter ? new Date(options.validAfter).getTime() : null;
         this.validBefore = options.validBefore ? new Date(options.validBefore).getTime() : null;
         this.secretKey = options.secretKey || null;
+        this.ksuidEpoch = options.ksuidEpoch != null ? new Date(options.ksuidEpoch).getTime() : KSUID_EPOCH;
+        if (Number.isNaN(this.ksuidEpoch)) throw new Error(`Invalid KSUID epoch: ${options.ksuidEpoch}`);
         this.metrics = {
             totalGenerated: 0,
-            startTime: Date.now(),
+            startTime: this.now(),
             collisions: 0,
+            clockDrift: 0,
             peakRate: 0,
             currentRate: 0,
             rateSamples: []
         };
     }
 
-    generateNodeId() {
-        const bytes = randomBytes(6);
+    generateNodeId(explicitNodeId) {
+        if (this.nodeIdStrategy === 'explicit') {
+            const nodeId = String(explicitNodeId || '').replace(/[:-]/g, '').toLowerCase();
+            if (!/^[0-9a-f]{12}$/.test(nodeId)) {
+                throw new Error(`Invalid nodeId: ${explicitNodeId} (expected 12 hex digits)`);
+            }
+            return nodeId;
+        }
+        const bytes = this.randomBytes(6);
         bytes[0] |= 0x01;
         return bytesToHex(bytes);
     }
 
+    applyNodeSlot(slot) {
+        if (!Number.isInteger(slot) || slot < 0 || slot >= NODE_SLOT_COUNT) {
+            throw new Error(`nodeSlot must be an integer from 0 to ${NODE_SLOT_COUNT - 1}`);
+        }
+        this.nodeSlot = slot;
+        this.nodeId = `${this.nodeId.substring(0, 12 - NODE_SLOT_BITS / 4)}${slot.toString(16).padStart(NODE_SLOT_BITS / 4, '0')}`;
+    }
+
+    getNodeInfo() {
+        return {
+            nodeId: this.nodeId,
+            strategy: this.nodeIdStrategy,
+            ...(this.nodeSlot !== null && { slot: this.nodeSlot }),
+            multicast: (parseInt(this.nodeId.substring(0, 2), 16) & 0x01) === 1
+        };
+    }
+
     generateClockSeq() {
-        const bytes = randomBytes(2);
+        const bytes = this.randomBytes(2);
         return ((bytes[0] << 8) | bytes[1]) & 0x3fff;
     }
 
+    // options.random may return any byte array; normalise to a Uint8Array copy
+    randomBytes(n) {
+        const bytes = this.random(n);
+        if (!bytes || bytes.length !== n) throw new Error(`options.random(${n}) must return ${n} bytes`);
+        return bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes);
+    }
+
+    // performance.now() is monotonic; anchor it to the wall clock
+    anchorClock() {
+        this.wallAnchor = Math.floor(this.now());
+        this.perfAnchor = globalThis.performance.now();
+    }
+
+    readClock() {
+        if (this.precision !== 'high') return { ms: Math.floor(this.now()), subMs: 0 };
+        // An injected clock is read as-is: its fractional milliseconds are the sub-ms part
+        if (this.customClock) {
+            const now = this.now();
+            const ms = Math.floor(now);
+            return { ms, subMs: Math.floor((now - ms) * this.subMsUnits) };
+        }
+        const elapsed = globalThis.performance.now() - this.perfAnchor;
+        const ms = this.wallAnchor + Math.floor(elapsed);
+        if (Math.abs(ms - this.now()) > HR_RESYNC_MS) {
+            this.anchorClock();
+            return this.readClock();
+        }
+        return { ms, subMs: Math.floor((elapsed - Math.floor(elapsed)) * this.subMsUnits) };
+    }
+
+    // Layout and precision are part of the key: they set the units of lastTimestamp/lastSubMs.
+    // v7 IDs carry no node ID or clock sequence; with an injected RNG or clock, v7 keeps its own
+    // state (null) so the same seed and clock give the same IDs
+    sequenceKey() {
+        const layout = `${this.uuidVersion}:${this.precision}:${this.layoutEpoch(this.uuidVersion)}`;
+        if (this.uuidVersion === 7) return this.customRandom || this.customClock ? null : layout;
+        return `${layout}:${this.nodeId}:${this.clockSeq}`;
+    }
+
+    bindSequence() {
+        const key = this.sequenceKey();
+        this.sequenceState = key === null ? this.sequenceState || newSequenceState() : sequenceStateFor(key);
+        return this.sequenceState;
+    }
+
+    compareClock(clock) {
+        return compareReadings(clock, { ms: this.lastTimestamp, subMs: this.lastSubMs });
+    }
+
+    handleClockRegression(clock) {
+        this.metrics.clockDrift++;
+        if (this.clockRegression === 'throw') throw new ClockRegressionError(this.lastTimestamp, clock.ms);
+        if (this.clockRegression === 'wait') {
+            if (this.lastTimestamp - clock.ms > this.maxClockWait) {
+                throw new ClockRegressionError(this.lastTimestamp, clock.ms);
+            }
+            // An injected clock may never move: bound the wait by real time
+            const deadline = Date.now() + this.maxClockWait;
+            let next = clock;
+            while (this.compareClock(next) < 0) {
+                if (this.customClock && Date.now() > deadline) throw new ClockRegressionError(this.lastTimestamp, next.ms);
+                next = this.readClock(); /* busy wait */
+            }
+            return next;
+        }
+        // v7 has no clock sequence: keep counting from the last timestamp, running ahead as 'borrow' does
+        if (this.uuidVersion === 7) {
+            this.borrowedFrom = clock;
+            return { ms: this.lastTimestamp, subMs: this.lastSubMs };
+        }
+        // RFC 4122 §4.2.1; step past every clock-seq value the folded-in sequence already used
+        this.clockSeq = (this.clockSeq + this.sequenceHighWater + 1) & MAX_SEQUENCE;
+        this.bindSequence();
+        this.sequenceHighWater = 0;
+        return clock;
+    }
+
+    handleSequenceOverflow(clock) {
+        if (this.sequenceOverflow === 'throw') {
+            this.sequenceCounter = this.maxSequence;
+            throw new SequenceOverflowError(this.lastTimestamp, this.maxSequence + 1);
+        }
+        // Already ahead of the clock, a spin would sit out the whole gap; an injected clock may never tick
+        if (this.sequenceOverflow === 'borrow' || this.borrowedFrom || this.customClock) {
+            // Run one tick ahead; readings still behind it count as the same tick, not a regression
+            this.borrowedFrom = clock;
+            return this.precision === 'high' && this.lastSubMs + 1 < this.subMsUnits
+                ? { ms: this.lastTimestamp, subMs: this.lastSubMs + 1 }
+                : { ms: this.lastTimestamp + 1, subMs: 0 };
+        }
+        let next = clock;
+        while (this.compareClock(next) <= 0) next = this.readClock(); /* busy wait */
+        return next;
+    }
+
+    sequenceExhausted() {
+        this.bindSequence();
+        return !this.borrowedFrom && !this.customClock && this.sequenceCounter >= this.maxSequence && this.compareClock(this.readClock()) <= 0;
+    }
+
     getTimestamp() {
-        const now = Date.now();
-        if (now === this.lastTimestamp) {
+        // Re-resolve: the node ID or clock sequence may have changed, or the entry was pruned
+        this.bindSequence().touchedAt = Date.now();
+        let clock = this.readClock();
+        let order = this.compareClock(clock);
+        if (order < 0) {
+            if (this.borrowedFrom && compareReadings(clock, this.borrowedFrom) >= 0) {
+                this.borrowedFrom = clock;
+                clock = { ms: this.lastTimestamp, subMs: this.lastSubMs };
+            } else {
+                clock = this.handleClockRegression(clock);
+            }
+            order = this.compareClock(clock);
+        } else {
+            this.borrowedFrom = null;
+        }
+        if (order === 0) {
             this.sequenceCounter++;
-            if (this.sequenceCounter > 0xffff) {
-                while (Date.now() === this.lastTimestamp) { /* busy wait */ }
+            if (this.sequenceCounter > this.maxSequence) {
+                clock = this.handleSequenceOverflow(clock);
                 this.sequenceCounter = 0;
-                this.lastTimestamp = Date.now();
+                this.lastTimestamp = clock.ms;
+                this.lastSubMs = clock.subMs;
             }
         } else {
             this.sequenceCounter = 0;
-            this.lastTimestamp = now;
+            this.lastTimestamp = clock.ms;
+            this.lastSubMs = clock.subMs;
         }
-        const timestamp = (this.lastTimestamp - UUID_EPOCH) * 10000;
-        return { timestamp, sequence: this.sequenceCounter };
+        this.sequenceHighWater = Math.max(this.sequenceHighWater, this.sequenceCounter);
+        // ms (v7) or 100-ns ticks (v1/v6) since the epoch; ticks exceed 2^53, so keep them as BigInt
+        const elapsedMs = BigInt(this.lastTimestamp - this.layoutEpoch(this.uuidVersion));
+        const timestamp = this.uuidVersion === 7 ? elapsedMs : elapsedMs * 10000n + BigInt(this.lastSubMs);
+        return { timestamp, subMs: this.lastSubMs, sequence: this.sequenceCounter };
     }
 
     generate() {
-        const { timestamp, sequence } = this.getTimestamp();
         this.updateMetrics();
+        const uuid = this.monotonic ? this.nextMonotonicId() : this.nextId();
+        const id = this.prefix ? `${this.prefix}${this.separator}${uuid}` : uuid;
+        return this.checksum ? this.addChecksum(id) : id;
+    }
+
+    // 16 bytes, no intermediate string; any prefix is dropped
+    generateBytes() {
+        this.updateMetrics();
+        return this.monotonic ? this.nextMonotonicId(() => this.nextBytes()) : this.nextBytes();
+    }
+
+    generateObject() {
+        this.issuedSequence = null;
+        const bytes = this.bytesFor('generateObject');
+        return new UUSID(bytesToHex(bytes), { generator: this, prefix: this.prefix, sequence: this.issuedSequence });
+    }
 
-        if (this.validAfter && Date.now() < this.validAfter) {
+    nextId() {
+        return this.formatHex(bytesToHex(this.nextBytes()));
+    }
+
+    nextBytes() {
+        const { timestamp, subMs, sequence } = this.getTimestamp();
+        this.issuedSequence = sequence;
+        this.checkValidityWindow();
+        this.checkTimestampRange(timestamp);
+
+        const bytes = new Uint8Array(16);
+        if (this.uuidVersion === 7) this.writeV7(bytes, Number(timestamp), subMs, sequence);
+        else if (this.uuidVersion === 6) this.writeV6(bytes, timestamp, sequence);
+        else this.writeV1(bytes, timestamp, sequence);
+        return bytes;
+    }
+
+    // Another node ID or clock sequence in the same tick can sort lower than the last monotonic
+    // ID (string or bytes); skipping one tick past it fixes that, as the time bits lead
+    nextMonotonicId(next = () => this.nextId()) {
+        const scope = this.monotonicScope();
+        const last = lastMonotonic.get(scope);
+        let id = next();
+        if (last && !(this.orderKey(id) > last.key)) {
+            this.skipPast(last.tick);
+            id = next();
+        }
+        lastMonotonic.set(scope, { key: this.orderKey(id), tick: { ms: this.lastTimestamp, subMs: this.lastSubMs } });
+        return id;
+    }
+
+    monotonicScope() {
+        return `${this.uuidVersion}:${this.layoutEpoch(this.uuidVersion)}`;
+    }
+
+    // BigInt key of an ID or its bytes; v1 keeps the low time bits first, so compare it in
+    // time-first (v6) field order
+    orderKey(id) {
+        const bytes = typeof id === 'string' ? hexToBytes(id.split(this.separator).join('')) : id;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, 16);
+        const high = view.getBigUint64(0);
+        const low = view.getBigUint64(8);
+        if (this.uuidVersion !== 1) return (high << 64n) | low;
+        const time = ((high & 0xfffn) << 48n) | (((high >> 16n) & 0xffffn) << 32n) | (high >> 32n);
+        return (time << 64n) | low;
+    }
+
+    // Borrow the tick after `tick` (see handleSequenceOverflow)
+    skipPast(tick) {
+        const next = this.precision === 'high' && tick.subMs + 1 < this.subMsUnits
+            ? { ms: tick.ms, subMs: tick.subMs + 1 }
+            : { ms: tick.ms + 1, subMs: 0 };
+        this.borrowedFrom = this.readClock();
+        this.lastTimestamp = next.ms;
+        this.lastSubMs = next.subMs;
+        this.sequenceCounter = -1;
+    }
+
+    layoutEpoch(version) {
+        return this.epoch ?? (version === 7 ? 0 : UUID_EPOCH);
+    }
+
+    // Throw rather than wrap: a wrapped timestamp would silently break ordering
+    checkTimestampRange(timestamp) {
+        const bits = TIMESTAMP_FIELD_BITS[this.uuidVersion];
+        if (timestamp < 0n) {
+            throw new Error(`Current time is before the epoch ${new Date(this.layoutEpoch(this.uuidVersion)).toISOString()}`);
+        }
+        if (timestamp >= 1n << BigInt(bits)) {
+            throw new Error(`Timestamp overflows the ${bits}-bit field; use a later epoch`);
+        }
+    }
+
+    checkValidityWindow() {
+        if (this.validAfter && this.now() < this.validAfter) {
             throw new Error('Generation not allowed: Current time is before valid-after time');
         }
-        if (this.validBefore && Date.now() > this.validBefore) {
+        if (this.validBefore && this.now() > this.validBefore) {
             throw new Error('Generation not allowed: Current time is after valid-before time');
         }
+    }
 
-        const absTimestamp = Math.abs(timestamp);
-        const timeLow = ((absTimestamp & 0xffffffff) >>> 0).toString(16).padStart(8, '0');
-        const timeMid = (Math.floor(absTimestamp / 0x100000000) & 0xffff).toString(16).padStart(4, '0');
-        const timeHigh = ((Math.floor(absTimestamp / 0x1000000000000) & 0x0fff) | 0x1000).toString(16).padStart(4, '0');
-        const clockSeqWithSeq = ((this.clockSeq + sequence) & 0xffff);
-        const clockSeqHigh = ((clockSeqWithSeq >> 8) | 0x80).toString(16).padStart(2, '0');
-        const clockSeqLow = (clockSeqWithSeq & 0xff).toString(16).padStart(2, '0');
-        const node = this.nodeId.padStart(12, '0');
+    writeClockSeqNode(bytes, sequence) {
+        const clockSeqWithSeq = ((this.clockSeq + sequence) & MAX_SEQUENCE);
+        bytes[8] = (clockSeqWithSeq >> 8) | 0x80;
+        bytes[9] = clockSeqWithSeq & 0xff;
+        bytes.set(hexToBytes(this.nodeId.padStart(12, '0')), 10);
+    }
+
+    writeV1(bytes, timestamp, sequence) {
+        const ts = timestamp & 0xfffffffffffffffn;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, 16);
+        view.setUint32(0, Number(ts & 0xffffffffn));
+        view.setUint16(4, Number((ts >> 32n) & 0xffffn));
+        view.setUint16(6, 0x1000 | Number(ts >> 48n));
+        this.writeClockSeqNode(bytes, sequence);
+    }
 
-        const uuid = `${timeLow}${this.separator}${timeMid}${this.separator}${timeHigh}${this.separator}${clockSeqHigh}${clockSeqLow}${this.separator}${node}`;
-        return this.prefix ? `${this.prefix}${this.separator}${uuid}` : uuid;
+    // RFC 9562 UUIDv6: v1 fields with the timestamp most significant first
+    writeV6(bytes, timestamp, sequence) {
+        const ts = timestamp & 0xfffffffffffffffn;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, 16);
+        view.setUint32(0, Number(ts >> 28n));
+        view.setUint16(4, Number((ts >> 12n) & 0xffffn));
+        view.setUint16(6, 0x6000 | Number(ts & 0xfffn));
+        this.writeClockSeqNode(bytes, sequence);
+    }
+
+    // RFC 9562 UUIDv7. In 'high' precision rand_a holds the sub-ms fraction (method 3)
+    // and the sequence moves to rand_b; otherwise the sequence fills rand_a + 2 bits of rand_b
+    writeV7(bytes, elapsedMs, subMs, sequence) {
+        const random = this.randomBytes(8);
+        const highPrecision = this.precision === 'high';
+        const randA = highPrecision ? subMs : sequence >> 2;
+        const randBHigh = highPrecision
+            ? sequence
+            : ((sequence & 0x03) << 12) | ((random[0] & 0x0f) << 8) | random[1];
+        const view = new DataView(bytes.buffer, bytes.byteOffset, 16);
+        view.setUint16(0, Math.floor(elapsedMs / 2 ** 32));
+        view.setUint32(2, elapsedMs % 2 ** 32);
+        view.setUint16(6, 0x7000 | (randA & 0x0fff));
+        view.setUint16(8, 0x8000 | (randBHigh & MAX_SEQUENCE));
+        bytes.set(random.subarray(2), 10);
     }
 
     generateBatch(count) {
@@ -119,15 +753,53 @@ class UUSIDGenerator {
         return batch;
     }
 
+    // Yields to the event loop instead of spinning the main thread when the sequence is exhausted
+    async generateAsync() {
+        while (this.sequenceExhausted()) await yieldToEventLoop();
+        return this.generate();
+    }
+
+    async generateBatchAsync(count) {
+        const batch = [];
+        for (let i = 0; i < count; i++) {
+            while (this.sequenceExhausted()) await yieldToEventLoop();
+            batch.push(await this.generate());
+        }
+        return batch;
+    }
+
     generateSortedBatch(count) {
         return this.generateBatch(count).sort((a, b) => this.extractTimestamp(a) - this.extractTimestamp(b));
     }
 
-    base32() {
-        const uuid = this.generate();
-        const sep = new RegExp(escapeRegex(this.separator), 'g');
-        const hex = uuid.replace(sep, '');
-        return this.toBase32(hexToBytes(hex));
+    // For base32/58/62 and generateObject(): subclasses that override generate() but not
+    // generateBytes() have their own IDs encoded
+    bytesFor(format) {
+        const ownGenerate = this.generate !== UUSIDGenerator.prototype.generate
+            && this.generateBytes === UUSIDGenerator.prototype.generateBytes;
+        if (!ownGenerate) return this.generateBytes();
+        const id = this.generate();
+        return this.toBytes(this.checksum ? this.stripChecksum(id) : id);
+    }
+
+    base32(options = {}) {
+        const encoding = options.encoding || 'rfc4648';
+        if (!BASE32_ENCODINGS.includes(encoding)) {
+            throw new Error(`Unsupported Base32 encoding: ${options.encoding} (use 'rfc4648' or 'crockford')`);
+        }
+        const bytes = this.bytesFor('base32');
+        if (encoding === 'crockford') return hexToCrockford(bytesToHex(bytes), options.checkSymbol ?? this.checksum);
+        const text = this.toBase32(bytes);
+        return this.checksum ? `${text}${checkCharacter(text, BASE32_ALPHABET)}` : text;
+    }
+
+    // Without options.encoding, uppercase 26-char RFC 4648 text is RFC 4648, anything else Crockford
+    fromBase32(text, options = {}) {
+        const encoding = options.encoding || (BASE32_PATTERN.test(text) ? 'rfc4648' : 'crockford');
+        if (!BASE32_ENCODINGS.includes(encoding)) {
+            throw new Error(`Unsupported Base32 encoding: ${options.encoding} (use 'rfc4648' or 'crockford')`);
+        }
+        return this.formatHex(encoding === 'crockford' ? crockfordToHex(text) : base32ToHex(text));
     }
 
     urlSafe() {
@@ -140,6 +812,130 @@ class UUSIDGenerator {
         return this.generate().replace(sep, '');
     }
 
+    // 22 chars, no padding; any prefix is dropped
+    base64url() {
+        return hexToBase64url(bytesToHex(this.bytesFor('base64url')));
+    }
+
+    fromBase64url(text) {
+        return this.formatHex(base64urlToHex(text));
+    }
+
+    // 22 chars, no 0/O/I/l; any prefix is dropped
+    base58() {
+        return this.toBase58(this.bytesFor('base58'));
+    }
+
+    fromBase58(text) {
+        return this.formatHex(baseNToHex(text, BASE58_ALPHABET, 'Base58'));
+    }
+
+    // 22 alphanumeric chars; any prefix is dropped
+    base62() {
+        return this.toBase62(this.bytesFor('base62'));
+    }
+
+    fromBase62(text) {
+        return this.formatHex(baseNToHex(text, BASE62_ALPHABET, 'Base62'));
+    }
+
+    // Rejection sampling: masked bytes past the alphabet are dropped, avoiding modulo bias
+    shortId(options = {}) {
+        const { length = SHORT_ID_LENGTH, alphabet = SHORT_ID_ALPHABET } = options;
+        const symbols = alphabetSymbols(alphabet);
+        checkShortIdLength(length);
+        const mask = (2 << (31 - Math.clz32((symbols.length - 1) | 1))) - 1;
+        const step = Math.ceil(1.6 * mask * length / symbols.length);
+        let id = '';
+        let produced = 0;
+        while (produced < length) {
+            const bytes = this.randomBytes(step);
+            for (let i = 0; i < step && produced < length; i++) {
+                const index = bytes[i] & mask;
+                if (index < symbols.length) {
+                    id += symbols[index];
+                    produced++;
+                }
+            }
+        }
+        return id;
+    }
+
+    ulid() {
+        this.updateMetrics();
+        this.checkValidityWindow();
+        return this.formatUlid(Math.floor(this.now()), BigInt(`0x${bytesToHex(this.randomBytes(10))}`));
+    }
+
+    // Strictly increasing within a millisecond: bump the previous random part instead of redrawing
+    monotonicUlid() {
+        let lastTime = -1;
+        let lastRandom = 0n;
+        return () => {
+            this.updateMetrics();
+            this.checkValidityWindow();
+            const time = Math.floor(this.now());
+            if (time > lastTime) {
+                lastTime = time;
+                lastRandom = BigInt(`0x${bytesToHex(this.randomBytes(10))}`);
+            } else if (lastRandom === ULID_MAX_RANDOM) {
+                throw new Error('ULID random component exhausted within one millisecond');
+            } else {
+                lastRandom++;
+            }
+            return this.formatUlid(lastTime, lastRandom);
+        };
+    }
+
+    formatUlid(time, random) {
+        if (time < 0 || time > ULID_MAX_TIME) throw new Error(`ULID timestamp out of range: ${time}`);
+        return hexToUlid(time.toString(16).padStart(12, '0') + random.toString(16).padStart(20, '0'));
+    }
+
+    decodeUlid(ulid) {
+        const hex = ulidToHex(ulid);
+        const timestamp = parseInt(hex.substring(0, 12), 16);
+        return { timestamp, date: new Date(timestamp), random: hex.substring(12) };
+    }
+
+    ulidToUuid(ulid) {
+        return this.formatHex(ulidToHex(ulid));
+    }
+
+    uuidToUlid(id) {
+        return hexToUlid(this.splitId(id).hex);
+    }
+
+    ksuid() {
+        this.updateMetrics();
+        this.checkValidityWindow();
+        const seconds = Math.floor((this.now() - this.ksuidEpoch) / 1000);
+        if (seconds < 0 || seconds > 0xffffffff) {
+            throw new Error(`KSUID timestamp out of range for epoch ${new Date(this.ksuidEpoch).toISOString()}`);
+        }
+        const value = BigInt(`0x${seconds.toString(16).padStart(8, '0')}${bytesToHex(this.randomBytes(16))}`);
+        return encodeBigInt(value, BASE62_ALPHABET, KSUID_LENGTH);
+    }
+
+    parseKsuid(ksuid) {
+        const hex = parseKsuidValue(ksuid).toString(16).padStart(40, '0');
+        const timestamp = this.ksuidEpoch + parseInt(hex.substring(0, 8), 16) * 1000;
+        return { timestamp, date: new Date(timestamp), payload: hex.substring(8) };
+    }
+
+    // Adjacent KSUIDs in sort order, for exclusive range-scan bounds
+    ksuidNext(ksuid) {
+        const value = parseKsuidValue(ksuid);
+        if (value === KSUID_MAX) throw new Error('KSUID has no successor');
+        return encodeBigInt(value + 1n, BASE62_ALPHABET, KSUID_LENGTH);
+    }
+
+    ksuidPrev(ksuid) {
+        const value = parseKsuidValue(ksuid);
+        if (value === 0n) throw new Error('KSUID has no predecessor');
+        return encodeBigInt(value - 1n, BASE62_ALPHABET, KSUID_LENGTH);
+    }
+
     hierarchical(options = {}) {
         const { levels = 3, separator = '.', parent = null } = options;
         const sep = new RegExp(escapeRegex(this.separator), 'g');
@@ -159,7 +955,8 @@ class UUSIDGenerator {
     }
 
     async fromContent(content, options = {}) {
-        const { namespace = 'default', algorithm = 'SHA-256' } = options;
+        const { namespace = 'default', algorithm = 'SHA-256', rfc = null } = options;
+        if (rfc) return this.nameBased(content, namespace, rfc);
         const data = new TextEncoder().encode(namespace + content);
         const digest = new Uint8Array(await subtle.digest(algorithm, data));
         const hex = bytesToHex(digest);
@@ -172,6 +969,31 @@ class UUSIDGenerator {
         ].join(this.separator);
     }
 
+    async nameBased(content, namespace, rfc) {
+        const layout = NAME_BASED_VERSIONS[rfc];
+        if (!layout) throw new Error(`Unsupported name-based version: ${rfc} (use 'v3', 'v5' or 'v8')`);
+        const namespaceBytes = hexToBytes(this.resolveNamespace(namespace));
+        const name = new TextEncoder().encode(content);
+        const data = new Uint8Array(namespaceBytes.length + name.length);
+        data.set(namespaceBytes);
+        data.set(name, namespaceBytes.length);
+
+        const digest = layout.algorithm === 'MD5' ? md5(data) : new Uint8Array(await subtle.digest(layout.algorithm, data));
+        const bytes = digest.subarray(0, 16);
+        bytes[6] = (bytes[6] & 0x0f) | (layout.version << 4);
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        return this.formatHex(bytesToHex(bytes));
+    }
+
+    resolveNamespace(namespace) {
+        const standard = NAMESPACES[String(namespace).toUpperCase()];
+        const hex = (standard || String(namespace)).replace(/-/g, '').toLowerCase();
+        if (!/^[0-9a-f]{32}$/.test(hex)) {
+            throw new Error('Name-based IDs require a UUID namespace or one of DNS, URL, OID, X500');
+        }
+        return hex;
+    }
+
     async _importKey(usages) {
         const padded = this.secretKey.padEnd(32, '0').substring(0, 32);
         const keyBytes = new TextEncoder().encode(padded);
@@ -181,7 +1003,7 @@ class UUSIDGenerator {
     async encrypt(data) {
         if (!this.secretKey) throw new Error('Secret key required for encryption');
         const key = await this._importKey(['encrypt']);
-        const iv = randomBytes(12);
+        const iv = this.randomBytes(12);
         const ct = new Uint8Array(
             await subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(data))
         );
@@ -200,11 +1022,30 @@ class UUSIDGenerator {
     }
 
     validate(id, options = {}) {
-        const { allowPrefix = true } = options;
+        const { strict = false, allowPrefix = true, version = null, checksum = this.checksum } = options;
         let cleanId = id;
         if (allowPrefix && this.prefix && id.startsWith(`${this.prefix}${this.separator}`)) {
             cleanId = id.substring(this.prefix.length + 1);
         }
+        if (checksum) {
+            try {
+                cleanId = this.stripChecksum(cleanId);
+            } catch (e) {
+                return { valid: false, isValid: false, reason: e.message, version: null, entropy: 0 };
+            }
+        }
+        const encoding = this.idEncoding(cleanId);
+        if (encoding) {
+            try {
+                cleanId = this.decodeIdEncoding(cleanId, encoding);
+            } catch (e) {
+                return { valid: false, isValid: false, reason: e.message, version: null, entropy: 0 };
+            }
+        }
+        // Compact and URL-safe IDs are checked in their dashed form
+        if (/^[0-9a-f]{32}$/i.test(cleanId)) cleanId = this.formatHex(cleanId);
+        // ULIDs carry no RFC bits, so strict mode does not apply to them
+        if (ULID_PATTERN.test(cleanId)) return this.validateUlid(cleanId);
         const escapedSeparator = escapeRegex(this.separator);
         const uuidRegex = new RegExp(
             `^[0-9a-f]{8}${escapedSeparator}[0-9a-f]{4}${escapedSeparator}[0-9a-f]{4}${escapedSeparator}[0-9a-f]{4}${escapedSeparator}[0-9a-f]{12}$`,
@@ -216,11 +1057,15 @@ class UUSIDGenerator {
         }
 
         const hexString = cleanId.replace(new RegExp(escapedSeparator, 'g'), '');
-        const entropy = hexString.split('').reduce((acc, char, i, arr) => {
-            const charCount = arr.filter(c => c === char).length;
-            const probability = charCount / arr.length;
-            return acc - probability * Math.log2(probability);
-        }, 0);
+        const entropy = charEntropy(hexString);
+
+        if (strict) {
+            const bitErrors = this.checkRfcBits(hexString, version);
+            if (bitErrors.length > 0) {
+                const reason = bitErrors.map(e => e.message).join('; ');
+                return { valid: false, isValid: false, reason, version: 'uusid', entropy, bitErrors };
+            }
+        }
 
         try {
             const timestamp = this.extractTimestamp(cleanId);
@@ -234,19 +1079,282 @@ class UUSIDGenerator {
             return { valid: false, isValid: false, reason: 'Invalid timestamp', version: 'uusid', entropy };
         }
 
-        return { valid: true, isValid: true, version: 'uusid', entropy };
+        return { valid: true, isValid: true, version: 'uusid', uuidVersion: parseInt(hexString[12], 16), entropy };
+    }
+
+    checkRfcBits(hexString, expectedVersion = null) {
+        const errors = [];
+        const toBits = (value, width) => value.toString(2).padStart(width, '0');
+        const versionNibble = parseInt(hexString[12], 16);
+        const versionOk = expectedVersion
+            ? versionNibble === expectedVersion
+            : versionNibble >= 1 && versionNibble <= 8;
+        if (!versionOk) {
+            const expected = expectedVersion ? toBits(expectedVersion, 4) : '0001-1000';
+            const actual = toBits(versionNibble, 4);
+            errors.push({ field: 'version', bits: '48-51', expected, actual, message: `Version bits 48-51 are ${actual}, expected ${expected}` });
+        }
+        const variantBits = parseInt(hexString[16], 16) >> 2;
+        if (variantBits !== 0b10) {
+            const actual = toBits(variantBits, 2);
+            errors.push({ field: 'variant', bits: '64-65', expected: '10', actual, message: `Variant bits 64-65 are ${actual}, expected 10` });
+        }
+        return errors;
+    }
+
+    validateUlid(ulid) {
+        const entropy = charEntropy(ulid.toUpperCase());
+        const { timestamp } = this.decodeUlid(ulid);
+        if (this.validAfter && timestamp < this.validAfter) {
+            return { valid: false, isValid: false, reason: 'Before valid range', version: 'ulid', entropy };
+        }
+        if (this.validBefore && timestamp > this.validBefore) {
+            return { valid: false, isValid: false, reason: 'After valid range', version: 'ulid', entropy };
+        }
+        return { valid: true, isValid: true, version: 'ulid', entropy };
+    }
+
+    // 'base32', 'crockford', 'base64url' or null. RFC 4648 text can also spell a ULID, so it only
+    // counts when it decodes to UUID version/variant bits; Crockford IDs carry hyphens
+    idEncoding(id) {
+        if (typeof id !== 'string') return null;
+        if (BASE32_PATTERN.test(id) && hasRfcBits(base32ToHex(id))) return 'base32';
+        if (id.includes('-') && CROCKFORD_ID_PATTERN.test(normalizeCrockford(id))) return 'crockford';
+        if (BASE64URL_PATTERN.test(id)) return 'base64url';
+        return null;
+    }
+
+    decodeIdEncoding(id, encoding) {
+        if (encoding === 'base64url') return this.fromBase64url(id);
+        return this.fromBase32(id, { encoding: encoding === 'base32' ? 'rfc4648' : 'crockford' });
     }
 
     extractTimestamp(id) {
+        const encoding = this.idEncoding(id);
+        if (encoding) id = this.decodeIdEncoding(id, encoding);
+        if (ULID_PATTERN.test(id)) return this.decodeUlid(id).timestamp;
         const escapedSeparator = escapeRegex(this.separator);
         const cleanId = id.replace(new RegExp(escapedSeparator, 'g'), '').replace(/\./g, '');
         if (cleanId.length < 32) throw new Error('Invalid ID format for timestamp extraction');
+        return this.timestampFromHex(cleanId);
+    }
+
+    timestampFromHex(hex) {
+        if (hex[12] === '7') {
+            return this.layoutEpoch(7) + parseInt(hex.substring(0, 12), 16);
+        }
+
+        const version = hex[12] === '6' ? 6 : 1;
+        const timestampHex = version === 6
+            ? hex.substring(0, 12) + hex.substring(13, 16)
+            : hex.substring(13, 16) + hex.substring(8, 12) + hex.substring(0, 8);
+        const timestamp = BigInt(`0x${timestampHex}`);
+        return this.layoutEpoch(version) + Number(timestamp / 10000n) + Number(timestamp % 10000n) / 10000;
+    }
 
-        const timeLow = parseInt(cleanId.substring(0, 8), 16);
-        const timeMid = parseInt(cleanId.substring(8, 12), 16);
-        const timeHigh = parseInt(cleanId.substring(12, 16), 16) & 0x0fff;
-        const timestamp = (timeHigh * 0x1000000000000) + (timeMid * 0x100000000) + timeLow;
-        return UUID_EPOCH + (timestamp / 10000);
+    addChecksum(id) {
+        return `${id}${checkCharacter(this.splitId(id).hex, HEX_ALPHABET)}`;
+    }
+
+    // Hex forms, RFC 4648 Base32, or Crockford with its check symbol
+    stripChecksum(id) {
+        const body = typeof id === 'string' ? id.slice(0, -1) : '';
+        const check = body ? id.slice(-1) : '';
+        if (BASE32_PATTERN.test(body)) {
+            if (checkCharacter(body, BASE32_ALPHABET) !== check) throw new Error(`Checksum mismatch: ${id}`);
+            return body;
+        }
+        if (body.includes('-') && normalizeCrockford(id).length === 27 && CROCKFORD_ID_PATTERN.test(normalizeCrockford(id))) {
+            crockfordToHex(id);
+            return body.replace(/-$/, '');
+        }
+        let hex;
+        try {
+            hex = this.splitId(body).hex;
+        } catch (e) {
+            throw new Error(`Invalid checksummed ID: ${id}`);
+        }
+        if (checkCharacter(hex, HEX_ALPHABET) !== check.toLowerCase()) throw new Error(`Checksum mismatch: ${id}`);
+        return body;
+    }
+
+    splitId(id) {
+        let prefix = null;
+        let body = id;
+        if (this.prefix && id.startsWith(`${this.prefix}${this.separator}`)) {
+            prefix = this.prefix;
+            body = id.substring(this.prefix.length + this.separator.length);
+        }
+        const hex = body.replace(new RegExp(escapeRegex(this.separator), 'g'), '').toLowerCase();
+        if (!/^[0-9a-f]{32}$/.test(hex)) throw new Error('Invalid ID format for conversion');
+        return { prefix, hex };
+    }
+
+    formatHex(hex, prefix = null, separator = this.separator) {
+        const uuid = [
+            hex.substring(0, 8),
+            hex.substring(8, 12),
+            hex.substring(12, 16),
+            hex.substring(16, 20),
+            hex.substring(20, 32)
+        ].join(separator);
+        return prefix ? `${prefix}${separator}${uuid}` : uuid;
+    }
+
+    // Any prefix is dropped
+    toBytes(id) {
+        return hexToBytes(this.splitId(id).hex);
+    }
+
+    fromBytes(bytes, options = {}) {
+        const { separator = this.separator, prefix = null } = options;
+        if (!(bytes instanceof Uint8Array) || bytes.length !== 16) throw new Error('fromBytes() expects 16 bytes');
+        return this.formatHex(bytesToHex(bytes), prefix, separator);
+    }
+
+    toBigInt(id) {
+        return BigInt(`0x${this.splitId(id).hex}`);
+    }
+
+    fromBigInt(value, options = {}) {
+        const { separator = this.separator, prefix = null } = options;
+        if (typeof value !== 'bigint' || value < 0n || value > ID_MAX) {
+            throw new Error(`fromBigInt() expects a BigInt from 0 to 2^128 - 1, got ${value}`);
+        }
+        return this.formatHex(value.toString(16).padStart(32, '0'), prefix, separator);
+    }
+
+    toV6(id) {
+        const { prefix, hex } = this.splitId(id);
+        if (hex[12] === '6') return this.formatHex(hex, prefix);
+        if (hex[12] !== '1') throw new Error(`Cannot convert version ${hex[12]} ID to v6`);
+        const ts = hex.substring(13, 16) + hex.substring(8, 12) + hex.substring(0, 8);
+        return this.formatHex(`${ts.substring(0, 12)}6${ts.substring(12)}${hex.substring(16)}`, prefix);
+    }
+
+    toV1(id) {
+        const { prefix, hex } = this.splitId(id);
+        if (hex[12] === '1') return this.formatHex(hex, prefix);
+        if (hex[12] !== '6') throw new Error(`Cannot convert version ${hex[12]} ID to v1`);
+        const ts = hex.substring(0, 12) + hex.substring(13, 16);
+        return this.formatHex(`${ts.substring(7)}${ts.substring(3, 7)}1${ts.substring(0, 3)}${hex.substring(16)}`, prefix);
+    }
+
+    // Any supported format, optionally prefixed; options.from skips detection
+    parse(id, options = {}) {
+        const { from = null } = options;
+        if (typeof id !== 'string') throw new Error(`Invalid ID: ${id}`);
+        if (from && !ID_FORMATS.includes(from)) throw new Error(`Unsupported ID format: ${from} (use ${ID_FORMATS.join(', ')})`);
+        const attempts = [[null, id]];
+        if (this.prefix && id.startsWith(`${this.prefix}${this.separator}`)) {
+            attempts.push([this.prefix, id.substring(this.prefix.length + this.separator.length)]);
+        }
+        const match = PREFIX_PATTERN.exec(id);
+        if (match) attempts.push([match[1], match[3]]);
+        let failure = null;
+        for (const [prefix, body] of attempts) {
+            try {
+                const format = from || this.detectFormat(body);
+                if (format) return this.describeId(this.decodeFormat(body, format), format, prefix, body);
+            } catch (error) {
+                failure = failure || error;
+            }
+        }
+        throw failure || new Error(`Unrecognised ID format: ${id}`);
+    }
+
+    // Any prefix is dropped
+    convert(id, options = {}) {
+        const { from = null, to = 'standard', separator = this.separator } = options;
+        if (!ID_FORMATS.includes(to)) throw new Error(`Unsupported ID format: ${to} (use ${ID_FORMATS.join(', ')})`);
+        return this.encodeFormat(this.parse(id, { from }).hex, to, separator);
+    }
+
+    // From the characters alone: 22-char IDs are read as Base64url, never as Base58/Base62
+    detectFormat(body) {
+        const delimited = DELIMITED_PATTERN.exec(body);
+        if (delimited) return delimited[2] === '-' ? 'standard' : 'custom';
+        if (/^[0-9a-f]{32}$/i.test(body)) return 'compact';
+        if (/^[0-9a-f]+(\.[0-9a-f]+)+$/i.test(body) && body.replace(/\./g, '').length === 32) return 'hierarchical';
+        const encoding = this.idEncoding(body);
+        if (encoding === 'base32' || encoding === 'crockford') return encoding;
+        if (ULID_PATTERN.test(body)) return 'ulid';
+        if (BASE32_PATTERN.test(body)) return 'base32';
+        if (body.length !== 22) return null;
+        // Base58/Base62 share Base64url's characters and cannot be told apart: they always need { from }
+        if (encoding === 'base64url' && hasRfcBits(this.decodeFormat(body, 'base64url'))) return 'base64url';
+        throw new Error(`Not a Base64url ID: ${body}; pass { from: 'base58' } or { from: 'base62' } for those formats`);
+    }
+
+    decodeFormat(body, format) {
+        switch (format) {
+            case 'standard':
+            case 'custom': {
+                const groups = DELIMITED_PATTERN.exec(body);
+                if (!groups) throw new Error(`Invalid ${format} ID: ${body}`);
+                return [1, 3, 4, 5, 6].map(i => groups[i]).join('').toLowerCase();
+            }
+            case 'compact':
+            case 'urlSafe':
+            case 'hierarchical': {
+                const hex = format === 'hierarchical' ? body.replace(/\./g, '') : body;
+                if (!/^[0-9a-f]{32}$/i.test(hex)) throw new Error(`Invalid ${format} ID: ${body}`);
+                return hex.toLowerCase();
+            }
+            case 'base32': return base32ToHex(body);
+            case 'crockford': return crockfordToHex(body);
+            case 'ulid': return ulidToHex(body);
+            case 'base64url': return base64urlToHex(body);
+            case 'base58': return baseNToHex(body, BASE58_ALPHABET, 'Base58');
+            case 'base62': return baseNToHex(body, BASE62_ALPHABET, 'Base62');
+            default: throw new Error(`Unsupported ID format: ${format} (use ${ID_FORMATS.join(', ')})`);
+        }
+    }
+
+    encodeFormat(hex, format, separator = this.separator) {
+        switch (format) {
+            case 'standard':
+            case 'custom':
+                return [hex.substring(0, 8), hex.substring(8, 12), hex.substring(12, 16), hex.substring(16, 20), hex.substring(20)]
+                    .join(format === 'custom' ? separator : '-');
+            case 'compact':
+            case 'urlSafe': return hex;
+            case 'hierarchical': return [hex.substring(0, 10), hex.substring(10, 20), hex.substring(20)].join('.');
+            case 'base32': return this.toBase32(hexToBytes(hex));
+            case 'crockford': return hexToCrockford(hex);
+            case 'ulid': return hexToUlid(hex);
+            case 'base64url': return hexToBase64url(hex);
+            case 'base58': return this.toBase58(hexToBytes(hex));
+            case 'base62': return this.toBase62(hexToBytes(hex));
+            default: throw new Error(`Unsupported ID format: ${format} (use ${ID_FORMATS.join(', ')})`);
+        }
+    }
+
+    describeId(hex, format, prefix, body) {
+        const canonical = this.formatHex(hex);
+        const version = parseInt(hex[12], 16);
+        let timestamp = null;
+        if (format === 'ulid') {
+            timestamp = this.decodeUlid(body).timestamp;
+        } else if ([1, 6, 7].includes(version)) {
+            try {
+                timestamp = this.extractTimestamp(canonical);
+            } catch (error) {
+                timestamp = null;
+            }
+        }
+        return {
+            format,
+            prefix,
+            separator: format === 'standard' || format === 'custom' ? DELIMITED_PATTERN.exec(body)[2] : null,
+            hex,
+            canonical,
+            version: format === 'ulid' ? null : version,
+            timestamp,
+            representations: Object.fromEntries(ID_FORMATS
+                .filter(name => name !== 'custom')
+                .map(name => [name, this.encodeFormat(hex, name)]))
+        };
     }
 
     isInTimeRange(id, start, end) {
@@ -267,7 +1375,7 @@ class UUSIDGenerator {
             duplicates: 0,
             uniqueIds: 0,
             timeRange: { earliest: null, latest: null },
-            formats: { standard: 0, prefixed: 0, custom: 0 },
+            formats: { standard: 0, prefixed: 0, custom: 0, ulid: 0, base32: 0, base64url: 0 },
             errors: []
         };
         const seen = new Set();
@@ -279,10 +1387,14 @@ class UUSIDGenerator {
             const v = this.validate(id);
             if (v.valid) {
                 analysis.valid++;
-                if (this.prefix && id.startsWith(`${this.prefix}${this.separator}`)) analysis.formats.prefixed++;
+                const plainId = this.checksum ? this.stripChecksum(id) : id;
+                const encoding = this.idEncoding(plainId);
+                if (v.version === 'ulid') analysis.formats.ulid++;
+                else if (encoding) analysis.formats[encoding === 'base64url' ? 'base64url' : 'base32']++;
+                else if (this.prefix && id.startsWith(`${this.prefix}${this.separator}`)) analysis.formats.prefixed++;
                 else if (id.includes(this.separator)) analysis.formats.standard++;
                 else analysis.formats.custom++;
-                try { timestamps.push(this.extractTimestamp(id)); }
+                try { timestamps.push(this.extractTimestamp(plainId)); }
                 catch (e) { analysis.errors.push(`Timestamp extraction failed for ${id}: ${e.message}`); }
             } else {
                 analysis.invalid++;
@@ -313,7 +1425,7 @@ class UUSIDGenerator {
 
     updateMetrics() {
         this.metrics.totalGenerated++;
-        const now = Date.now();
+        const now = this.now();
         this.metrics.rateSamples.push(now);
         const cutoff = now - 10000;
         this.metrics.rateSamples = this.metrics.rateSamples.filter(t => t > cutoff);
@@ -327,7 +1439,7 @@ class UUSIDGenerator {
     }
 
     getMetrics() {
-        const uptime = Date.now() - this.metrics.startTime;
+        const uptime = this.now() - this.metrics.startTime;
         const avgRate = uptime > 0 ? this.metrics.totalGenerated / (uptime / 1000) : 0;
         return {
             totalGenerated: this.metrics.totalGenerated,
@@ -335,26 +1447,30 @@ class UUSIDGenerator {
             averageRate: Math.round(avgRate),
             currentRate: this.metrics.currentRate,
             peakRate: this.metrics.peakRate,
-            collisions: this.metrics.collisions
+            collisions: this.metrics.collisions,
+            clockDrift: this.metrics.clockDrift
         };
     }
 
     async healthCheck() {
-        const start = Date.now();
+        const start = this.now();
         try {
             const testIds = this.generateBatch(100);
             const allValid = testIds.every(id => this.validate(id).valid);
             const noDuplicates = new Set(testIds).size === testIds.length;
-            const generationTime = Date.now() - start;
+            const generationTime = this.now() - start;
             const rate = 100 / Math.max(generationTime / 1000, 0.0001);
+            const ksuids = Array.from({ length: 10 }, () => this.ksuid());
+            const ksuidOk = new Set(ksuids).size === ksuids.length &&
+                ksuids.every(id => Math.abs(this.parseKsuid(id).timestamp - this.now()) < 2000);
             return {
-                healthy: allValid && noDuplicates && rate > 10,
-                checks: { validation: allValid, uniqueness: noDuplicates, performance: rate > 10 },
+                healthy: allValid && noDuplicates && rate > 10 && ksuidOk,
+                checks: { validation: allValid, uniqueness: noDuplicates, performance: rate > 10, ksuid: ksuidOk },
                 metrics: { generationTime: `${generationTime}ms`, rate: `${Math.round(rate)} IDs/sec` },
-                timestamp: new Date().toISOString()
+                timestamp: new Date(this.now()).toISOString()
             };
         } catch (error) {
-            return { healthy: false, error: error.message, timestamp: new Date().toISOString() };
+            return { healthy: false, error: error.message, timestamp: new Date(this.now()).toISOString() };
         }
     }
 
@@ -375,6 +1491,14 @@ class UUSIDGenerator {
         return result;
     }
 
+    toBase58(bytes) {
+        return encodeBytes(bytes, BASE58_ALPHABET);
+    }
+
+    toBase62(bytes) {
+        return encodeBytes(bytes, BASE62_ALPHABET);
+    }
+
     formatDuration(ms) {
         if (ms < 1000) return `${ms}ms`;
         if (ms < 60000) return `${Math.round(ms / 1000)}s`;
@@ -383,12 +1507,103 @@ class UUSIDGenerator {
     }
 }
 
+for (const field of SEQUENCE_FIELDS) {
+    Object.defineProperty(UUSIDGenerator.prototype, field, {
+        get() { return (this.sequenceState || this.bindSequence())[field]; },
+        set(value) { (this.sequenceState || this.bindSequence())[field] = value; }
+    });
+}
+
 class PrefixedGenerator extends UUSIDGenerator {
     constructor(prefix, options = {}) {
         super({ ...options, prefix, separator: '_' });
     }
 }
 
+// Entity types and their ID prefixes, for Stripe-style IDs such as usr_…
+class PrefixRegistry {
+    constructor(options = {}) {
+        const { separator = '_', generator = null, ...generatorOptions } = options;
+        if (typeof separator !== 'string' || !separator || /[a-z0-9]/i.test(separator)) {
+            throw new Error(`Invalid prefix separator: ${separator} (must not contain letters or digits)`);
+        }
+        this.separator = separator;
+        this.generator = generator || new UUSIDGenerator(generatorOptions);
+        this.entities = new Map();
+        this.prefixes = new Map();
+    }
+
+    register(type, options = {}) {
+        const { prefix, format = 'standard', length = null } = options;
+        if (typeof type !== 'string' || !type) throw new Error('Entity type must be a non-empty string');
+        if (typeof prefix !== 'string' || !/^[a-z][a-z0-9]*$/i.test(prefix)) {
+            throw new Error(`Invalid prefix for ${type}: ${prefix} (letters and digits, starting with a letter)`);
+        }
+        if (this.entities.has(type)) throw new Error(`Entity type already registered: ${type}`);
+        if (this.prefixes.has(prefix)) throw new Error(`Prefix ${prefix} is already registered for ${this.prefixes.get(prefix)}`);
+        if (format !== 'short' && !ID_FORMATS.includes(format)) {
+            throw new Error(`Unsupported ID format: ${format} (use ${ID_FORMATS.join(', ')} or short)`);
+        }
+        // Only shortId() bodies have a chosen length; the 128-bit formats have a fixed width
+        let bodyLength;
+        if (format === 'short') {
+            bodyLength = length ?? SHORT_ID_LENGTH;
+            checkShortIdLength(bodyLength);
+            if (this.generator.checksum) throw new Error(`Short IDs have no check character; register ${type} with another format`);
+        } else {
+            bodyLength = this.generator.encodeFormat('0'.repeat(32), format).length;
+            if (length !== null) throw new Error(`${format} IDs are always ${bodyLength} characters; use format 'short' to choose a length`);
+        }
+        this.entities.set(type, { prefix, format, length: bodyLength });
+        this.prefixes.set(prefix, type);
+        return this;
+    }
+
+    entity(type) {
+        const entity = this.entities.get(type);
+        if (!entity) throw new Error(`Unknown entity type: ${type}`);
+        return entity;
+    }
+
+    // Bytes come from the generator (monotonic, subclasses); checksum: true appends addChecksum()'s character
+    generate(type) {
+        const { prefix, format, length } = this.entity(type);
+        if (format === 'short') return `${prefix}${this.separator}${this.generator.shortId({ length })}`;
+        const hex = bytesToHex(this.generator.bytesFor('PrefixRegistry.generate'));
+        const check = this.generator.checksum ? checkCharacter(hex, HEX_ALPHABET) : '';
+        return `${prefix}${this.separator}${this.generator.encodeFormat(hex, format)}${check}`;
+    }
+
+    parse(id) {
+        const text = String(id);
+        const at = text.indexOf(this.separator);
+        const prefix = at > 0 ? text.substring(0, at) : null;
+        const type = this.prefixes.get(prefix);
+        if (!type) throw new Error(`Unknown ID prefix: ${prefix === null ? text : prefix}`);
+        const { format, length } = this.entities.get(type);
+        const checked = this.generator.checksum && format !== 'short';
+        const rest = text.substring(at + this.separator.length);
+        if (rest.length !== length + (checked ? 1 : 0)) throw new Error(`Invalid ${type} ID: ${text}`);
+        // Short IDs carry no UUID, so their id is the body itself
+        if (format === 'short') {
+            if (![...rest].every(char => SHORT_ID_ALPHABET.includes(char))) throw new Error(`Invalid ${type} ID: ${text}`);
+            return { type, prefix, id: rest };
+        }
+        const body = checked ? rest.slice(0, -1) : rest;
+        const hex = this.generator.decodeFormat(body, format);
+        if (checked && checkCharacter(hex, HEX_ALPHABET) !== rest.slice(-1)) throw new Error(`Checksum mismatch: ${text}`);
+        return { type, prefix, id: this.generator.formatHex(hex) };
+    }
+
+    is(type, id) {
+        try {
+            return this.parse(id).type === type;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
 class EncryptedGenerator extends UUSIDGenerator {
     constructor(options = {}) {
         if (!options.secretKey) throw new Error('Secret key required for encrypted generator');
@@ -397,9 +1612,288 @@ class EncryptedGenerator extends UUSIDGenerator {
     async generate() {
         return this.encrypt(super.generate());
     }
+    // The plain bytes must not leak
+    generateBytes() {
+        throw new Error('EncryptedGenerator does not support generateBytes(); use generate()');
+    }
+    bytesFor(format) {
+        throw new Error(`EncryptedGenerator does not support ${format}(); encrypted IDs have no 16-byte form`);
+    }
+}
+
+// Twitter epoch; 41 + 5 + 5 + 12 = 63 bits keeps IDs positive in a signed BIGINT
+const SNOWFLAKE_EPOCH = 1288834974657;
+const SNOWFLAKE_BITS = Object.freeze({ timestamp: 41, datacenter: 5, worker: 5, sequence: 12 });
+const SNOWFLAKE_OUTPUTS = ['bigint', 'string'];
+
+// Private: the UUID formatting methods it inherits cannot handle 64-bit integer IDs
+class SnowflakeEngine extends UUSIDGenerator {
+    constructor(options = {}) {
+        if (options.stateFile || options.prefix || options.checksum) {
+            throw new Error('SnowflakeGenerator does not support stateFile, prefix or checksum');
+        }
+        const { timestampBits, ...engineOptions } = options;
+        super({ ...engineOptions, version: 1, precision: 'ms' });
+        this.epoch = options.epoch != null ? new Date(options.epoch).getTime() : SNOWFLAKE_EPOCH;
+        if (Number.isNaN(this.epoch)) throw new Error(`Invalid Snowflake epoch: ${options.epoch}`);
+        this.bits = { ...SNOWFLAKE_BITS, timestamp: timestampBits ?? SNOWFLAKE_BITS.timestamp, ...options.bits };
+        const totalBits = Object.values(this.bits).reduce((sum, width) => {
+            if (!Number.isInteger(width) || width < 0) throw new Error(`Invalid Snowflake bit width: ${width}`);
+            return sum + width;
+        }, 0);
+        if (totalBits > 63 || this.bits.timestamp < 1 || this.bits.sequence < 1) {
+            throw new Error('Snowflake fields must fit in 63 bits, with at least 1 timestamp and 1 sequence bit');
+        }
+        this.totalBits = totalBits;
+        this.datacenterId = this.checkField('datacenterId', options.datacenterId ?? 0, this.bits.datacenter);
+        this.workerId = this.checkField('workerId', options.workerId ?? 0, this.bits.worker);
+        this.maxSequence = 2 ** this.bits.sequence - 1;
+        this.output = options.output || 'bigint';
+        if (!SNOWFLAKE_OUTPUTS.includes(this.output)) {
+            throw new Error(`Unsupported Snowflake output: ${options.output} (use 'bigint' or 'string')`);
+        }
+    }
+
+    checkField(name, value, width) {
+        if (!Number.isInteger(value) || value < 0 || value >= 2 ** width) {
+            throw new Error(`${name} must be an integer from 0 to ${2 ** width - 1}`);
+        }
+        return value;
+    }
+
+    // No clock sequence to bump: hold the last timestamp, as v7 does
+    handleClockRegression(clock) {
+        if (this.clockRegression !== 'increment') return super.handleClockRegression(clock);
+        this.metrics.clockDrift++;
+        this.borrowedFrom = clock;
+        return { ms: this.lastTimestamp, subMs: 0 };
+    }
+
+    sequenceKey() {
+        return `${this.monotonicScope()}:${this.datacenterId}:${this.workerId}`;
+    }
+
+    monotonicScope() {
+        return `snowflake:${this.epoch}:${Object.values(this.bits).join('/')}`;
+    }
+
+    orderKey(id) {
+        return BigInt(id);
+    }
+
+    generateBytes() {
+        throw new Error('Snowflake IDs are 64-bit integers; use generate()');
+    }
+
+    nextId() {
+        const { sequence } = this.getTimestamp();
+        this.checkValidityWindow();
+        const elapsed = this.lastTimestamp - this.epoch;
+        if (elapsed < 0 || elapsed >= 2 ** this.bits.timestamp) {
+            throw new Error(`Timestamp ${new Date(this.lastTimestamp).toISOString()} is outside the ${this.bits.timestamp}-bit range of the Snowflake epoch`);
+        }
+        const { datacenter, worker, sequence: sequenceBits } = this.bits;
+        const id = (BigInt(elapsed) << BigInt(datacenter + worker + sequenceBits))
+            | (BigInt(this.datacenterId) << BigInt(worker + sequenceBits))
+            | (BigInt(this.workerId) << BigInt(sequenceBits))
+            | BigInt(sequence);
+        return this.output === 'string' ? id.toString() : id;
+    }
+
+    decodeSnowflake(id) {
+        let value;
+        try {
+            value = BigInt(id);
+        } catch {
+            throw new Error(`Invalid Snowflake ID: ${id}`);
+        }
+        if (value < 0n || value >= 1n << BigInt(this.totalBits)) {
+            throw new Error(`Snowflake ID out of range for ${this.totalBits} bits: ${id}`);
+        }
+        const field = (shift, width) => Number((value >> BigInt(shift)) & ((1n << BigInt(width)) - 1n));
+        const { datacenter, worker, sequence } = this.bits;
+        const timestamp = this.epoch + field(datacenter + worker + sequence, this.bits.timestamp);
+        return {
+            timestamp,
+            date: new Date(timestamp),
+            datacenterId: field(worker + sequence, datacenter),
+            workerId: field(sequence, worker),
+            sequence: field(0, sequence)
+        };
+    }
+
+    validate(id) {
+        const invalid = (reason) => ({ valid: false, isValid: false, reason, version: null, entropy: 0 });
+        if (typeof id !== 'bigint' && !(typeof id === 'string' && /^\d+$/.test(id))) return invalid('Invalid format');
+        let decoded;
+        try {
+            decoded = this.decodeSnowflake(id);
+        } catch (error) {
+            return invalid(error.message);
+        }
+        const entropy = charEntropy(String(id));
+        if (this.validAfter && decoded.timestamp < this.validAfter) {
+            return { ...invalid('Before valid range'), version: 'snowflake', entropy };
+        }
+        if (this.validBefore && decoded.timestamp > this.validBefore) {
+            return { ...invalid('After valid range'), version: 'snowflake', entropy };
+        }
+        return { valid: true, isValid: true, version: 'snowflake', entropy };
+    }
+
+    extractTimestamp(id) {
+        return this.decodeSnowflake(id).timestamp;
+    }
+
+    analyze(idArray) {
+        return super.analyze(idArray.map(String));
+    }
+}
+
+// Wraps the engine rather than extending UUSIDGenerator, so it only has methods that work on its IDs
+class SnowflakeGenerator {
+    constructor(options = {}) {
+        Object.defineProperty(this, 'engine', { value: new SnowflakeEngine(options) });
+        const { epoch, bits, datacenterId, workerId, output } = this.engine;
+        Object.assign(this, { epoch, bits, datacenterId, workerId, output });
+    }
+
+    generate() {
+        return this.engine.generate();
+    }
+
+    generateBatch(count) {
+        return this.engine.generateBatch(count);
+    }
+
+    generateAsync() {
+        return this.engine.generateAsync();
+    }
+
+    generateBatchAsync(count) {
+        return this.engine.generateBatchAsync(count);
+    }
+
+    decodeSnowflake(id) {
+        return this.engine.decodeSnowflake(id);
+    }
+
+    validate(id) {
+        return this.engine.validate(id);
+    }
+
+    extractTimestamp(id) {
+        return this.engine.extractTimestamp(id);
+    }
+
+    isInTimeRange(id, start, end) {
+        return this.engine.isInTimeRange(id, start, end);
+    }
+
+    analyze(idArray) {
+        return this.engine.analyze(idArray);
+    }
+
+    getMetrics() {
+        return this.engine.getMetrics();
+    }
+}
+
+// Immutable ID value; fields are decoded on demand by the generator that issued or parsed it
+class UUSID {
+    constructor(hex, options = {}) {
+        if (!/^[0-9a-f]{32}$/.test(hex)) throw new Error(`Invalid UUSID hex: ${hex}`);
+        const { generator = defaultGenerator, prefix = null, sequence = null } = options;
+        this.hex = hex;
+        this.prefix = prefix;
+        Object.defineProperty(this, 'generator', { value: generator });
+        Object.defineProperty(this, 'issuedSequence', { value: sequence });
+        Object.freeze(this);
+    }
+
+    static parse(text, options = {}) {
+        const { generator = defaultGenerator, from = null } = options;
+        const plain = generator.checksum ? generator.stripChecksum(String(text)) : String(text);
+        const { hex, prefix } = generator.parse(plain, { from });
+        return new UUSID(hex, { generator, prefix });
+    }
+
+    get version() {
+        return parseInt(this.hex[12], 16);
+    }
+
+    get timestamp() {
+        return [1, 6, 7].includes(this.version) ? this.generator.timestampFromHex(this.hex) : null;
+    }
+
+    get node() {
+        return this.version === 1 || this.version === 6 ? this.hex.substring(20) : null;
+    }
+
+    get clockSeq() {
+        return this.version === 1 || this.version === 6 ? parseInt(this.hex.substring(16, 20), 16) & MAX_SEQUENCE : null;
+    }
+
+    // v1/v6 fold the sequence into clockSeq, so it is only known from generateObject()
+    get sequence() {
+        if (this.issuedSequence !== null || this.version !== 7) return this.issuedSequence;
+        const randBHigh = parseInt(this.hex.substring(16, 20), 16) & MAX_SEQUENCE;
+        if (this.generator.precision === 'high') return randBHigh;
+        return (parseInt(this.hex.substring(13, 16), 16) << 2) | (randBHigh >> 12);
+    }
+
+    get sortKey() {
+        const hex = this.hex;
+        if (this.version !== 1) return BigInt(`0x${hex}`);
+        return BigInt(`0x${hex.substring(13, 16)}${hex.substring(8, 12)}${hex.substring(0, 8)}${hex.substring(16)}`);
+    }
+
+    // Base58/Base62 strings without { from } throw: they may hold these bits
+    equals(other, options = {}) {
+        let that;
+        try {
+            that = this.coerce(other, options);
+        } catch (error) {
+            if (error.message.includes('pass { from')) throw error;
+            return false;
+        }
+        return this.hex === that.hex;
+    }
+
+    compare(other, options = {}) {
+        const that = this.coerce(other, options);
+        if (this.version !== that.version) {
+            const a = this.timestamp;
+            const b = that.timestamp;
+            if (a !== null && b !== null && a !== b) return a < b ? -1 : 1;
+        }
+        const a = this.sortKey;
+        const b = that.sortKey;
+        return a === b ? 0 : (a < b ? -1 : 1);
+    }
+
+    coerce(other, options = {}) {
+        return other instanceof UUSID ? other : UUSID.parse(other, { generator: this.generator, from: options.from });
+    }
+
+    toString(format) {
+        if (format) return this.generator.encodeFormat(this.hex, format);
+        const id = this.generator.formatHex(this.hex, this.prefix);
+        return this.generator.checksum ? this.generator.addChecksum(id) : id;
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+
+    [Symbol.toPrimitive](hint) {
+        if (hint === 'number') return this.timestamp ?? NaN;
+        return this.toString();
+    }
 }
 
 const defaultGenerator = new UUSIDGenerator();
+const defaultV7Generator = new UUSIDGenerator({ version: 7 });
 
 function uusid(options) {
     return options ? new UUSIDGenerator(options).generate() : defaultGenerator.generate();
@@ -409,19 +1903,56 @@ function uusidBatch(count, options) {
     return options ? new UUSIDGenerator(options).generateBatch(count) : defaultGenerator.generateBatch(count);
 }
 
+function uusidV7(options) {
+    return options ? new UUSIDGenerator({ ...options, version: 7 }).generate() : defaultV7Generator.generate();
+}
+
 const createGenerator = (options) => new UUSIDGenerator(options);
 const createPrefixedGenerator = (prefix, options) => new PrefixedGenerator(prefix, options);
+const createPrefixRegistry = (options) => new PrefixRegistry(options);
 const createEncryptedGenerator = (options) => new EncryptedGenerator(options);
+const createSnowflakeGenerator = (options) => new SnowflakeGenerator(options);
 
 const validate = (id, options) => defaultGenerator.validate(id, options);
 const extractTimestamp = (id) => defaultGenerator.extractTimestamp(id);
 const isInTimeRange = (id, start, end) => defaultGenerator.isInTimeRange(id, start, end);
+const toV6 = (id) => defaultGenerator.toV6(id);
+const toV1 = (id) => defaultGenerator.toV1(id);
 const analyze = (idArray) => defaultGenerator.analyze(idArray);
 const getMetrics = () => defaultGenerator.getMetrics();
+const getNodeInfo = () => defaultGenerator.getNodeInfo();
 const healthCheck = () => defaultGenerator.healthCheck();
+const decodeSnowflake = (id, options) => new SnowflakeGenerator(options).decodeSnowflake(id);
+const ulid = () => defaultGenerator.ulid();
+const monotonicUlid = () => defaultGenerator.monotonicUlid();
+const decodeUlid = (id) => defaultGenerator.decodeUlid(id);
+const ulidToUuid = (id) => defaultGenerator.ulidToUuid(id);
+const uuidToUlid = (id) => defaultGenerator.uuidToUlid(id);
+const ksuid = () => defaultGenerator.ksuid();
+const parseKsuid = (id) => defaultGenerator.parseKsuid(id);
+const ksuidNext = (id) => defaultGenerator.ksuidNext(id);
+const ksuidPrev = (id) => defaultGenerator.ksuidPrev(id);
 
-const base32 = () => defaultGenerator.base32();
+const base32 = (options) => defaultGenerator.base32(options);
+const fromBase32 = (text, options) => defaultGenerator.fromBase32(text, options);
 const urlSafe = () => defaultGenerator.urlSafe();
+const base64url = () => defaultGenerator.base64url();
+const fromBase64url = (text) => defaultGenerator.fromBase64url(text);
+const base58 = () => defaultGenerator.base58();
+const fromBase58 = (text) => defaultGenerator.fromBase58(text);
+const base62 = () => defaultGenerator.base62();
+const fromBase62 = (text) => defaultGenerator.fromBase62(text);
+const shortId = (options) => defaultGenerator.shortId(options);
+const parse = (id, options) => defaultGenerator.parse(id, options);
+const convert = (id, options) => defaultGenerator.convert(id, options);
+const toBytes = (id) => defaultGenerator.toBytes(id);
+const fromBytes = (bytes, options) => defaultGenerator.fromBytes(bytes, options);
+const toBigInt = (id) => defaultGenerator.toBigInt(id);
+const fromBigInt = (value, options) => defaultGenerator.fromBigInt(value, options);
+const generateBytes = () => defaultGenerator.generateBytes();
+const generateObject = () => defaultGenerator.generateObject();
+const addChecksum = (id) => defaultGenerator.addChecksum(id);
+const stripChecksum = (id) => defaultGenerator.stripChecksum(id);
 const compact = () => defaultGenerator.compact();
 const hierarchical = (options) => defaultGenerator.hierarchical(options);
 const fromContent = (content, options) => defaultGenerator.fromContent(content, options);
@@ -429,23 +1960,65 @@ const fromContent = (content, options) => defaultGenerator.fromContent(content,
 export {
     uusid,
     uusidBatch,
+    uusidV7,
     UUSIDGenerator,
     PrefixedGenerator,
+    PrefixRegistry,
     EncryptedGenerator,
+    SnowflakeGenerator,
+    UUSID,
+    ClockRegressionError,
+    SequenceOverflowError,
     createGenerator,
     createPrefixedGenerator,
+    createPrefixRegistry,
     createEncryptedGenerator,
+    createSnowflakeGenerator,
     validate,
     extractTimestamp,
     isInTimeRange,
+    toV6,
+    toV1,
     analyze,
     getMetrics,
+    getNodeInfo,
     healthCheck,
+    decodeSnowflake,
+    ulid,
+    monotonicUlid,
+    decodeUlid,
+    ulidToUuid,
+    uuidToUlid,
+    ksuid,
+    parseKsuid,
+    ksuidNext,
+    ksuidPrev,
     base32,
+    fromBase32,
     urlSafe,
+    base64url,
+    fromBase64url,
+    base58,
+    fromBase58,
+    base62,
+    fromBase62,
+    shortId,
+    collisionProbability,
+    safeLength,
+    parse,
+    convert,
+    toBytes,
+    fromBytes,
+    toBigInt,
+    fromBigInt,
+    generateBytes,
+    generateObject,
+    addChecksum,
+    stripChecksum,
     compact,
     hierarchical,
     fromContent,
+    NAMESPACES,
     defaultGenerator
 };
 
@@ -12,9 +12,13 @@ const {
     healthCheck,
     base32,
     urlSafe,
+    base64url,
     compact,
     hierarchical,
-    fromContent
+    fromContent,
+    parse,
+    convert,
+    stripChecksum
 } = require('./index.js');
 
 const fs = require('fs');
@@ -37,6 +41,7 @@ USAGE:
 COMMANDS:
   generate, gen     Generate one or more UUSIDs
   validate, val     Validate UUSID format
+  convert          Convert an existing ID to another format
   analyze          Analyze batch of UUSIDs from file
   benchmark        Run performance benchmarks
   health           Check generator health
@@ -46,21 +51,33 @@ COMMANDS:
 
 GENERATE OPTIONS:
   --count, -c      Number of IDs to generate (default: 1)
-  --format, -f     Output format: standard|base32|url-safe|compact (default: standard)
+  --format, -f     Output format: standard|base32|crockford|url-safe|base64url|compact (default: standard)
   --prefix, -p     Add prefix to generated IDs
   --separator, -s  Custom separator character (default: -)
   --batch          Generate as batch (faster for multiple IDs)
   --hierarchical   Generate hierarchical ID
   --content        Generate content-based ID from input
+  --checksum       Append a check character that catches typos and swapped characters
   --output, -o     Output to file
 
+CONVERT OPTIONS:
+  --to, -t         Output format: standard|compact|hierarchical|base32|crockford|ulid|base64url|base58|base62
+                   (default: list every format)
+  --from           Input format; required for base58 and base62, which are never detected
+
 EXAMPLES:
   uusid generate                           # Generate single UUSID
   uusid gen -c 10                         # Generate 10 UUSIDs
   uusid gen -c 5 -f base32                # Generate 5 base32 UUSIDs
+  uusid gen -f crockford                  # Generate a phone-friendly Crockford Base32 UUSID
+  uusid gen -f base64url                  # Generate a 22-char URL-safe Base64 UUSID
   uusid gen -p usr -c 3                   # Generate 3 prefixed user IDs
   uusid gen --content "user@example.com"  # Generate content-based ID
   uusid validate 550e8400-e29b-41d4-...   # Validate UUSID
+  uusid gen --checksum                    # Generate an ID with a check character
+  uusid validate <id> --checksum          # Validate it, catching typos
+  uusid convert usr_AVY-OrXT1nZMYe-5kwK9Ww # Show an ID in every format
+  uusid convert 01ARZ3NDEKTSV4RRFFQ69G5FAV -t base62
   uusid analyze ids.txt                   # Analyze IDs from file
   uusid benchmark                         # Run performance test
   uusid health                            # Check system health
@@ -82,6 +99,7 @@ async function generateCommand() {
     let hierarchical_mode = false;
     let content = null;
     let output = null;
+    let checksum = false;
 
     // Parse options
     for (let i = 1; i < args.length; i++) {
@@ -115,6 +133,9 @@ async function generateCommand() {
             case '--hierarchical':
                 hierarchical_mode = true;
                 break;
+            case '--checksum':
+                checksum = true;
+                break;
             case '--content':
                 content = next;
                 i++;
@@ -129,10 +150,11 @@ async function generateCommand() {
 
     let generator;
     if (prefix) {
-        generator = createPrefixedGenerator(prefix, { separator });
+        generator = createPrefixedGenerator(prefix, { separator, checksum });
     } else {
-        generator = createGenerator({ separator });
+        generator = createGenerator({ separator, checksum });
     }
+    const useGenerator = Boolean(prefix || checksum);
 
     let ids = [];
 
@@ -149,7 +171,7 @@ async function generateCommand() {
         }
     } else if (batch && count > 1) {
         // Batch generation
-        if (prefix) {
+        if (useGenerator) {
             for (let i = 0; i < count; i++) {
                 ids.push(generator.generate());
             }
@@ -163,16 +185,24 @@ async function generateCommand() {
 
             switch (format) {
                 case 'base32':
-                    id = prefix ? generator.base32() : base32();
+                    id = useGenerator ? generator.base32() : base32();
+                    break;
+                case 'crockford':
+                    id = useGenerator
+                        ? generator.base32({ encoding: 'crockford', checkSymbol: true })
+                        : base32({ encoding: 'crockford', checkSymbol: true });
                     break;
                 case 'url-safe':
-                    id = prefix ? generator.urlSafe() : urlSafe();
+                    id = useGenerator ? generator.urlSafe() : urlSafe();
+                    break;
+                case 'base64url':
+                    id = useGenerator ? generator.base64url() : base64url();
                     break;
                 case 'compact':
-                    id = prefix ? generator.compact() : compact();
+                    id = useGenerator ? generator.compact() : compact();
                     break;
                 default:
-                    id = prefix ? generator.generate() : uusid();
+                    id = useGenerator ? generator.generate() : uusid();
             }
 
             ids.push(id);
@@ -196,29 +226,58 @@ function validateCommand() {
         process.exit(1);
     }
 
-    const result = validate(id);
+    const checksum = args.includes('--checksum');
+    const result = validate(id, { checksum });
 
     console.log(`UUSID: ${id}`);
     console.log(`Valid: ${result.isValid ? '✅' : '❌'}`);
 
-    if (result.isValid) {
-        console.log(`Version: ${result.version}`);
-        console.log(`Timestamp: ${result.timestamp.toISOString()}`);
-        console.log(`Entropy: ${(result.entropy * 100).toFixed(1)}%`);
-        console.log(`Collision Probability: ${result.collisionProbability.toExponential(2)}`);
-
-        try {
-            const timestamp = extractTimestamp(id);
-            const age = Date.now() - timestamp;
-            console.log(`Age: ${formatDuration(age)}`);
-        } catch (error) {
-            // Skip age calculation if extraction fails
+    if (!result.isValid) {
+        console.log(`Reason: ${result.reason}`);
+        return;
+    }
+
+    console.log(`Version: ${result.uuidVersion ? `${result.version} (v${result.uuidVersion})` : result.version}`);
+    console.log(`Entropy: ${result.entropy.toFixed(2)}`);
+
+    try {
+        const timestamp = extractTimestamp(checksum ? stripChecksum(id) : id);
+        console.log(`Timestamp: ${new Date(timestamp).toISOString()}`);
+        console.log(`Age: ${formatDuration(Date.now() - timestamp)}`);
+    } catch (error) {
+        // Skip the timestamp if extraction fails
+    }
+}
+
+function convertCommand() {
+    const id = args[1];
+    if (!id) {
+        console.error('Error: Please provide an ID to convert');
+        process.exit(1);
+    }
+
+    let from = null;
+    let to = null;
+    for (let i = 2; i < args.length; i++) {
+        if (args[i] === '--to' || args[i] === '-t') {
+            to = args[++i];
+        } else if (args[i] === '--from') {
+            from = args[++i];
         }
     }
 
-    if (result.warnings.length > 0) {
-        console.log('Warnings:');
-        result.warnings.forEach(warning => console.log(`  ⚠️  ${warning}`));
+    if (to) {
+        console.log(convert(id, { from, to }));
+        return;
+    }
+
+    const result = parse(id, { from });
+    console.log(`Input: ${result.format}${result.prefix ? ` (prefix ${result.prefix})` : ''}`);
+    if (result.timestamp !== null) {
+        console.log(`Timestamp: ${new Date(result.timestamp).toISOString()}`);
+    }
+    for (const [format, text] of Object.entries(result.representations)) {
+        console.log(`${format.padEnd(13)}${text}`);
     }
 }
 
@@ -357,6 +416,9 @@ async function main() {
         case 'val':
             validateCommand();
             break;
+        case 'convert':
+            convertCommand();
+            break;
         case 'analyze':
             await analyzeCommand();
             break;
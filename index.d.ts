@@ -7,8 +7,29 @@
  * Generator options for creating custom UUSID generators
  */
 export interface UUSIDGeneratorOptions {
-    /** Custom node ID (6-byte hex string) */
+    /** Custom node ID (12 hex digits, colons or hyphens allowed); implies nodeIdStrategy 'explicit' */
     nodeId?: string;
+    /**
+     * Where the node ID comes from (default: 'random', multicast bit set). 'mac' embeds the
+     * host's MAC address; 'hostname-hash' and 'env' hash a stable name into the node field
+     */
+    nodeIdStrategy?: NodeIdStrategy;
+    /** Environment variable hashed by the 'env' strategy (default: 'HOSTNAME', e.g. a pod name) */
+    nodeIdEnv?: string;
+    /**
+     * Slot number (0-65535) written into the low 16 bits of the node ID, so generators on one
+     * host get distinct node IDs even with the same MAC address. A number comes from
+     * requestNodeSlot() in a cluster worker, for example. 'lease' takes the lowest free slot
+     * from leaseDir (implied when leaseDir is set)
+     */
+    nodeSlot?: number | 'lease';
+    /**
+     * Directory shared by the processes on a host for slot lease files. Leases are renewed
+     * while the generator is in use and released on exit; a crashed process's lease expires
+     */
+    leaseDir?: string;
+    /** Lease lifetime in ms; renewed once half of it has passed (default: 30000) */
+    leaseTtl?: number;
     /** Custom clock sequence (14-bit number) */
     clockSeq?: number;
     /** Prefix for generated IDs */
@@ -21,6 +42,134 @@ export interface UUSIDGeneratorOptions {
     validBefore?: Date | string | number;
     /** Secret key for encryption features */
     secretKey?: string;
+    /** UUID layout: 1 (time-based, default), 6 (reordered time) or 7 (RFC 9562 Unix-ms) */
+    version?: UUIDVersion;
+    /**
+     * Timestamp precision: 'ms' (default, Date.now) or 'high' (process.hrtime anchored
+     * to wall-clock time). 'high' fills the sub-millisecond time bits, so IDs from one
+     * process sort at microsecond granularity and extractTimestamp() returns fractional ms
+     */
+    precision?: 'ms' | 'high';
+    /**
+     * What to do when the system clock moves backwards:
+     * 'increment' (default) bumps clockSeq per RFC 4122, 'wait' spins until the clock
+     * catches up, 'throw' raises a ClockRegressionError
+     */
+    clockRegression?: 'increment' | 'wait' | 'throw';
+    /** Longest regression (ms) the 'wait' policy will sit out before throwing (default: 1000) */
+    maxClockWait?: number;
+    /**
+     * What generate() does when a clock tick's 16384 sequence numbers run out:
+     * 'spin' (default) busy-waits for the next tick, 'borrow' runs ahead on future
+     * ticks, 'throw' raises a SequenceOverflowError. generateAsync() never spins
+     */
+    sequenceOverflow?: 'spin' | 'borrow' | 'throw';
+    /**
+     * Every ID sorts strictly after the last one issued by any monotonic generator of the same
+     * layout and epoch in this process (v1 compared in time-first order). When another node ID
+     * or clock sequence got there first in the same tick, the next tick is borrowed (default: false).
+     * Generators always share sequence state with others of the same nodeId and clockSeq, so
+     * they never duplicate each other's IDs, monotonic or not
+     */
+    monotonic?: boolean;
+    /**
+     * Append a check character to generated IDs (default: false): a Damm check digit over the
+     * 32 hex digits for dashed, compact and prefixed IDs, over the 26 characters for RFC 4648
+     * base32(), and the mod-37 check symbol for Crockford base32(). It catches any single
+     * mistyped character and any swap of two adjacent characters. validate() then expects it
+     */
+    checksum?: boolean;
+    /**
+     * Path of a JSON state file (RFC 4122 stable storage). Node ID and clock sequence are
+     * restored from it, and clockSeq is bumped when the stored timestamp is in the future.
+     * Writes are atomic and guarded by a `<stateFile>.lock` lock file. Server entry only
+     */
+    stateFile?: string;
+    /**
+     * Random source used for node IDs, clock sequences, v7 random bits and encryption IVs
+     * (default: crypto.randomBytes). Must return exactly n bytes, e.g. from an HSM or a seeded PRNG
+     */
+    random?: (n: number) => Uint8Array | ArrayLike<number>;
+    /**
+     * Clock in Unix milliseconds (default: Date.now). Drives timestamps, validAfter/validBefore
+     * and metrics; with precision 'high', fractional milliseconds supply the sub-ms bits
+     */
+    now?: () => number;
+    /**
+     * Custom epoch for the timestamp field (default: 1582-10-15 for v1/v6, Unix for v7).
+     * IDs decode correctly only with the same epoch; extractTimestamp() and isInTimeRange() use it
+     */
+    epoch?: Date | string | number;
+    /** Epoch for KSUID timestamps (default: 2014-05-13T16:53:20Z, the KSUID standard) */
+    ksuidEpoch?: Date | string | number;
+}
+
+/**
+ * UUID layouts supported by the generator
+ */
+export type UUIDVersion = 1 | 6 | 7;
+
+/**
+ * Bit widths of the Snowflake fields (total at most 63)
+ */
+export interface SnowflakeBits {
+    /** Milliseconds since the epoch (default: 41, about 69 years) */
+    timestamp?: number;
+    /** Datacenter ID bits (default: 5) */
+    datacenter?: number;
+    /** Worker ID bits (default: 5) */
+    worker?: number;
+    /** Per-millisecond sequence bits (default: 12) */
+    sequence?: number;
+}
+
+/**
+ * Snowflake generator options (prefix and stateFile are not supported)
+ */
+export interface SnowflakeOptions extends Omit<UUSIDGeneratorOptions, 'prefix' | 'stateFile' | 'version' | 'precision' | 'checksum'> {
+    /** Custom epoch (default: Twitter's 2010-11-04T01:42:54.657Z) */
+    epoch?: Date | string | number;
+    /** Field widths, merged over the defaults */
+    bits?: SnowflakeBits;
+    /** Shorthand for bits.timestamp (UUSIDGenerator has fixed-width timestamp fields and rejects it) */
+    timestampBits?: number;
+    /** Datacenter ID (default: 0) */
+    datacenterId?: number;
+    /** Worker ID (default: 0) */
+    workerId?: number;
+    /** 'bigint' (default) or decimal 'string' */
+    output?: 'bigint' | 'string';
+}
+
+/**
+ * Fields of a decoded Snowflake ID
+ */
+export interface SnowflakeParts {
+    /** Unix milliseconds */
+    timestamp: number;
+    date: Date;
+    datacenterId: number;
+    workerId: number;
+    sequence: number;
+}
+
+export type NodeIdStrategy = 'random' | 'mac' | 'hostname-hash' | 'env' | 'explicit';
+
+/**
+ * Node ID provenance returned by getNodeInfo()
+ */
+export interface NodeInfo {
+    nodeId: string;
+    /** Strategy that produced the node ID ('mac' falls back to 'random' without a usable interface) */
+    strategy: NodeIdStrategy;
+    /** Slot in the low 16 bits of the node ID (nodeSlot or leaseDir) */
+    slot?: number;
+    /** Network interface the MAC address was read from ('mac' strategy) */
+    interface?: string;
+    /** Environment variable that was hashed ('env' strategy) */
+    env?: string;
+    /** True when the multicast bit marks the node ID as not a real IEEE 802 address */
+    multicast: boolean;
 }
 
 /**
@@ -31,6 +180,12 @@ export interface ValidationResult {
     isValid: boolean;
     /** ID format version */
     version: string | null;
+    /** RFC version nibble of the ID (1, 6, 7, ...) */
+    uuidVersion?: number;
+    /** Why validation failed */
+    reason?: string;
+    /** Version/variant bits that failed strict validation */
+    bitErrors?: BitError[];
     /** Extracted timestamp */
     timestamp: Date | null;
     /** Entropy measure (0-1) */
@@ -41,13 +196,34 @@ export interface ValidationResult {
     warnings: string[];
 }
 
+/**
+ * A version or variant field that does not match RFC 9562
+ */
+export interface BitError {
+    /** Field that is wrong */
+    field: 'version' | 'variant';
+    /** Bit positions of the field (0 = most significant bit) */
+    bits: string;
+    /** Expected bit pattern (or range of patterns) */
+    expected: string;
+    /** Bits found in the ID */
+    actual: string;
+    /** Human-readable description */
+    message: string;
+}
+
 /**
  * Validation options
  */
 export interface ValidationOptions {
-    /** Strict validation mode */
+    /** Strict validation mode: enforce RFC 9562 version and variant bits */
     strict?: boolean;
-    /** Verify checksums */
+    /** Version nibble required in strict mode (default: any of 1-8) */
+    version?: number;
+    /**
+     * Require and verify the check character of a checksummed ID (default: the generator's
+     * checksum option). The rest of the ID is then validated as usual
+     */
     checksum?: boolean;
     /** Valid time range */
     timeRange?: {
@@ -70,6 +246,8 @@ export interface Metrics {
     currentRate: number;
     /** Number of collisions detected */
     collisions: number;
+    /** Number of backward clock moves detected */
+    clockDrift: number;
     /** Generator uptime */
     uptime: string;
     /** Memory usage */
@@ -90,6 +268,13 @@ export interface HealthCheck {
     memory: 'normal' | 'high';
     /** Last generated ID */
     lastGenerated: string;
+    /** Individual checks, including KSUID generation */
+    checks?: {
+        validation: boolean;
+        uniqueness: boolean;
+        performance: boolean;
+        ksuid: boolean;
+    };
     /** Check timestamp */
     timestamp: string;
 }
@@ -112,6 +297,218 @@ export interface AnalysisResult {
     invalidIds: number;
     /** Generation rate */
     generationRate: string;
+    /** Valid IDs by format; ULIDs, Base32 (both encodings) and Base64url IDs are detected automatically */
+    formats: { standard: number; prefixed: number; custom: number; ulid: number; base32: number; base64url: number };
+}
+
+/**
+ * Options for base32() and fromBase32()
+ */
+export interface Base32Options {
+    /**
+     * 'rfc4648' (default): 26 uppercase characters. 'crockford': the ID as a 128-bit number in
+     * Crockford's alphabet, hyphen-grouped for reading aloud, e.g. 01ARZ3-NDEKT-SV4RR-FFQ69-G5FAV.
+     * Crockford decoding ignores case and hyphens and reads I/L as 1 and O as 0
+     */
+    encoding?: 'rfc4648' | 'crockford';
+    /** Append Crockford's mod-37 check symbol, which catches single-character typos (Crockford only) */
+    checkSymbol?: boolean;
+}
+
+/**
+ * Formats parse() and convert() read and write. 'standard' is 8-4-4-4-12 with hyphens and
+ * 'custom' the same grouping with another separator; 'hierarchical' is the three-level
+ * dotted form of hierarchical()
+ */
+export type IdFormat = 'standard' | 'custom' | 'compact' | 'urlSafe' | 'hierarchical' | 'base32'
+    | 'crockford' | 'ulid' | 'base64url' | 'base58' | 'base62';
+
+/**
+ * An existing ID decoded by parse()
+ */
+export interface ParsedId {
+    /** Format the input was read as */
+    format: IdFormat;
+    /** Prefix in front of the ID, or null */
+    prefix: string | null;
+    /** Separator of 'standard' and 'custom' input, otherwise null */
+    separator: string | null;
+    /** The 128 bits as 32 lowercase hex digits */
+    hex: string;
+    /** 8-4-4-4-12 form with the generator's separator, without prefix */
+    canonical: string;
+    /** UUID version nibble (null for ULIDs) */
+    version: number | null;
+    /** Unix ms for ULIDs and v1/v6/v7 IDs, otherwise null */
+    timestamp: number | null;
+    /** The same ID in every format ('custom' aside) */
+    representations: Record<Exclude<IdFormat, 'custom'>, string>;
+}
+
+/**
+ * Options for parse()
+ */
+export interface ParseOptions {
+    /**
+     * Format of the input, skipping detection. Required for Base58 and Base62: they share
+     * length and symbols with Base64url, so they are never detected
+     */
+    from?: IdFormat;
+}
+
+/**
+ * Options for UUSID.parse()
+ */
+export interface UUSIDParseOptions extends ParseOptions {
+    /**
+     * Generator whose layout, epoch, precision, separator and checksum setting the ID is read
+     * and printed with (default generator by default)
+     */
+    generator?: UUSIDGenerator;
+}
+
+/**
+ * An ID of one registered entity type, e.g. `` `usr_${string}` ``. Distinct prefixes give
+ * incompatible types, so an order ID cannot be passed where a user ID is expected
+ */
+export type PrefixedId<P extends string, S extends string = '_'> = `${P}${S}${string}`;
+
+/**
+ * The ID type of an entity registered with a PrefixRegistry
+ * @example type UserId = IdOf<typeof registry, 'user'>; // `usr_${string}`
+ */
+export type IdOf<R, K extends string> = R extends PrefixRegistry<infer T, infer S>
+    ? K extends keyof T ? PrefixedId<T[K], S> : never
+    : never;
+
+/**
+ * Options for PrefixRegistry. Generator options apply to every entity type
+ */
+export interface PrefixRegistryOptions<S extends string = '_'> extends Omit<UUSIDGeneratorOptions, 'prefix' | 'separator'> {
+    /** Between prefix and ID, e.g. '_' (default) or ':'; must not contain letters or digits */
+    separator?: S;
+    /** Generator to use instead of one built from the other options */
+    generator?: UUSIDGenerator;
+}
+
+/**
+ * How one entity type's IDs are written
+ */
+export interface PrefixEntityOptions<P extends string = string> {
+    /** Letters and digits, starting with a letter, e.g. 'usr' */
+    prefix: P;
+    /**
+     * Format of the part after the prefix (default: 'standard'; not 'custom').
+     * 'short' uses shortId() and has no UUID behind it
+     */
+    format?: Exclude<IdFormat, 'custom'> | 'short';
+    /** Length of a 'short' ID (default: 12); the other formats have a fixed width and reject it */
+    length?: number;
+}
+
+/**
+ * A registered ID read by PrefixRegistry.parse(), typed per entity
+ */
+export type RegistryParsedId<T extends Record<string, string>> = {
+    [K in keyof T & string]: {
+        /** Entity type the prefix is registered for */
+        type: K;
+        prefix: T[K];
+        /** The ID in 8-4-4-4-12 form, without prefix; a 'short' ID as it is */
+        id: string;
+    }
+}[keyof T & string];
+
+/**
+ * Options for convert()
+ */
+export interface ConvertOptions extends ParseOptions {
+    /** Output format (default: 'standard') */
+    to?: IdFormat;
+    /** Separator for 'custom' output (default: the generator's separator) */
+    separator?: string;
+}
+
+/**
+ * Options for fromBytes() and fromBigInt()
+ */
+export interface FromBinaryOptions {
+    /** Separator between the 8-4-4-4-12 groups (default: the generator's separator) */
+    separator?: string;
+    /** Prefix to put in front of the ID */
+    prefix?: string;
+}
+
+/**
+ * Options for shortId()
+ */
+export interface ShortIdOptions {
+    /** Number of symbols (default: 12) */
+    length?: number;
+    /** 2 to 256 distinct characters (default: Base62, 0-9A-Za-z) */
+    alphabet?: string;
+}
+
+/**
+ * Options for collisionProbability()
+ */
+export interface CollisionOptions extends ShortIdOptions {
+    /** Number of IDs that will exist */
+    count: number;
+}
+
+/**
+ * Options for safeLength()
+ */
+export interface SafeLengthOptions {
+    /** Number of IDs that will exist */
+    count: number;
+    /** Highest acceptable chance of any duplicate, between 0 and 1 (default: 1e-6) */
+    risk?: number;
+    /** 2 to 256 distinct characters (default: Base62) */
+    alphabet?: string;
+}
+
+/**
+ * Fields of a decoded ULID
+ */
+export interface UlidParts {
+    /** Unix milliseconds */
+    timestamp: number;
+    date: Date;
+    /** 80-bit random part as 20 hex digits */
+    random: string;
+}
+
+/**
+ * Fields of a decoded KSUID
+ */
+export interface KsuidParts {
+    /** Unix milliseconds (KSUIDs have one-second resolution) */
+    timestamp: number;
+    date: Date;
+    /** 128-bit payload as 32 hex digits */
+    payload: string;
+}
+
+/**
+ * Standard namespace names for name-based IDs
+ */
+export type StandardNamespace = 'DNS' | 'URL' | 'OID' | 'X500';
+
+/**
+ * Content-based ID options
+ */
+export interface ContentOptions {
+    /**
+     * Namespace mixed into the hash. With `rfc`, a UUID or one of
+     * 'DNS' | 'URL' | 'OID' | 'X500' (default: 'default')
+     */
+    namespace?: string;
+    /** Node hash algorithm for the legacy layout (default: 'sha256') */
+    algorithm?: string;
+    /** Emit an RFC 9562 name-based UUID: v3 (MD5), v5 (SHA-1) or v8 (SHA-256) */
+    rfc?: 'v3' | 'v5' | 'v8';
 }
 
 /**
@@ -142,6 +539,8 @@ export interface WorkerPoolOptions {
     workers?: number;
     /** Batch size per worker */
     batchSize?: number;
+    /** Lease each generator's node slot from this directory (default: slot = generator index) */
+    leaseDir?: string;
 }
 
 /**
@@ -158,6 +557,8 @@ export declare class UUSIDGenerator {
     readonly prefix: string | null;
     /** Separator character */
     readonly separator: string;
+    /** UUID layout emitted by generate() */
+    readonly uuidVersion: UUIDVersion;
 
     /**
      * Create a new UUSID generator
@@ -172,10 +573,37 @@ export declare class UUSIDGenerator {
     generate(): string;
 
     /**
-     * Generate base32 encoded ID (shorter format)
-     * @returns Base32 encoded ID
+     * Generate the 16 bytes of an ID without building a string. Honours `monotonic`;
+     * any prefix is dropped
+     * @returns 16-byte Buffer, e.g. for a BINARY(16) column or a protobuf bytes field
+     * @throws On EncryptedGenerator and SnowflakeGenerator, which have no 16-byte form
      */
-    base32(): string;
+    generateBytes(): Buffer;
+
+    /**
+     * Generate an ID as an immutable UUSID object. Honours `monotonic`; keeps the prefix
+     * @returns UUSID whose toString() matches what generate() would return
+     * @throws On EncryptedGenerator and SnowflakeGenerator, which have no 16-byte form
+     */
+    generateObject(): UUSID;
+
+    /**
+     * Generate base32 encoded ID (shorter format). validate() and extractTimestamp()
+     * accept both encodings directly
+     * @param options Encoding and Crockford check symbol
+     * @returns Base32 encoded ID; any prefix is dropped
+     */
+    base32(options?: Base32Options): string;
+
+    /**
+     * Decode a base32() ID. Without options.encoding, uppercase 26-character RFC 4648 text is
+     * read as RFC 4648 and anything else as Crockford
+     * @param text Base32 ID
+     * @param options Encoding to read
+     * @returns Canonical 8-4-4-4-12 form
+     * @throws If the text is malformed or the check symbol does not match
+     */
+    fromBase32(text: string, options?: Pick<Base32Options, 'encoding'>): string;
 
     /**
      * Generate URL-safe ID (no special characters)
@@ -183,12 +611,132 @@ export declare class UUSIDGenerator {
      */
     urlSafe(): string;
 
+    /**
+     * Generate a URL-safe Base64 ID (RFC 4648 §5, unpadded). validate() and
+     * extractTimestamp() accept the result directly
+     * @returns 22-character ID; any prefix is dropped
+     */
+    base64url(): string;
+
+    /**
+     * Decode a base64url() ID
+     * @param text 22-character Base64url ID
+     * @returns Canonical 8-4-4-4-12 form
+     */
+    fromBase64url(text: string): string;
+
+    /**
+     * Generate a Base58 ID (Bitcoin alphabet, no 0/O/I/l), zero-padded so that
+     * IDs of the same layout sort in the same order as their hex form
+     * @returns 22-character ID; any prefix is dropped
+     */
+    base58(): string;
+
+    /**
+     * Decode a base58() ID
+     * @param text 22-character Base58 ID
+     * @returns Canonical 8-4-4-4-12 form
+     */
+    fromBase58(text: string): string;
+
+    /**
+     * Generate a Base62 ID (0-9, A-Z, a-z), zero-padded so that IDs of the
+     * same layout sort in the same order as their hex form
+     * @returns 22-character ID; any prefix is dropped
+     */
+    base62(): string;
+
+    /**
+     * Decode a base62() ID
+     * @param text 22-character Base62 ID
+     * @returns Canonical 8-4-4-4-12 form
+     */
+    fromBase62(text: string): string;
+
+    /**
+     * Generate a short random ID, nanoid-style. Uses rejection sampling, so every symbol is
+     * equally likely. Not time-based: size it with safeLength()
+     * @param options Length and alphabet
+     * @returns e.g. "8ulgoNY81DXk"
+     */
+    shortId(options?: ShortIdOptions): string;
+
+    /**
+     * Encode bytes as fixed-length Base58, read as one big-endian number
+     * @param buffer Bytes to encode (16 bytes give 22 characters)
+     */
+    toBase58(buffer: Buffer): string;
+
+    /**
+     * Encode bytes as fixed-length Base62, read as one big-endian number
+     * @param buffer Bytes to encode (16 bytes give 22 characters)
+     */
+    toBase62(buffer: Buffer): string;
+
     /**
      * Generate compact ID (no separators)
      * @returns Compact ID string
      */
     compact(): string;
 
+    /**
+     * Generate a ULID (26-char Crockford Base32: 48-bit ms timestamp + 80 random bits)
+     * @returns ULID string
+     */
+    ulid(): string;
+
+    /**
+     * Create a ULID factory that stays strictly increasing within a millisecond
+     * @returns Function returning monotonic ULIDs
+     */
+    monotonicUlid(): () => string;
+
+    /**
+     * Decode a ULID
+     * @param ulid ULID string (case-insensitive)
+     * @returns Timestamp and the 80-bit random part as hex
+     */
+    decodeUlid(ulid: string): UlidParts;
+
+    /**
+     * Convert a ULID to UUID form (same 128 bits)
+     * @param ulid ULID string
+     * @returns UUID-formatted string
+     */
+    ulidToUuid(ulid: string): string;
+
+    /**
+     * Convert a UUID to a ULID (same 128 bits)
+     * @param id UUID, with or without separators
+     * @returns ULID string
+     */
+    uuidToUlid(id: string): string;
+
+    /**
+     * Generate a KSUID (27-char Base62: 32-bit seconds since ksuidEpoch + 128-bit payload)
+     * @returns KSUID string
+     */
+    ksuid(): string;
+
+    /**
+     * Decode a KSUID
+     * @param ksuid KSUID string
+     * @returns Timestamp (ms, second resolution) and payload as hex
+     */
+    parseKsuid(ksuid: string): KsuidParts;
+
+    /**
+     * Next KSUID in sort order (for range scans)
+     * @param ksuid KSUID string
+     */
+    ksuidNext(ksuid: string): string;
+
+    /**
+     * Previous KSUID in sort order (for range scans)
+     * @param ksuid KSUID string
+     */
+    ksuidPrev(ksuid: string): string;
+
     /**
      * Generate ID with custom separator
      * @param separator Custom separator character
@@ -196,6 +744,11 @@ export declare class UUSIDGenerator {
      */
     withSeparator(separator: string): string;
 
+    /**
+     * Flush node ID, clock sequence and timestamp reservation to the state file (no-op without stateFile)
+     */
+    saveState(): void;
+
     /**
      * Generate multiple UUSIDs
      * @param count Number of IDs to generate
@@ -203,6 +756,20 @@ export declare class UUSIDGenerator {
      */
     generateBatch(count: number): string[];
 
+    /**
+     * Generate a single UUSID without blocking: yields to the event loop
+     * (setImmediate) instead of spinning when the sequence is exhausted
+     * @returns Promise resolving to a new UUSID string
+     */
+    generateAsync(): Promise<string>;
+
+    /**
+     * Generate multiple UUSIDs without blocking the event loop under sustained load
+     * @param count Number of IDs to generate
+     * @returns Promise resolving to an array of UUSID strings
+     */
+    generateBatchAsync(count: number): Promise<string[]>;
+
     /**
      * Generate sorted batch (naturally sortable by creation time)
      * @param count Number of IDs to generate
@@ -243,14 +810,15 @@ export declare class UUSIDGenerator {
     /**
      * Generate deterministic ID from content
      * @param content Content to generate ID from
+     * @param options Namespace, hash algorithm or RFC name-based version
      * @returns Content-based ID
      */
-    fromContent(content: string): string;
+    fromContent(content: string, options?: ContentOptions): string;
 
     /**
      * Extract timestamp from UUSID
      * @param id UUSID to extract timestamp from
-     * @returns Timestamp in milliseconds
+     * @returns Timestamp in milliseconds (fractional for v1/v6 IDs made with precision 'high')
      */
     extractTimestamp(id: string): number;
 
@@ -262,6 +830,79 @@ export declare class UUSIDGenerator {
      */
     validate(id: string, options?: ValidationOptions): ValidationResult;
 
+    /**
+     * Convert a v1 ID to the time-sortable v6 layout (lossless, v6 input is returned as-is)
+     * @param id v1 or v6 ID
+     * @returns The same ID in v6 layout
+     */
+    toV6(id: string): string;
+
+    /**
+     * Convert a v6 ID back to the v1 layout (lossless, v1 input is returned as-is)
+     * @param id v6 or v1 ID
+     * @returns The same ID in v1 layout
+     */
+    toV1(id: string): string;
+
+    /**
+     * Decode an existing ID in any supported format, optionally behind a prefix
+     * (e.g. usr_..., ord:...), and describe it in all formats
+     * @param id ID to read
+     * @param options Input format, if known
+     * @throws If the format is not recognised; Base58 and Base62 IDs always need options.from
+     */
+    parse(id: string, options?: ParseOptions): ParsedId;
+
+    /**
+     * Re-encode an existing ID in another format; any prefix is dropped
+     * @param id ID in any format parse() reads
+     * @param options Input and output formats
+     * @returns The same 128 bits in the output format
+     */
+    convert(id: string, options?: ConvertOptions): string;
+
+    /**
+     * Append the check character the checksum option would add
+     * @param id Dashed, compact or prefixed ID
+     * @returns The ID followed by its check character
+     */
+    addChecksum(id: string): string;
+
+    /**
+     * Verify and remove the check character of a checksummed ID. extractTimestamp(), parse()
+     * and the conversions take the result, not the checksummed ID
+     * @param id Checksummed hex, RFC 4648 Base32 or Crockford Base32 ID
+     * @returns The ID without its check character
+     * @throws If the check character does not match
+     */
+    stripChecksum(id: string): string;
+
+    /**
+     * The 16 bytes of an ID; any prefix is dropped
+     * @param id Canonical, prefixed or compact ID
+     */
+    toBytes(id: string): Buffer;
+
+    /**
+     * Format 16 bytes as an ID. A Uint8Array is read in place, not copied
+     * @param bytes 16 bytes, e.g. from a BINARY(16) column
+     * @param options Separator and prefix of the result
+     */
+    fromBytes(bytes: Uint8Array, options?: FromBinaryOptions): string;
+
+    /**
+     * The ID as an unsigned 128-bit integer; any prefix is dropped
+     * @param id Canonical, prefixed or compact ID
+     */
+    toBigInt(id: string): bigint;
+
+    /**
+     * Format an unsigned 128-bit integer as an ID
+     * @param value 0 to 2^128 - 1
+     * @param options Separator and prefix of the result
+     */
+    fromBigInt(value: bigint, options?: FromBinaryOptions): string;
+
     /**
      * Check if ID was generated within time range
      * @param id ID to check
@@ -277,6 +918,17 @@ export declare class UUSIDGenerator {
      */
     getMetrics(): Metrics;
 
+    /**
+     * Report where the node ID came from, without exposing hashed inputs
+     * @returns Node ID and the strategy that produced it
+     */
+    getNodeInfo(): NodeInfo;
+
+    /**
+     * Release the slot leased from leaseDir before it expires. A later generate() takes a new lease
+     */
+    releaseNodeSlot(): void;
+
     /**
      * Perform health check on generator
      * @returns Health check result
@@ -303,6 +955,57 @@ export declare class PrefixedGenerator extends UUSIDGenerator {
     constructor(prefix: string, options?: UUSIDGeneratorOptions);
 }
 
+/**
+ * Registry of entity types and their ID prefixes, for Stripe-style IDs such as `usr_…`.
+ * Chain register() calls so the compiler learns each entity's prefix
+ * @example
+ * const ids = new PrefixRegistry({ version: 7 })
+ *     .register('user', { prefix: 'usr', format: 'base62' })
+ *     .register('order', { prefix: 'ord' });
+ * const userId = ids.generate('user'); // `usr_${string}`
+ */
+export declare class PrefixRegistry<T extends Record<string, string> = {}, S extends string = '_'> {
+    /**
+     * Create an empty registry
+     * @param options Separator, and the generator or its options
+     */
+    constructor(options?: PrefixRegistryOptions<S>);
+
+    readonly separator: S;
+    readonly generator: UUSIDGenerator;
+
+    /**
+     * Register an entity type
+     * @param type Entity name, e.g. 'user'
+     * @param options Prefix, format and expected length
+     * @returns This registry, typed with the new entity
+     * @throws If the type or prefix is already registered, or the prefix, format or length is invalid
+     */
+    register<K extends string, P extends string>(type: K, options: PrefixEntityOptions<P>): PrefixRegistry<T & { [key in K]: P }, S>;
+
+    /**
+     * Generate an ID of a registered entity type
+     * @param type Entity name
+     * @throws If the type is not registered
+     */
+    generate<K extends keyof T & string>(type: K): PrefixedId<T[K], S>;
+
+    /**
+     * Find the entity type of an ID
+     * @param id Prefixed ID
+     * @returns Entity type, prefix and canonical ID
+     * @throws If the prefix is not registered or the rest is not a valid ID of that entity's format
+     */
+    parse(id: string): RegistryParsedId<T>;
+
+    /**
+     * Whether a value is a well-formed ID of the given entity type
+     * @param type Entity name
+     * @param id Value to check
+     */
+    is<K extends keyof T & string>(type: K, id: unknown): id is PrefixedId<T[K], S>;
+}
+
 /**
  * Encrypted ID Generator - generates encrypted IDs by default
  */
@@ -320,6 +1023,153 @@ export declare class EncryptedGenerator extends UUSIDGenerator {
     generate(): string;
 }
 
+/**
+ * Snowflake-style 64-bit ID generator: timestamp | datacenter | worker | sequence.
+ * Does not extend UUSIDGenerator: the UUID formatting methods do not apply to its IDs
+ */
+export declare class SnowflakeGenerator {
+    /**
+     * Create a Snowflake generator
+     * @param options Epoch, field widths, datacenter/worker IDs and output type
+     */
+    constructor(options?: SnowflakeOptions);
+
+    readonly epoch: number;
+    readonly bits: Required<SnowflakeBits>;
+    readonly datacenterId: number;
+    readonly workerId: number;
+    readonly output: 'bigint' | 'string';
+
+    /**
+     * Generate a Snowflake ID
+     * @returns bigint, or a decimal string with output: 'string'
+     */
+    generate(): bigint | string;
+
+    /**
+     * Generate multiple Snowflake IDs
+     * @param count Number of IDs to generate
+     */
+    generateBatch(count: number): Array<bigint | string>;
+
+    /**
+     * Generate a Snowflake ID without blocking the event loop when the sequence is exhausted
+     */
+    generateAsync(): Promise<bigint | string>;
+
+    /**
+     * Generate multiple Snowflake IDs without blocking the event loop
+     * @param count Number of IDs to generate
+     */
+    generateBatchAsync(count: number): Promise<Array<bigint | string>>;
+
+    /**
+     * Split a Snowflake ID into its fields
+     * @param id Snowflake ID as bigint or decimal string
+     */
+    decodeSnowflake(id: bigint | string): SnowflakeParts;
+
+    validate(id: bigint | string): ValidationResult;
+    extractTimestamp(id: bigint | string): number;
+    isInTimeRange(id: bigint | string, start: Date | string | number, end: Date | string | number): boolean;
+    analyze(idArray: Array<bigint | string>): AnalysisResult;
+    getMetrics(): Metrics;
+}
+
+/**
+ * Thrown when the system clock moves backwards and the generator cannot recover safely
+ */
+export declare class ClockRegressionError extends Error {
+    readonly name: 'ClockRegressionError';
+    /** Last timestamp the generator issued (ms) */
+    readonly lastTimestamp: number;
+    /** Clock reading that was behind it (ms) */
+    readonly currentTimestamp: number;
+    /** How far the clock moved backwards (ms) */
+    readonly drift: number;
+}
+
+/**
+ * Thrown when a clock tick's sequence space is exhausted and sequenceOverflow is 'throw'
+ */
+export declare class SequenceOverflowError extends Error {
+    readonly name: 'SequenceOverflowError';
+    /** Timestamp (ms) whose sequence ran out */
+    readonly timestamp: number;
+}
+
+/**
+ * Immutable ID value. Fields are decoded from the bits on first access, with the layout of
+ * the generator that issued or parsed the ID
+ */
+export declare class UUSID {
+    /**
+     * Wrap 128 bits
+     * @param hex 32 lowercase hex digits
+     * @param options Generator to decode with, prefix, and the sequence if known
+     */
+    constructor(hex: string, options?: { generator?: UUSIDGenerator; prefix?: string | null; sequence?: number | null });
+
+    /**
+     * Read an existing ID in any format parse() detects. Checksummed IDs are read when the
+     * generator has `checksum` set
+     * @param text ID string (or anything whose String() is one)
+     * @param options Generator and input format
+     * @throws If the ID cannot be read, or its check character does not match
+     */
+    static parse(text: string | UUSID, options?: UUSIDParseOptions): UUSID;
+
+    /** The 128 bits as 32 lowercase hex digits */
+    readonly hex: string;
+    /** Prefix the ID is printed with, or null */
+    readonly prefix: string | null;
+    /** UUID version nibble */
+    readonly version: number;
+    /** Unix ms (v1/v6 keep the sub-ms fraction), or null for versions without a timestamp */
+    readonly timestamp: number | null;
+    /** 12 hex digits of the v1/v6 node field, or null (v7 has random bits there) */
+    readonly node: string | null;
+    /** 14-bit v1/v6 clock sequence field, per-tick sequence included; null for other versions */
+    readonly clockSeq: number | null;
+    /**
+     * Per-tick counter. Read from the bits for v7 (with the generator's precision); for
+     * v1/v6 it is folded into clockSeq, so only objects from generateObject() know it
+     */
+    readonly sequence: number | null;
+
+    /**
+     * Whether both hold the same 128 bits; the prefix is not compared
+     * @param other UUSID or ID string; unreadable strings are unequal
+     * @param options Format of a string `other`, as for parse()
+     * @throws If `other` is a Base58 or Base62 string and options.from is not given
+     */
+    equals(other: UUSID | string, options?: ParseOptions): boolean;
+
+    /**
+     * Time order, usable with Array.prototype.sort via `(a, b) => a.compare(b)`. v1 IDs are
+     * compared in time-first field order; IDs of different versions by timestamp first
+     * @param other UUSID or ID string
+     * @param options Format of a string `other`, as for parse()
+     * @returns -1, 0 or 1
+     * @throws If `other` is a string that cannot be read
+     */
+    compare(other: UUSID | string, options?: ParseOptions): -1 | 0 | 1;
+
+    /**
+     * The ID as generate() returns it (separator, prefix and check character of the generator),
+     * or its bits in another format without prefix
+     * @param format Output format, e.g. 'base58'
+     */
+    toString(format?: IdFormat): string;
+
+    /** Same as toString(), so JSON.stringify() writes the ID string */
+    toJSON(): string;
+
+    /** Like Date: the timestamp for a number hint, otherwise the string */
+    [Symbol.toPrimitive](hint: 'number'): number;
+    [Symbol.toPrimitive](hint: 'string' | 'default'): string;
+}
+
 /**
  * Worker Pool for high-volume ID generation
  */
@@ -356,6 +1206,13 @@ export declare function uusid(): string;
  */
 export declare function uusidBatch(count: number): string[];
 
+/**
+ * Generate an RFC 9562 UUIDv7 (Unix-ms timestamp, monotonic counter, random bits)
+ * @param options Optional generator options
+ * @returns A new time-sortable UUIDv7 string
+ */
+export declare function uusidV7(options?: UUSIDGeneratorOptions): string;
+
 /**
  * Create a new UUSID generator with custom options
  * @param options Generator configuration
@@ -371,6 +1228,13 @@ export declare function createGenerator(options?: UUSIDGeneratorOptions): UUSIDG
  */
 export declare function createPrefixedGenerator(prefix: string, options?: UUSIDGeneratorOptions): PrefixedGenerator;
 
+/**
+ * Create an empty prefix registry
+ * @param options Separator, and the generator or its options
+ * @returns New registry; add entity types with register()
+ */
+export declare function createPrefixRegistry<S extends string = '_'>(options?: PrefixRegistryOptions<S>): PrefixRegistry<{}, S>;
+
 /**
  * Create an encrypted ID generator
  * @param options Generator options with required secretKey
@@ -378,6 +1242,21 @@ export declare function createPrefixedGenerator(prefix: string, options?: UUSIDG
  */
 export declare function createEncryptedGenerator(options: UUSIDGeneratorOptions & { secretKey: string }): EncryptedGenerator;
 
+/**
+ * Create a Snowflake-style 64-bit ID generator
+ * @param options Epoch, field widths, datacenter/worker IDs and output type
+ * @returns New Snowflake generator
+ */
+export declare function createSnowflakeGenerator(options?: SnowflakeOptions): SnowflakeGenerator;
+
+/**
+ * Decode a Snowflake ID
+ * @param id Snowflake ID as bigint or decimal string
+ * @param options Epoch and field widths the ID was generated with
+ * @returns Timestamp, datacenter ID, worker ID and sequence
+ */
+export declare function decodeSnowflake(id: bigint | string, options?: Pick<SnowflakeOptions, 'epoch' | 'bits'>): SnowflakeParts;
+
 /**
  * Create a worker pool for high-volume generation
  * @param options Worker pool configuration
@@ -409,6 +1288,92 @@ export declare function extractTimestamp(id: string): number;
  */
 export declare function isInTimeRange(id: string, start: Date | string, end: Date | string): boolean;
 
+/**
+ * Convert a v1 ID to the v6 layout using default generator
+ * @param id v1 or v6 ID
+ * @returns The same ID in v6 layout
+ */
+export declare function toV6(id: string): string;
+
+/**
+ * Convert a v6 ID to the v1 layout using default generator
+ * @param id v6 or v1 ID
+ * @returns The same ID in v1 layout
+ */
+export declare function toV1(id: string): string;
+
+/**
+ * Decode an existing ID in any supported format using default generator
+ * @param id ID to read
+ * @param options Input format, if known
+ * @returns Canonical form, timestamp and every other representation
+ */
+export declare function parse(id: string, options?: ParseOptions): ParsedId;
+
+/**
+ * Re-encode an existing ID in another format using default generator
+ * @param id ID in any format parse() reads
+ * @param options Input and output formats
+ * @returns Converted ID
+ */
+export declare function convert(id: string, options?: ConvertOptions): string;
+
+/**
+ * Append a check character to an ID using default generator
+ * @param id Dashed, compact or prefixed ID
+ * @returns Checksummed ID
+ */
+export declare function addChecksum(id: string): string;
+
+/**
+ * Verify and remove the check character of a checksummed ID using default generator
+ * @param id Checksummed ID
+ * @returns The ID without its check character
+ */
+export declare function stripChecksum(id: string): string;
+
+/**
+ * Generate the 16 bytes of an ID using default generator, without building a string
+ * @returns 16-byte Buffer
+ */
+export declare function generateBytes(): Buffer;
+
+/**
+ * Generate an ID as an immutable UUSID object using default generator
+ * @returns New UUSID
+ */
+export declare function generateObject(): UUSID;
+
+/**
+ * The 16 bytes of an ID using default generator
+ * @param id Canonical, prefixed or compact ID
+ * @returns 16-byte Buffer
+ */
+export declare function toBytes(id: string): Buffer;
+
+/**
+ * Format 16 bytes as an ID using default generator
+ * @param bytes 16 bytes
+ * @param options Separator and prefix of the result
+ * @returns ID string
+ */
+export declare function fromBytes(bytes: Uint8Array, options?: FromBinaryOptions): string;
+
+/**
+ * The ID as an unsigned 128-bit integer using default generator
+ * @param id Canonical, prefixed or compact ID
+ * @returns BigInt value
+ */
+export declare function toBigInt(id: string): bigint;
+
+/**
+ * Format an unsigned 128-bit integer as an ID using default generator
+ * @param value 0 to 2^128 - 1
+ * @param options Separator and prefix of the result
+ * @returns ID string
+ */
+export declare function fromBigInt(value: bigint, options?: FromBinaryOptions): string;
+
 /**
  * Analyze array of IDs
  * @param idArray Array of IDs to analyze
@@ -422,6 +1387,28 @@ export declare function analyze(idArray: string[]): AnalysisResult;
  */
 export declare function getMetrics(): Metrics;
 
+/**
+ * Get node ID provenance of the default generator
+ * @returns Node ID and the strategy that produced it
+ */
+export declare function getNodeInfo(): NodeInfo;
+
+/**
+ * Hand out node slots to node:cluster workers over IPC. Call in the primary; a worker's
+ * slots are freed when it exits
+ * @param cluster The cluster module (default: require('cluster')), or anything emitting its
+ * 'message' (worker, message) and 'exit' (worker) events
+ * @returns Live map of slot to worker id
+ */
+export declare function serveNodeSlots(cluster?: { on(event: string, listener: (...args: any[]) => void): unknown }): Map<number, number>;
+
+/**
+ * Ask the primary for a node slot (see serveNodeSlots). Call in a cluster worker
+ * @param options timeout: ms to wait for the primary (default: 5000)
+ * @returns Slot to pass as the nodeSlot option
+ */
+export declare function requestNodeSlot(options?: { timeout?: number }): Promise<number>;
+
 /**
  * Perform health check on default generator
  * @returns Health check result
@@ -430,9 +1417,18 @@ export declare function healthCheck(): Promise<HealthCheck>;
 
 /**
  * Generate base32 encoded ID using default generator
+ * @param options Encoding and Crockford check symbol
  * @returns Base32 encoded ID
  */
-export declare function base32(): string;
+export declare function base32(options?: Base32Options): string;
+
+/**
+ * Decode a Base32 ID (RFC 4648 or Crockford) to its canonical 8-4-4-4-12 form
+ * @param text Base32 ID
+ * @param options Encoding to read (default: detected)
+ * @returns Canonical ID
+ */
+export declare function fromBase32(text: string, options?: Pick<Base32Options, 'encoding'>): string;
 
 /**
  * Generate URL-safe ID using default generator
@@ -440,12 +1436,130 @@ export declare function base32(): string;
  */
 export declare function urlSafe(): string;
 
+/**
+ * Generate a 22-character URL-safe Base64 ID using default generator
+ * @returns Base64url ID
+ */
+export declare function base64url(): string;
+
+/**
+ * Decode a Base64url ID to its canonical 8-4-4-4-12 form
+ * @param text 22-character Base64url ID
+ * @returns Canonical ID
+ */
+export declare function fromBase64url(text: string): string;
+
+/**
+ * Generate a 22-character Base58 ID using default generator
+ * @returns Base58 ID
+ */
+export declare function base58(): string;
+
+/**
+ * Decode a Base58 ID to its canonical 8-4-4-4-12 form
+ * @param text 22-character Base58 ID
+ * @returns Canonical ID
+ */
+export declare function fromBase58(text: string): string;
+
+/**
+ * Generate a 22-character Base62 ID using default generator
+ * @returns Base62 ID
+ */
+export declare function base62(): string;
+
+/**
+ * Decode a Base62 ID to its canonical 8-4-4-4-12 form
+ * @param text 22-character Base62 ID
+ * @returns Canonical ID
+ */
+export declare function fromBase62(text: string): string;
+
+/**
+ * Generate a short random ID using default generator
+ * @param options Length (default: 12) and alphabet (default: Base62)
+ * @returns Short ID
+ */
+export declare function shortId(options?: ShortIdOptions): string;
+
 /**
  * Generate compact ID using default generator
  * @returns Compact ID
  */
 export declare function compact(): string;
 
+/**
+ * Generate a ULID using default generator
+ * @returns ULID string
+ */
+export declare function ulid(): string;
+
+/**
+ * Create a monotonic ULID factory on the default generator
+ * @returns Function returning monotonic ULIDs
+ */
+export declare function monotonicUlid(): () => string;
+
+/**
+ * Decode a ULID
+ * @param ulid ULID string
+ * @returns Timestamp and random part
+ */
+export declare function decodeUlid(ulid: string): UlidParts;
+
+/**
+ * Convert a ULID to UUID form
+ * @param ulid ULID string
+ * @returns UUID-formatted string
+ */
+export declare function ulidToUuid(ulid: string): string;
+
+/**
+ * Convert a UUID to a ULID
+ * @param id UUID string
+ * @returns ULID string
+ */
+export declare function uuidToUlid(id: string): string;
+
+/**
+ * Generate a KSUID using default generator
+ * @returns KSUID string
+ */
+export declare function ksuid(): string;
+
+/**
+ * Decode a KSUID
+ * @param ksuid KSUID string
+ * @returns Timestamp and payload
+ */
+export declare function parseKsuid(ksuid: string): KsuidParts;
+
+/**
+ * Next KSUID in sort order
+ * @param ksuid KSUID string
+ */
+export declare function ksuidNext(ksuid: string): string;
+
+/**
+ * Previous KSUID in sort order
+ * @param ksuid KSUID string
+ */
+export declare function ksuidPrev(ksuid: string): string;
+
+/**
+ * Chance that `count` random short IDs include at least one duplicate (birthday bound)
+ * @param options Count, and the length and alphabet of the IDs
+ * @returns Probability between 0 and 1
+ */
+export declare function collisionProbability(options: CollisionOptions): number;
+
+/**
+ * Shortest shortId() length that keeps the collision probability of `count` IDs at or below `risk`
+ * @param options Count, risk and alphabet
+ * @returns Length in symbols
+ */
+export declare function safeLength(options: SafeLengthOptions): number;
+
 /**
  * Generate hierarchical ID using default generator
  * @param options Hierarchical options
@@ -456,9 +1570,15 @@ export declare function hierarchical(options?: HierarchicalOptions): string;
 /**
  * Generate content-based ID using default generator
  * @param content Content to generate ID from
+ * @param options Namespace, hash algorithm or RFC name-based version
  * @returns Content-based ID
  */
-export declare function fromContent(content: string): string;
+export declare function fromContent(content: string, options?: ContentOptions): string;
+
+/**
+ * Standard namespaces for RFC name-based IDs
+ */
+export declare const NAMESPACES: Readonly<Record<StandardNamespace, string>>;
 
 /**
  * Default generator instance
@@ -1,105 +1,1148 @@
 const crypto = require('crypto');
+const fs = require('fs');
 const os = require('os');
+const path = require('path');
+
+// UUID layouts the generator can emit: 1 (legacy time-based), 6 (reordered time), 7 (RFC 9562 Unix-ms)
+const SUPPORTED_VERSIONS = [1, 6, 7];
+
+// v1/v6 timestamps count 100-ns ticks from the Gregorian reform (1582-10-15); v7 counts
+// milliseconds from the Unix epoch. Both can be overridden with the epoch option
+const UUID_EPOCH = new Date('1582-10-15').getTime();
+
+// Widest timestamp field each layout has room for: 60-bit 100-ns ticks (v1/v6), 48-bit ms (v7)
+const TIMESTAMP_FIELD_BITS = { 1: 60, 6: 60, 7: 48 };
+
+// The per-tick sequence is added to the 14-bit clock sequence, so it must fit in
+// 14 bits as well; anything wider would spill into the RFC variant bits
+const MAX_SEQUENCE = 0x3fff;
+
+// Timestamp precision modes: 'ms' (Date.now) or 'high' (hrtime, anchored to wall-clock time)
+const PRECISIONS = ['ms', 'high'];
+
+// Re-anchor the high-resolution clock once it drifts this far from Date.now()
+const HR_RESYNC_MS = 1000;
+
+// What to do when the clock moves backwards: bump clockSeq (RFC 4122), wait it out, or throw
+const CLOCK_REGRESSION_POLICIES = ['increment', 'wait', 'throw'];
+
+// What to do when more than MAX_SEQUENCE IDs are requested within one clock tick:
+// busy-wait for the next tick, borrow future ticks, or throw
+const SEQUENCE_OVERFLOW_POLICIES = ['spin', 'borrow', 'throw'];
+
+// Where the 48-bit node ID comes from. 'random' is the default so IDs never expose
+// the host's MAC address; 'hostname-hash' and 'env' give stable but opaque node IDs
+const NODE_ID_STRATEGIES = ['random', 'mac', 'hostname-hash', 'env', 'explicit'];
+
+// Process-wide sequence state, shared by every generator with the same layout, node ID and
+// clock sequence, so two instances can never hand out the same tick and sequence pair
+const sequenceRegistry = new Map();
+const SEQUENCE_FIELDS = ['lastTimestamp', 'lastSubMs', 'sequenceCounter', 'sequenceHighWater', 'borrowedFrom'];
+
+// Once the registry grows this large, entries idle for SEQUENCE_IDLE_MS whose last tick is also
+// that far behind are dropped, so a fresh entry cannot reissue anything they handed out. Entries
+// held ahead of the clock (a regression, borrowed ticks, a resumed stateFile) are kept. The next scan
+// waits until the registry has doubled, so a burst of busy entries costs amortised O(1) per insert
+const SEQUENCE_REGISTRY_LIMIT = 1024;
+const SEQUENCE_IDLE_MS = 1000;
+let sequencePruneAt = SEQUENCE_REGISTRY_LIMIT;
+
+function newSequenceState() {
+    return { lastTimestamp: 0, lastSubMs: 0, sequenceCounter: 0, sequenceHighWater: 0, borrowedFrom: null, touchedAt: 0 };
+}
+
+function sequenceStateFor(key) {
+    let state = sequenceRegistry.get(key);
+    if (!state) {
+        if (sequenceRegistry.size >= sequencePruneAt) {
+            const idleBefore = Date.now() - SEQUENCE_IDLE_MS;
+            for (const [staleKey, entry] of sequenceRegistry) {
+                if (entry.touchedAt < idleBefore && entry.lastTimestamp < idleBefore && entry.borrowedFrom === null) {
+                    sequenceRegistry.delete(staleKey);
+                }
+            }
+            sequencePruneAt = Math.max(SEQUENCE_REGISTRY_LIMIT, sequenceRegistry.size * 2);
+        }
+        state = newSequenceState();
+        sequenceRegistry.set(key, state);
+    }
+    return state;
+}
+
+// Last ID issued by a monotonic generator, per layout: { key, tick }
+const lastMonotonic = new Map();
+
+// Order two clock readings: -1 if a is earlier, 0 if the same tick, 1 if later
+function compareReadings(a, b) {
+    if (a.ms !== b.ms) {
+        return a.ms < b.ms ? -1 : 1;
+    }
+    if (a.subMs !== b.subMs) {
+        return a.subMs < b.subMs ? -1 : 1;
+    }
+    return 0;
+}
+
+// Resolve on a later turn of the event loop, letting I/O and timers run
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+// Stable storage: the state file reserves timestamps this far ahead, so it is
+// rewritten at most once per interval instead of once per ID
+const STATE_SAVE_INTERVAL = 1000;
+const STATE_LOCK_TIMEOUT = 2000;
+const STATE_LOCK_STALE = 10000;
+
+// Synchronous sleep for lock retries (generation is synchronous, so timers are not an option)
+const sleepSync = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+// Run fn while holding an exclusive lock file next to `file`
+function withFileLock(file, fn) {
+    const lockFile = `${file}.lock`;
+    const deadline = Date.now() + STATE_LOCK_TIMEOUT;
+    let fd;
+    while (fd === undefined) {
+        try {
+            fd = fs.openSync(lockFile, 'wx');
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+            // A crashed holder leaves its lock behind; reclaim it once it is clearly stale
+            try {
+                if (Date.now() - fs.statSync(lockFile).mtimeMs > STATE_LOCK_STALE) {
+                    fs.unlinkSync(lockFile);
+                    continue;
+                }
+            } catch (statError) {
+                if (statError.code !== 'ENOENT') {
+                    throw statError;
+                }
+                continue;
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for state file lock: ${lockFile}`);
+            }
+            sleepSync(5);
+        }
+    }
+
+    try {
+        fs.writeSync(fd, String(process.pid));
+        return fn();
+    } finally {
+        fs.closeSync(fd);
+        fs.unlinkSync(lockFile);
+    }
+}
+
+// Whether clock sequence a is ahead of b. Bumps wrap at 14 bits, so "ahead" means less than
+// half the range further on
+function clockSeqAhead(a, b) {
+    const distance = (a - b) & MAX_SEQUENCE;
+    return distance > 0 && distance <= MAX_SEQUENCE >> 1;
+}
+
+// Read saved generator state; a missing or corrupt file means "no state" (RFC 4122 §4.2.1)
+function readStateFile(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Write via a temp file and rename, so readers never see a half-written state
+function writeFileAtomic(file, data) {
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, data);
+    fs.renameSync(tempFile, file);
+}
+
+// The low 16 bits of the node ID can carry a slot number, so processes sharing a host
+// (and its MAC address) still get distinct node IDs
+const NODE_SLOT_BITS = 16;
+const NODE_SLOT_COUNT = 2 ** NODE_SLOT_BITS;
+
+// Slot leases in a shared directory expire unless renewed, so a crashed process frees its
+// slot after LEASE_TTL. Holders renew once half the lease has passed
+const LEASE_TTL = 30000;
+
+// Leases held by this process, released on exit
+const heldLeases = new Set();
+let leaseCounter = 0;
+let leaseExitHookInstalled = false;
+
+function writeLease(lease, ttl) {
+    lease.expiresAt = Date.now() + ttl;
+    lease.renewAt = Date.now() + ttl / 2;
+    writeFileAtomic(lease.file, JSON.stringify({ pid: process.pid, owner: lease.owner, expiresAt: lease.expiresAt }));
+}
+
+// Take the lowest slot in dir whose lease file is missing or expired
+function takeLease(dir, ttl) {
+    fs.mkdirSync(dir, { recursive: true });
+    const owner = `${process.pid}:${++leaseCounter}`;
+    for (let slot = 0; slot < NODE_SLOT_COUNT; slot++) {
+        const lease = { file: path.join(dir, `node-slot-${slot}.lease`), owner, slot };
+        const taken = withFileLock(lease.file, () => {
+            const current = readStateFile(lease.file);
+            if (current && current.expiresAt > Date.now()) {
+                return false;
+            }
+            writeLease(lease, ttl);
+            return true;
+        });
+        if (taken) {
+            if (!leaseExitHookInstalled) {
+                process.once('exit', () => heldLeases.forEach(releaseLease));
+                leaseExitHookInstalled = true;
+            }
+            heldLeases.add(lease);
+            return lease;
+        }
+    }
+    throw new Error(`No free node slot in ${dir}`);
+}
+
+// Extend a lease; false if it expired and another holder has taken the slot since
+function renewLease(lease, ttl) {
+    const renewed = withFileLock(lease.file, () => {
+        const current = readStateFile(lease.file);
+        if (current && current.owner !== lease.owner) {
+            return false;
+        }
+        writeLease(lease, ttl);
+        return true;
+    });
+    if (!renewed) {
+        heldLeases.delete(lease);
+    }
+    return renewed;
+}
+
+function releaseLease(lease) {
+    heldLeases.delete(lease);
+    try {
+        withFileLock(lease.file, () => {
+            const current = readStateFile(lease.file);
+            if (current && current.owner === lease.owner) {
+                fs.unlinkSync(lease.file);
+            }
+        });
+    } catch (error) {
+        // Leave it to expire on its own
+    }
+}
+
+// Standard namespaces for name-based IDs (RFC 9562 §6.6)
+const NAMESPACES = Object.freeze({
+    DNS: '6ba7b810-9dad-11d1-80b4-00c04fd430c8',
+    URL: '6ba7b811-9dad-11d1-80b4-00c04fd430c8',
+    OID: '6ba7b812-9dad-11d1-80b4-00c04fd430c8',
+    X500: '6ba7b814-9dad-11d1-80b4-00c04fd430c8'
+});
+
+// Name-based layouts accepted by fromContent({ rfc })
+const NAME_BASED_VERSIONS = {
+    v3: { version: 3, algorithm: 'md5' },
+    v5: { version: 5, algorithm: 'sha1' },
+    v8: { version: 8, algorithm: 'sha256' }
+};
+
+// Shannon entropy of an ID's characters (bits per character, approximate)
+const charEntropy = (s) => s.split('').reduce((acc, char, i, arr) => {
+    const probability = arr.filter(c => c === char).length / arr.length;
+    return acc - probability * Math.log2(probability);
+}, 0);
+
+// ULID: 48-bit Unix ms timestamp + 80 random bits as 26 Crockford Base32 characters.
+// 130 bits encode 128, so the first character is at most '7'
+const CROCKFORD_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const ULID_PATTERN = /^[0-7][0-9A-HJKMNP-TV-Z]{25}$/i;
+const ULID_MAX_TIME = 2 ** 48 - 1;
+const ULID_MAX_RANDOM = (1n << 80n) - 1n;
+
+// 32 hex digits <-> 26-character ULID
+const hexToUlid = (hex) => {
+    let value = BigInt(`0x${hex}`);
+    let ulid = '';
+    for (let i = 0; i < 26; i++) {
+        ulid = CROCKFORD_ALPHABET[Number(value & 31n)] + ulid;
+        value >>= 5n;
+    }
+    return ulid;
+};
+
+const ulidToHex = (ulid) => {
+    if (typeof ulid !== 'string' || !ULID_PATTERN.test(ulid)) {
+        throw new Error(`Invalid ULID: ${ulid}`);
+    }
+    let value = 0n;
+    for (const char of ulid.toUpperCase()) {
+        value = (value << 5n) | BigInt(CROCKFORD_ALPHABET.indexOf(char));
+    }
+    return value.toString(16).padStart(32, '0');
+};
+
+// KSUID: 32-bit seconds since the KSUID epoch (2014-05-13T16:53:20Z) + 128-bit payload,
+// as 27 Base62 characters that sort in time order
+const KSUID_EPOCH = 1400000000000;
+const KSUID_LENGTH = 27;
+const KSUID_MAX = (1n << 160n) - 1n;
+const BASE62_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// Fixed-width positional encoding of a BigInt in an arbitrary alphabet
+const encodeBigInt = (value, alphabet, length) => {
+    const base = BigInt(alphabet.length);
+    let out = '';
+    for (let i = 0; i < length; i++) {
+        out = alphabet[Number(value % base)] + out;
+        value /= base;
+    }
+    return out;
+};
+
+// RFC 4648 Base32 of the 16 ID bytes, unpadded: 26 characters for 130 bits, so the last
+// character carries 3 data bits and 2 zero bits (A, E, I, M, Q, U, Y or 4)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const BASE32_PATTERN = /^[A-Z2-7]{25}[AEIMQUY4]$/;
+const BASE32_ENCODINGS = ['rfc4648', 'crockford'];
+
+// Crockford Base32 of the ID as a 128-bit number (the same symbols as a ULID), grouped with
+// hyphens for reading aloud. Decoding ignores hyphens and case and reads I/L as 1 and O as 0.
+// The optional check symbol is the value mod 37, from the alphabet plus * ~ $ = U
+const CROCKFORD_CHECK_SYMBOLS = `${CROCKFORD_ALPHABET}*~$=U`;
+const CROCKFORD_ID_PATTERN = /^[0-7][0-9A-HJKMNP-TV-Z]{25}[0-9A-HJKMNP-Z*~$=]?$/;
+
+// URL-safe Base64 (RFC 4648 §5) of the 16 ID bytes, unpadded: 22 characters for 132 bits,
+// so the last character carries 2 data bits and 4 zero bits (A, Q, g or w)
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]{21}[AQgw]$/;
+
+const decodeBigInt = (text, alphabet) => {
+    const base = BigInt(alphabet.length);
+    let value = 0n;
+    for (const char of text) {
+        const digit = alphabet.indexOf(char);
+        if (digit < 0) {
+            throw new Error(`Invalid character '${char}'`);
+        }
+        value = value * base + BigInt(digit);
+    }
+    return value;
+};
+
+const parseKsuidValue = (ksuid) => {
+    if (typeof ksuid !== 'string' || ksuid.length !== KSUID_LENGTH) {
+        throw new Error(`Invalid KSUID: ${ksuid}`);
+    }
+    const value = decodeBigInt(ksuid, BASE62_ALPHABET);
+    if (value > KSUID_MAX) {
+        throw new Error(`KSUID out of range: ${ksuid}`);
+    }
+    return value;
+};
+
+// 32 hex digits <-> 26-character RFC 4648 Base32
+const base32ToHex = (text) => {
+    const symbols = typeof text === 'string' ? text.toUpperCase() : '';
+    if (!BASE32_PATTERN.test(symbols)) {
+        throw new Error(`Invalid Base32 ID: ${text}`);
+    }
+    return (decodeBigInt(symbols, BASE32_ALPHABET) >> 2n).toString(16).padStart(32, '0');
+};
+
+// 32 hex digits <-> hyphenated Crockford Base32, e.g. 01ARZ3-NDEKT-SV4RR-FFQ69-G5FAV*
+const normalizeCrockford = (text) => text.replace(/-/g, '').toUpperCase().replace(/[IL]/g, '1').replace(/O/g, '0');
+
+const hexToCrockford = (hex, checkSymbol = false) => {
+    const value = BigInt(`0x${hex}`);
+    const symbols = encodeBigInt(value, CROCKFORD_ALPHABET, 26) + (checkSymbol ? CROCKFORD_CHECK_SYMBOLS[Number(value % 37n)] : '');
+    return symbols.match(/^(.{6})(.{5})(.{5})(.{5})(.+)$/).slice(1).join('-');
+};
+
+const crockfordToHex = (text) => {
+    const symbols = typeof text === 'string' ? normalizeCrockford(text) : '';
+    if (!CROCKFORD_ID_PATTERN.test(symbols)) {
+        throw new Error(`Invalid Crockford Base32 ID: ${text}`);
+    }
+    const value = decodeBigInt(symbols.substring(0, 26), CROCKFORD_ALPHABET);
+    if (symbols.length === 27 && CROCKFORD_CHECK_SYMBOLS[Number(value % 37n)] !== symbols[26]) {
+        throw new Error(`Check symbol mismatch: ${text}`);
+    }
+    return value.toString(16).padStart(32, '0');
+};
+
+// 32 hex digits <-> 22-character Base64url
+const hexToBase64url = (hex) => encodeBigInt(BigInt(`0x${hex}`) << 4n, BASE64URL_ALPHABET, 22);
+
+const base64urlToHex = (text) => {
+    if (typeof text !== 'string' || !BASE64URL_PATTERN.test(text)) {
+        throw new Error(`Invalid Base64url ID: ${text}`);
+    }
+    return (decodeBigInt(text, BASE64URL_ALPHABET) >> 4n).toString(16).padStart(32, '0');
+};
+
+// Base58 (Bitcoin alphabet: no 0, O, I or l) and Base62 of the ID as a 128-bit number,
+// zero-padded to 22 characters. Both alphabets are in ASCII order, so fixed-length strings
+// sort the same way as the IDs they encode
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const ID_MAX = (1n << 128n) - 1n;
+
+// Bytes -> fixed-length BaseN, with as many characters as the byte count can need
+const encodeBytes = (buffer, alphabet) => {
+    const length = Math.ceil(buffer.length * 8 / Math.log2(alphabet.length));
+    return encodeBigInt(BigInt(`0x${buffer.toString('hex') || '0'}`), alphabet, length);
+};
+
+// 22-character Base58/Base62 -> 32 hex digits
+const baseNToHex = (text, alphabet, name) => {
+    if (typeof text !== 'string' || text.length !== 22) {
+        throw new Error(`Invalid ${name} ID: ${text}`);
+    }
+    const value = decodeBigInt(text, alphabet);
+    if (value > ID_MAX) {
+        throw new Error(`${name} ID out of range: ${text}`);
+    }
+    return value.toString(16).padStart(32, '0');
+};
+
+// Formats parse() and convert() read and write. 'standard' is 8-4-4-4-12 with hyphens and
+// 'custom' the same grouping with any other separator
+const ID_FORMATS = ['standard', 'custom', 'compact', 'urlSafe', 'hierarchical', 'base32', 'crockford', 'ulid', 'base64url', 'base58', 'base62'];
+const DELIMITED_PATTERN = /^([0-9a-f]{8})([^0-9a-z]+)([0-9a-f]{4})\2([0-9a-f]{4})\2([0-9a-f]{4})\2([0-9a-f]{12})$/i;
+const PREFIX_PATTERN = /^([a-z][a-z0-9]*)([_:.-])(.+)$/i;
+
+// Version 1-8 and RFC 9562 variant bits, used to tell apart encodings that share an alphabet
+const hasRfcBits = (hex) => /^.{12}[1-8].{3}[89ab]/.test(hex);
+
+// Damm check character over GF(2^k): interim * digit = 2 * interim + digit, in GF(16) for hex
+// digits and GF(32) for Base32. That operation is a totally anti-symmetric quasigroup, so a
+// single wrong character or a swap of two adjacent characters always changes the result
+const HEX_ALPHABET = '0123456789abcdef';
+const CHECK_POLYNOMIALS = { 16: 0x13, 32: 0x25 };
+
+const gfDouble = (x, size) => ((x << 1) & size ? (x << 1) ^ CHECK_POLYNOMIALS[size] : x << 1);
+
+const checkCharacter = (digits, alphabet) => {
+    let interim = 0;
+    for (const char of digits) {
+        interim = gfDouble(interim, alphabet.length) ^ alphabet.indexOf(char);
+    }
+    return alphabet[gfDouble(interim, alphabet.length)];
+};
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// shortId() defaults: Base62, 12 characters (about 71 random bits)
+const SHORT_ID_ALPHABET = BASE62_ALPHABET;
+const SHORT_ID_LENGTH = 12;
+
+// Symbols of a shortId() alphabet; one random byte picks a symbol, so at most 256
+const alphabetSymbols = (alphabet) => {
+    const symbols = typeof alphabet === 'string' ? Array.from(alphabet) : [];
+    if (symbols.length < 2 || symbols.length > 256 || new Set(symbols).size !== symbols.length) {
+        throw new Error('Alphabet must have 2 to 256 distinct characters');
+    }
+    return symbols;
+};
+
+const checkShortIdLength = (length) => {
+    if (!Number.isInteger(length) || length < 1) {
+        throw new Error(`Invalid length: ${length} (must be a positive integer)`);
+    }
+};
+
+const checkCount = (count) => {
+    if (typeof count !== 'number' || !(count >= 0) || count === Infinity) {
+        throw new Error(`Invalid count: ${count} (must be a non-negative number)`);
+    }
+};
+
+// Birthday bound: the chance that `count` random IDs of `length` symbols include a duplicate.
+// expm1 keeps the tiny probabilities of long IDs from rounding to zero
+const collisionProbability = (options = {}) => {
+    const { length = SHORT_ID_LENGTH, alphabet = SHORT_ID_ALPHABET, count } = options;
+    const size = alphabetSymbols(alphabet).length;
+    checkShortIdLength(length);
+    checkCount(count);
+    const pairs = Math.max(0, count * (count - 1) / 2);
+    return -Math.expm1(-pairs / Math.pow(size, length));
+};
+
+// Shortest length whose collisionProbability() for `count` IDs is at most `risk`
+const safeLength = (options = {}) => {
+    const { count, risk = 1e-6, alphabet = SHORT_ID_ALPHABET } = options;
+    const size = alphabetSymbols(alphabet).length;
+    checkCount(count);
+    if (typeof risk !== 'number' || !(risk > 0 && risk < 1)) {
+        throw new Error(`Invalid risk: ${risk} (must be between 0 and 1)`);
+    }
+
+    // pairs / size^length <= -ln(1 - risk) solved for length, then nudged past float rounding
+    const pairs = Math.max(0, count * (count - 1) / 2);
+    let length = Math.max(1, Math.ceil(Math.log(pairs / -Math.log1p(-risk)) / Math.log(size)));
+    while (length > 1 && collisionProbability({ length: length - 1, alphabet, count }) <= risk) {
+        length--;
+    }
+    while (collisionProbability({ length, alphabet, count }) > risk) {
+        length++;
+    }
+    return length;
+};
+
+/**
+ * Thrown when the system clock moves backwards and the generator cannot recover safely
+ */
+class ClockRegressionError extends Error {
+    constructor(lastTimestamp, currentTimestamp) {
+        super(`Clock moved backwards by ${lastTimestamp - currentTimestamp}ms`);
+        this.name = 'ClockRegressionError';
+        this.lastTimestamp = lastTimestamp;
+        this.currentTimestamp = currentTimestamp;
+        this.drift = lastTimestamp - currentTimestamp;
+    }
+}
+
+/**
+ * Thrown when a tick's sequence space is exhausted and the overflow policy is 'throw'
+ */
+class SequenceOverflowError extends Error {
+    constructor(timestamp, capacity = MAX_SEQUENCE + 1) {
+        super(`Sequence exhausted: more than ${capacity} IDs requested within one clock tick`);
+        this.name = 'SequenceOverflowError';
+        this.timestamp = timestamp;
+    }
+}
 
 /**
  * Enhanced UUSID Generator with multiple formats and advanced features
  */
 class UUSIDGenerator {
     constructor(options = {}) {
-        this.nodeId = options.nodeId || this.generateNodeId();
+        // Injection points for an external RNG (HSM, seeded PRNG) and a fake clock
+        for (const hook of ['random', 'now']) {
+            if (options[hook] != null && typeof options[hook] !== 'function') {
+                throw new Error(`options.${hook} must be a function`);
+            }
+        }
+        this.random = options.random || crypto.randomBytes;
+        this.now = options.now || Date.now;
+        this.customClock = Boolean(options.now);
+        this.customRandom = Boolean(options.random);
+        this.nodeIdStrategy = options.nodeIdStrategy || (options.nodeId ? 'explicit' : 'random');
+        if (!NODE_ID_STRATEGIES.includes(this.nodeIdStrategy)) {
+            throw new Error(`Unsupported nodeIdStrategy: ${options.nodeIdStrategy}`);
+        }
+        if (options.nodeId && this.nodeIdStrategy !== 'explicit') {
+            throw new Error(`nodeId cannot be combined with nodeIdStrategy '${this.nodeIdStrategy}'`);
+        }
+        this.nodeIdEnv = options.nodeIdEnv || 'HOSTNAME';
+        this.nodeId = this.generateNodeId(options.nodeId);
+        // A slot (explicit, or leased from leaseDir) replaces the low bits of the node ID
+        this.nodeSlot = null;
+        this.lease = null;
+        this.leaseDir = options.leaseDir || null;
+        this.leaseTtl = options.leaseTtl ?? LEASE_TTL;
+        const nodeSlot = options.nodeSlot ?? (this.leaseDir ? 'lease' : null);
+        if (nodeSlot === 'lease') {
+            if (!this.leaseDir) {
+                throw new Error("nodeSlot 'lease' requires options.leaseDir");
+            }
+            this.leaseNodeSlot();
+        } else if (nodeSlot !== null) {
+            this.applyNodeSlot(nodeSlot);
+        }
         this.clockSeq = options.clockSeq || this.generateClockSeq();
-        this.lastTimestamp = 0;
-        this.sequenceCounter = 0;
+        this.uuidVersion = options.version || 1;
+        if (!SUPPORTED_VERSIONS.includes(this.uuidVersion)) {
+            throw new Error(`Unsupported UUID version: ${options.version}`);
+        }
+        // Custom epoch for private layouts (null = the RFC default per layout)
+        this.epoch = options.epoch != null ? new Date(options.epoch).getTime() : null;
+        if (Number.isNaN(this.epoch)) {
+            throw new Error(`Invalid epoch: ${options.epoch}`);
+        }
+        // UUID layouts have fixed-width timestamp fields; only Snowflake IDs can resize theirs
+        if (options.timestampBits != null) {
+            throw new Error('timestampBits only applies to SnowflakeGenerator; UUID timestamp fields have a fixed width');
+        }
+        this.precision = options.precision || 'ms';
+        if (!PRECISIONS.includes(this.precision)) {
+            throw new Error(`Unsupported precision: ${options.precision} (use 'ms' or 'high')`);
+        }
+        // Sub-millisecond units: 100-ns ticks for v1/v6, 12-bit rand_a fraction for v7
+        this.subMsUnits = this.uuidVersion === 7 ? 4096 : 10000;
+        this.anchorClock();
+        this.clockRegression = options.clockRegression || 'increment';
+        if (!CLOCK_REGRESSION_POLICIES.includes(this.clockRegression)) {
+            throw new Error(`Unsupported clockRegression policy: ${options.clockRegression}`);
+        }
+        this.maxClockWait = options.maxClockWait ?? 1000;
+        this.sequenceOverflow = options.sequenceOverflow || 'spin';
+        if (!SEQUENCE_OVERFLOW_POLICIES.includes(this.sequenceOverflow)) {
+            throw new Error(`Unsupported sequenceOverflow policy: ${options.sequenceOverflow}`);
+        }
+        // lastTimestamp, sequenceCounter and the other SEQUENCE_FIELDS live in the shared
+        // registry entry, bound on first use
+        this.sequenceState = null;
+        // Per-tick sequence of the last ID this instance built. Unlike sequenceCounter it is not
+        // shared, so generateObject() reads it even when other generators use the same entry
+        this.issuedSequence = null;
+        // Every ID must sort after the last one any monotonic generator of this layout issued
+        this.monotonic = Boolean(options.monotonic);
+        // Append a check character to generated IDs, and expect one in validate()
+        this.checksum = Boolean(options.checksum);
+        // Largest per-tick sequence value (subclasses with a narrower field lower it)
+        this.maxSequence = MAX_SEQUENCE;
         this.version = '@code_with_sachin/uusid';
         this.prefix = options.prefix || null;
         this.separator = options.separator || '-';
         this.validAfter = options.validAfter ? new Date(options.validAfter).getTime() : null;
         this.validBefore = options.validBefore ? new Date(options.validBefore).getTime() : null;
         this.secretKey = options.secretKey || null;
+        this.ksuidEpoch = options.ksuidEpoch != null ? new Date(options.ksuidEpoch).getTime() : KSUID_EPOCH;
+        if (Number.isNaN(this.ksuidEpoch)) {
+            throw new Error(`Invalid KSUID epoch: ${options.ksuidEpoch}`);
+        }
         this.metrics = {
             totalGenerated: 0,
-            startTime: Date.now(),
+            startTime: this.now(),
             collisions: 0,
+            clockDrift: 0,
             peakRate: 0,
             currentRate: 0,
             rateSamples: []
         };
+        this.stateFile = options.stateFile || null;
+        this.stateReservedUntil = 0;
+        this.savedHighWater = 0;
+        if (this.stateFile) {
+            this.loadState(options);
+        }
+    }
+
+    // RFC 4122 §4.2.1.1 stable storage: restore node ID and clock sequence from the state file
+    loadState(options = {}) {
+        withFileLock(this.stateFile, () => {
+            const state = readStateFile(this.stateFile);
+            if (state) {
+                // Only restore a node ID produced by the same strategy, so switching away
+                // from 'mac' does not keep reusing a stored hardware address
+                if (!options.nodeId && state.nodeId && (state.nodeIdStrategy || 'mac') === this.nodeIdStrategy) {
+                    this.nodeId = this.withNodeSlot(state.nodeId);
+                }
+                // A different node keeps its own random clockSeq
+                if (options.clockSeq == null && state.nodeId === this.nodeId && Number.isInteger(state.clockSeq)) {
+                    this.clockSeq = state.clockSeq;
+                    // The previous run may have issued IDs up to the stored timestamp: bump
+                    // clockSeq past every value its folded-in sequence could have used
+                    if (state.lastTimestamp > this.now()) {
+                        this.clockSeq = (this.clockSeq + (state.sequenceBound || 0) + 1) & MAX_SEQUENCE;
+                    }
+                }
+                // v7 IDs carry no clock sequence: resume after the stored timestamp instead,
+                // running ahead of the clock (as 'borrow' does) until it catches up
+                if (this.uuidVersion === 7 && state.lastTimestamp > this.lastTimestamp) {
+                    this.lastTimestamp = state.lastTimestamp;
+                    this.lastSubMs = 0;
+                    this.borrowedFrom = this.readClock();
+                }
+            }
+            this.writeState(state);
+        });
     }
 
-    // Generate MAC address-based node ID (like UUID1)
-    generateNodeId() {
-        const networkInterfaces = os.networkInterfaces();
-        for (const name of Object.keys(networkInterfaces)) {
-            for (const iface of networkInterfaces[name]) {
-                if (!iface.internal && iface.mac && iface.mac !== '00:00:00:00:00:00') {
-                    return iface.mac.replace(/:/g, '').toLowerCase();
+    // Persist state, reserving timestamps up to STATE_SAVE_INTERVAL ahead. Also saved whenever the
+    // sequence high-water mark doubles, so the stored bound always covers the sequences in use
+    saveState() {
+        if (!this.stateFile) {
+            return;
+        }
+        withFileLock(this.stateFile, () => this.writeState(readStateFile(this.stateFile)));
+    }
+
+    writeState(previous) {
+        const reservedUntil = Math.max(this.lastTimestamp, Math.floor(this.now())) + STATE_SAVE_INTERVAL;
+        // Never move another process's reservation backwards
+        const lastTimestamp = Math.max(reservedUntil, (previous && previous.lastTimestamp) || 0);
+        // Another live process of this node may have bumped clockSeq past ours. Keep its value and
+        // the larger bound, so the next start bumps past both processes rather than onto one of them
+        const sameNode = Boolean(previous) && previous.nodeId === this.nodeId;
+        const clockSeq = sameNode && Number.isInteger(previous.clockSeq) && clockSeqAhead(previous.clockSeq, this.clockSeq)
+            ? previous.clockSeq
+            : this.clockSeq;
+        const sequenceBound = Math.max(Math.min(2 * this.sequenceHighWater, MAX_SEQUENCE), (sameNode && previous.sequenceBound) || 0);
+        writeFileAtomic(this.stateFile, JSON.stringify({
+            lastTimestamp,
+            clockSeq,
+            nodeId: this.nodeId,
+            nodeIdStrategy: this.nodeIdStrategy,
+            sequenceBound
+        }));
+        this.stateReservedUntil = reservedUntil;
+        this.savedHighWater = this.sequenceHighWater;
+    }
+
+    // Generate the 48-bit node ID using the configured nodeIdStrategy
+    generateNodeId(explicitNodeId) {
+        switch (this.nodeIdStrategy) {
+            case 'explicit': {
+                const nodeId = String(explicitNodeId || '').replace(/[:-]/g, '').toLowerCase();
+                if (!/^[0-9a-f]{12}$/.test(nodeId)) {
+                    throw new Error(`Invalid nodeId: ${explicitNodeId} (expected 12 hex digits)`);
+                }
+                this.nodeInfo = { strategy: 'explicit' };
+                return nodeId;
+            }
+            case 'mac': {
+                // MAC address-based node ID (like UUID1); exposes hardware identity
+                const networkInterfaces = os.networkInterfaces();
+                for (const name of Object.keys(networkInterfaces)) {
+                    for (const iface of networkInterfaces[name]) {
+                        if (!iface.internal && iface.mac && iface.mac !== '00:00:00:00:00:00') {
+                            this.nodeInfo = { strategy: 'mac', interface: name };
+                            return iface.mac.replace(/:/g, '').toLowerCase();
+                        }
+                    }
                 }
+                // No usable interface: fall back to a random node ID
+                break;
+            }
+            case 'hostname-hash':
+                this.nodeInfo = { strategy: 'hostname-hash' };
+                return this.hashNodeId(os.hostname());
+            case 'env': {
+                const value = process.env[this.nodeIdEnv];
+                if (!value) {
+                    throw new Error(`nodeIdStrategy 'env' requires the ${this.nodeIdEnv} environment variable`);
+                }
+                this.nodeInfo = { strategy: 'env', env: this.nodeIdEnv };
+                return this.hashNodeId(value);
             }
         }
-        // Fallback to random node ID with multicast bit set
-        const randomBytes = crypto.randomBytes(6);
+
+        // Random node ID with multicast bit set
+        const randomBytes = this.randomBytes(6);
         randomBytes[0] |= 0x01; // Set multicast bit
+        this.nodeInfo = { strategy: 'random' };
         return randomBytes.toString('hex');
     }
 
+    // Put the slot into the low NODE_SLOT_BITS of the node ID
+    applyNodeSlot(slot) {
+        if (!Number.isInteger(slot) || slot < 0 || slot >= NODE_SLOT_COUNT) {
+            throw new Error(`nodeSlot must be 'lease' or an integer from 0 to ${NODE_SLOT_COUNT - 1}`);
+        }
+        this.nodeSlot = slot;
+        this.nodeId = this.withNodeSlot(this.nodeId);
+        this.nodeInfo = { ...this.nodeInfo, slot };
+    }
+
+    withNodeSlot(nodeId) {
+        if (this.nodeSlot === null) {
+            return nodeId;
+        }
+        return `${nodeId.substring(0, 12 - NODE_SLOT_BITS / 4)}${this.nodeSlot.toString(16).padStart(NODE_SLOT_BITS / 4, '0')}`;
+    }
+
+    // Take a slot lease from leaseDir, or renew the one held. If the lease lapsed and another
+    // process took the slot, move to a new one (the node ID changes with it)
+    leaseNodeSlot() {
+        if (this.lease && renewLease(this.lease, this.leaseTtl)) {
+            return;
+        }
+        this.lease = takeLease(this.leaseDir, this.leaseTtl);
+        this.applyNodeSlot(this.lease.slot);
+    }
+
+    // Give the leased slot back before the lease expires. A later generate() takes a new lease
+    releaseNodeSlot() {
+        if (this.lease) {
+            releaseLease(this.lease);
+            this.lease = null;
+        }
+    }
+
+    // Stable node ID from a name: SHA-256 truncated to 48 bits, with the multicast bit
+    // set so it can never collide with a real IEEE 802 address (RFC 4122 §4.5)
+    hashNodeId(name) {
+        const digest = crypto.createHash('sha256').update(name).digest();
+        digest[0] |= 0x01;
+        return digest.subarray(0, 6).toString('hex');
+    }
+
+    // Report which strategy actually produced the node ID ('mac' falls back to 'random'
+    // when no interface has one). The hashed hostname or env value is never exposed
+    getNodeInfo() {
+        return {
+            nodeId: this.nodeId,
+            ...this.nodeInfo,
+            multicast: (parseInt(this.nodeId.substring(0, 2), 16) & 0x01) === 1
+        };
+    }
+
     // Generate random clock sequence
     generateClockSeq() {
-        return crypto.randomBytes(2).readUInt16BE(0) & 0x3fff;
+        return this.randomBytes(2).readUInt16BE(0) & 0x3fff;
+    }
+
+    // Read n bytes from the RNG hook; a custom random() may return any Uint8Array or byte array
+    randomBytes(n) {
+        const bytes = this.random(n);
+        if (!bytes || bytes.length !== n) {
+            throw new Error(`options.random(${n}) must return ${n} bytes`);
+        }
+        return Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes);
+    }
+
+    // Pin the high-resolution clock to the current wall-clock millisecond
+    anchorClock() {
+        this.wallAnchor = Math.floor(this.now());
+        this.hrAnchor = process.hrtime.bigint();
+    }
+
+    // Read the clock as whole milliseconds plus a sub-millisecond part in subMsUnits
+    readClock() {
+        if (this.precision !== 'high') {
+            return { ms: Math.floor(this.now()), subMs: 0 };
+        }
+
+        // An injected clock is read as-is: its fractional milliseconds are the sub-ms part
+        if (this.customClock) {
+            const now = this.now();
+            const ms = Math.floor(now);
+            return { ms, subMs: Math.floor((now - ms) * this.subMsUnits) };
+        }
+
+        const elapsedNs = process.hrtime.bigint() - this.hrAnchor;
+        const ms = this.wallAnchor + Number(elapsedNs / 1000000n);
+        if (Math.abs(ms - this.now()) > HR_RESYNC_MS) {
+            this.anchorClock();
+            return this.readClock();
+        }
+
+        const subMs = Math.floor(Number(elapsedNs % 1000000n) * this.subMsUnits / 1000000);
+        return { ms, subMs };
+    }
+
+    // Registry key for the shared sequence state. The layout and precision are part of it
+    // because they change the units lastTimestamp and lastSubMs are counted in.
+    // v7 IDs carry neither the node ID nor the clock sequence, so all v7 generators of a layout
+    // share one entry. A v7 generator with an injected RNG or clock keeps its own state instead
+    // (null key): its random bits tell its IDs apart, and the same seed and clock must give the
+    // same IDs whatever other generators have issued
+    sequenceKey() {
+        const layout = `${this.uuidVersion}:${this.precision}:${this.layoutEpoch(this.uuidVersion)}`;
+        if (this.uuidVersion === 7) {
+            return this.customRandom || this.customClock ? null : layout;
+        }
+        return `${layout}:${this.nodeId}:${this.clockSeq}`;
+    }
+
+    // Attach to the registry entry for the current node ID and clock sequence
+    bindSequence() {
+        const key = this.sequenceKey();
+        this.sequenceState = key === null ? this.sequenceState || newSequenceState() : sequenceStateFor(key);
+        return this.sequenceState;
+    }
+
+    // Compare a clock reading with the last issued timestamp: -1 before, 0 same tick, 1 after
+    compareClock(clock) {
+        return compareReadings(clock, { ms: this.lastTimestamp, subMs: this.lastSubMs });
+    }
+
+    // The clock is behind the last issued timestamp (e.g. an NTP step): apply the configured policy
+    handleClockRegression(clock) {
+        this.metrics.clockDrift++;
+
+        if (this.clockRegression === 'throw') {
+            throw new ClockRegressionError(this.lastTimestamp, clock.ms);
+        }
+
+        if (this.clockRegression === 'wait') {
+            if (this.lastTimestamp - clock.ms > this.maxClockWait) {
+                throw new ClockRegressionError(this.lastTimestamp, clock.ms);
+            }
+            // An injected clock may never move, so waiting on it is bounded by real time
+            const deadline = Date.now() + this.maxClockWait;
+            let next = clock;
+            while (this.compareClock(next) < 0) {
+                if (this.customClock && Date.now() > deadline) {
+                    throw new ClockRegressionError(this.lastTimestamp, next.ms);
+                }
+                // Busy wait until the clock catches up
+                next = this.readClock();
+            }
+            return next;
+        }
+
+        // v7 has no clock sequence: keep counting from the last timestamp so IDs stay monotonic,
+        // running ahead of the clock as 'borrow' does, so an overflow moves on to the next tick
+        if (this.uuidVersion === 7) {
+            this.borrowedFrom = clock;
+            return { ms: this.lastTimestamp, subMs: this.lastSubMs };
+        }
+
+        // RFC 4122 §4.2.1: change the clock sequence. The per-tick sequence is folded into it,
+        // so step past every value already used, not just by one
+        this.clockSeq = (this.clockSeq + this.sequenceHighWater + 1) & MAX_SEQUENCE;
+        this.bindSequence();
+        this.sequenceHighWater = 0;
+        this.saveState();
+        return clock;
+    }
+
+    // The current tick has no sequence numbers left: apply the configured policy
+    handleSequenceOverflow(clock) {
+        if (this.sequenceOverflow === 'throw') {
+            this.sequenceCounter = this.maxSequence;
+            throw new SequenceOverflowError(this.lastTimestamp, this.maxSequence + 1);
+        }
+
+        // Already running ahead of the clock, spinning would sit out the whole gap, and an injected
+        // clock may never tick at all: borrow instead
+        if (this.sequenceOverflow === 'borrow' || this.borrowedFrom || this.customClock) {
+            // Run ahead of the clock by one tick; later readings that are still behind
+            // it are treated as the same tick rather than as a clock regression
+            this.borrowedFrom = clock;
+            return this.precision === 'high' && this.lastSubMs + 1 < this.subMsUnits
+                ? { ms: this.lastTimestamp, subMs: this.lastSubMs + 1 }
+                : { ms: this.lastTimestamp + 1, subMs: 0 };
+        }
+
+        // Wait for next clock tick
+        let next = clock;
+        while (this.compareClock(next) <= 0) {
+            // Busy wait
+            next = this.readClock();
+        }
+        return next;
+    }
+
+    // True when generate() would have to wait for the next tick (used by the async API)
+    sequenceExhausted() {
+        this.bindSequence();
+        return !this.borrowedFrom && !this.customClock && this.sequenceCounter >= this.maxSequence && this.compareClock(this.readClock()) <= 0;
     }
 
     // Get timestamp in 100-nanosecond intervals since UUID epoch
     getTimestamp() {
-        const now = Date.now();
-        if (now === this.lastTimestamp) {
+        if (this.leaseDir && (!this.lease || Date.now() >= this.lease.renewAt)) {
+            this.leaseNodeSlot();
+        }
+        // Re-resolve on every call: the node ID or clock sequence may have changed, or the entry was pruned
+        this.bindSequence().touchedAt = Date.now();
+        let clock = this.readClock();
+        let order = this.compareClock(clock);
+        if (order < 0) {
+            if (this.borrowedFrom && compareReadings(clock, this.borrowedFrom) >= 0) {
+                // Still running ahead on borrowed ticks
+                this.borrowedFrom = clock;
+                clock = { ms: this.lastTimestamp, subMs: this.lastSubMs };
+            } else {
+                clock = this.handleClockRegression(clock);
+            }
+            order = this.compareClock(clock);
+        } else {
+            this.borrowedFrom = null;
+        }
+
+        if (order === 0) {
             this.sequenceCounter++;
-            if (this.sequenceCounter > 0xffff) {
-                // Wait for next millisecond
-                while (Date.now() === this.lastTimestamp) {
-                    // Busy wait
-                }
+            if (this.sequenceCounter > this.maxSequence) {
+                clock = this.handleSequenceOverflow(clock);
                 this.sequenceCounter = 0;
-                this.lastTimestamp = Date.now();
+                this.lastTimestamp = clock.ms;
+                this.lastSubMs = clock.subMs;
             }
         } else {
             this.sequenceCounter = 0;
-            this.lastTimestamp = now;
+            this.lastTimestamp = clock.ms;
+            this.lastSubMs = clock.subMs;
+        }
+        this.sequenceHighWater = Math.max(this.sequenceHighWater, this.sequenceCounter);
+        if (this.stateFile && (this.lastTimestamp >= this.stateReservedUntil || this.sequenceHighWater > 2 * this.savedHighWater)) {
+            this.saveState();
         }
 
-        // UUID epoch is October 15, 1582
-        const uuidEpoch = new Date('1582-10-15').getTime();
-        const timestamp = (this.lastTimestamp - uuidEpoch) * 10000;
-        return { timestamp, sequence: this.sequenceCounter };
+        // Time since the epoch: ms for v7, 100-ns ticks for v1/v6. Ticks exceed 2^53, so keep them as BigInt
+        const elapsedMs = BigInt(this.lastTimestamp - this.layoutEpoch(this.uuidVersion));
+        const timestamp = this.uuidVersion === 7 ? elapsedMs : elapsedMs * 10000n + BigInt(this.lastSubMs);
+        return { timestamp, subMs: this.lastSubMs, sequence: this.sequenceCounter };
     }
 
     // Core generation method
     generate() {
-        const { timestamp, sequence } = this.getTimestamp();
-
         // Update metrics
         this.updateMetrics();
 
+        const uuid = this.monotonic ? this.nextMonotonicId() : this.nextId();
+        const id = this.prefix ? `${this.prefix}${this.separator}${uuid}` : uuid;
+        return this.checksum ? this.addChecksum(id) : id;
+    }
+
+    // Generate the 16 ID bytes without building a string; any prefix is dropped
+    generateBytes() {
+        this.updateMetrics();
+        return this.monotonic ? this.nextMonotonicId(() => this.nextBytes()) : this.nextBytes();
+    }
+
+    // Generate an immutable UUSID object, which keeps this generator's prefix and layout.
+    // Like base32(), it goes through a subclass's own generate()
+    generateObject() {
+        this.issuedSequence = null;
+        const bytes = this.bytesFor('generateObject');
+        return new UUSID(bytes.toString('hex'), { generator: this, prefix: this.prefix, sequence: this.issuedSequence });
+    }
+
+    // Build one unprefixed ID from the next timestamp and sequence
+    nextId() {
+        return this.formatHex(this.nextBytes().toString('hex'));
+    }
+
+    nextBytes() {
+        const { timestamp, subMs, sequence } = this.getTimestamp();
+        this.issuedSequence = sequence;
+
         // Time-based validation
-        if (this.validAfter && Date.now() < this.validAfter) {
+        this.checkValidityWindow();
+        this.checkTimestampRange(timestamp);
+
+        const bytes = Buffer.alloc(16);
+        if (this.uuidVersion === 7) {
+            this.writeV7(bytes, Number(timestamp), subMs, sequence);
+        } else if (this.uuidVersion === 6) {
+            this.writeV6(bytes, timestamp, sequence);
+        } else {
+            this.writeV1(bytes, timestamp, sequence);
+        }
+        return bytes;
+    }
+
+    // Issue an ID (string or bytes, from `next`) that sorts after the last one from any
+    // monotonic generator of this layout. Another node ID or clock sequence in the same tick
+    // can sort lower; skipping one tick past the last issued ID fixes that, as its time bits then lead
+    nextMonotonicId(next = () => this.nextId()) {
+        const scope = this.monotonicScope();
+        const last = lastMonotonic.get(scope);
+        let id = next();
+        if (last && !(this.orderKey(id) > last.key)) {
+            this.skipPast(last.tick);
+            id = next();
+        }
+        lastMonotonic.set(scope, { key: this.orderKey(id), tick: { ms: this.lastTimestamp, subMs: this.lastSubMs } });
+        return id;
+    }
+
+    // Layouts whose IDs are compared with each other by the monotonic option
+    monotonicScope() {
+        return `${this.uuidVersion}:${this.layoutEpoch(this.uuidVersion)}`;
+    }
+
+    // Sort key of an unprefixed ID or its bytes, as a BigInt. v1 stores the low time bits
+    // first, so it is compared in its time-first (v6) field order
+    orderKey(id) {
+        const bytes = typeof id === 'string' ? Buffer.from(id.split(this.separator).join(''), 'hex') : id;
+        const high = bytes.readBigUInt64BE(0);
+        const low = bytes.readBigUInt64BE(8);
+        if (this.uuidVersion !== 1) {
+            return (high << 64n) | low;
+        }
+        const time = ((high & 0xfffn) << 48n) | (((high >> 16n) & 0xffffn) << 32n) | (high >> 32n);
+        return (time << 64n) | low;
+    }
+
+    // Move the shared state to the tick after `tick`, borrowing it if the clock is not there yet
+    skipPast(tick) {
+        const next = this.precision === 'high' && tick.subMs + 1 < this.subMsUnits
+            ? { ms: tick.ms, subMs: tick.subMs + 1 }
+            : { ms: tick.ms + 1, subMs: 0 };
+        this.borrowedFrom = this.readClock();
+        this.lastTimestamp = next.ms;
+        this.lastSubMs = next.subMs;
+        this.sequenceCounter = -1;
+    }
+
+    // Epoch of a layout's timestamp: the epoch option, else Unix (v7) or Gregorian (v1/v6)
+    layoutEpoch(version) {
+        return this.epoch ?? (version === 7 ? 0 : UUID_EPOCH);
+    }
+
+    // Throw rather than wrap when the time since the epoch does not fit the timestamp
+    // field: a wrapped timestamp would silently break ordering and decoding
+    checkTimestampRange(timestamp) {
+        const bits = TIMESTAMP_FIELD_BITS[this.uuidVersion];
+        if (timestamp < 0n) {
+            throw new Error(`Current time is before the epoch ${new Date(this.layoutEpoch(this.uuidVersion)).toISOString()}`);
+        }
+        if (timestamp >= 1n << BigInt(bits)) {
+            throw new Error(`Timestamp overflows the ${bits}-bit field; use a later epoch`);
+        }
+    }
+
+    // Refuse to generate outside the validAfter/validBefore window
+    checkValidityWindow() {
+        if (this.validAfter && this.now() < this.validAfter) {
             throw new Error('Generation not allowed: Current time is before valid-after time');
         }
-        if (this.validBefore && Date.now() > this.validBefore) {
+        if (this.validBefore && this.now() > this.validBefore) {
             throw new Error('Generation not allowed: Current time is after valid-before time');
         }
+    }
 
-        // Build UUID components in standard UUID format (8-4-4-4-12)
+    // Clock sequence and node fields shared by the v1 and v6 layouts (bytes 8-15)
+    writeClockSeqNode(bytes, sequence) {
         // Incorporate sequence into clockSeq for uniqueness
-        const absTimestamp = Math.abs(timestamp);
-        const timeLow = ((absTimestamp & 0xffffffff) >>> 0).toString(16).padStart(8, '0');
-        const timeMid = (Math.floor(absTimestamp / 0x100000000) & 0xffff).toString(16).padStart(4, '0');
-        const timeHigh = ((Math.floor(absTimestamp / 0x1000000000000) & 0x0fff) | 0x1000).toString(16).padStart(4, '0');
-        const clockSeqWithSeq = ((this.clockSeq + sequence) & 0xffff);
-        const clockSeqHigh = ((clockSeqWithSeq >> 8) | 0x80).toString(16).padStart(2, '0');
-        const clockSeqLow = (clockSeqWithSeq & 0xff).toString(16).padStart(2, '0');
-        const node = this.nodeId.padStart(12, '0');
+        const clockSeqWithSeq = ((this.clockSeq + sequence) & MAX_SEQUENCE);
+        bytes[8] = (clockSeqWithSeq >> 8) | 0x80;
+        bytes[9] = clockSeqWithSeq & 0xff;
+        bytes.write(this.nodeId.padStart(12, '0'), 10, 6, 'hex');
+    }
+
+    // UUID v1 fields (8-4-4-4-12): time_low, time_mid, version + time_high, then clock sequence and node
+    writeV1(bytes, timestamp, sequence) {
+        const ts = timestamp & 0xfffffffffffffffn;
+        bytes.writeUInt32BE(Number(ts & 0xffffffffn), 0);
+        bytes.writeUInt16BE(Number((ts >> 32n) & 0xffffn), 4);
+        bytes.writeUInt16BE(0x1000 | Number(ts >> 48n), 6);
+        this.writeClockSeqNode(bytes, sequence);
+    }
 
-        const uuid = `${timeLow}${this.separator}${timeMid}${this.separator}${timeHigh}${this.separator}${clockSeqHigh}${clockSeqLow}${this.separator}${node}`;
+    // RFC 9562 UUIDv6: same fields as v1, with the timestamp stored most significant first
+    writeV6(bytes, timestamp, sequence) {
+        const ts = timestamp & 0xfffffffffffffffn;
+        bytes.writeUInt32BE(Number(ts >> 28n), 0);
+        bytes.writeUInt16BE(Number((ts >> 12n) & 0xffffn), 4);
+        bytes.writeUInt16BE(0x6000 | Number(ts & 0xfffn), 6);
+        this.writeClockSeqNode(bytes, sequence);
+    }
+
+    // RFC 9562 UUIDv7: 48-bit ms timestamp (Unix epoch unless overridden), then a counter, then random bits
+    writeV7(bytes, elapsedMs, subMs, sequence) {
+        const random = this.randomBytes(8);
+
+        let randA;
+        let randBHigh;
+        if (this.precision === 'high') {
+            // RFC 9562 method 3: rand_a carries the sub-millisecond fraction, and the
+            // 14-bit sequence moves to the top of rand_b
+            randA = subMs;
+            randBHigh = sequence;
+        } else {
+            // The 14-bit sequence fills rand_a (12 bits) and the top two bits of rand_b,
+            // so IDs minted in the same millisecond still sort in generation order
+            randA = sequence >> 2;
+            randBHigh = ((sequence & 0x03) << 12) | ((random[0] & 0x0f) << 8) | random[1];
+        }
 
-        return this.prefix ? `${this.prefix}${this.separator}${uuid}` : uuid;
+        bytes.writeUIntBE(elapsedMs, 0, 6);
+        bytes.writeUInt16BE(0x7000 | (randA & 0x0fff), 6);
+        bytes.writeUInt16BE(0x8000 | (randBHigh & MAX_SEQUENCE), 8);
+        random.copy(bytes, 10, 2);
     }
 
     // Generate multiple IDs efficiently
@@ -111,6 +1154,25 @@ class UUSIDGenerator {
         return batch;
     }
 
+    // Non-blocking generation: yields to the event loop instead of spinning when the sequence is exhausted
+    async generateAsync() {
+        while (this.sequenceExhausted()) {
+            await yieldToEventLoop();
+        }
+        return this.generate();
+    }
+
+    async generateBatchAsync(count) {
+        const batch = [];
+        for (let i = 0; i < count; i++) {
+            while (this.sequenceExhausted()) {
+                await yieldToEventLoop();
+            }
+            batch.push(this.generate());
+        }
+        return batch;
+    }
+
     // Generate sorted batch (chronologically ordered)
     generateSortedBatch(count) {
         const batch = this.generateBatch(count);
@@ -121,13 +1183,41 @@ class UUSIDGenerator {
         });
     }
 
-    // Alternative format: Base32
-    base32() {
-        const uuid = this.generate();
-        // Convert to hex string (remove separators) then to buffer for Base32 encoding
-        const hexString = uuid.replace(new RegExp(this.separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), '');
-        const buffer = Buffer.from(hexString, 'hex');
-        return this.toBase32(buffer);
+    // 16 ID bytes for base32(), base58(), base62() and generateObject(). A subclass that overrides generate() but
+    // not generateBytes() keeps its behaviour: its own IDs are generated and then encoded
+    bytesFor(format) {
+        const ownGenerate = this.generate !== UUSIDGenerator.prototype.generate
+            && this.generateBytes === UUSIDGenerator.prototype.generateBytes;
+        if (!ownGenerate) {
+            return this.generateBytes();
+        }
+        const id = this.generate();
+        return this.toBytes(this.checksum ? this.stripChecksum(id) : id);
+    }
+
+    // Alternative format: Base32 (RFC 4648 by default, or Crockford with an optional check symbol)
+    base32(options = {}) {
+        const encoding = options.encoding || 'rfc4648';
+        if (!BASE32_ENCODINGS.includes(encoding)) {
+            throw new Error(`Unsupported Base32 encoding: ${options.encoding} (use 'rfc4648' or 'crockford')`);
+        }
+        // Any prefix is dropped, as only the 16 ID bytes are encoded
+        const bytes = this.bytesFor('base32');
+        if (encoding === 'crockford') {
+            return hexToCrockford(bytes.toString('hex'), options.checkSymbol ?? this.checksum);
+        }
+        const text = this.toBase32(bytes);
+        return this.checksum ? `${text}${checkCharacter(text, BASE32_ALPHABET)}` : text;
+    }
+
+    // Canonical form of a base32() ID. Without options.encoding, an uppercase 26-character
+    // RFC 4648 string is read as RFC 4648 and anything else as Crockford
+    fromBase32(text, options = {}) {
+        const encoding = options.encoding || (BASE32_PATTERN.test(text) ? 'rfc4648' : 'crockford');
+        if (!BASE32_ENCODINGS.includes(encoding)) {
+            throw new Error(`Unsupported Base32 encoding: ${options.encoding} (use 'rfc4648' or 'crockford')`);
+        }
+        return this.formatHex(encoding === 'crockford' ? crockfordToHex(text) : base32ToHex(text));
     }
 
     // Alternative format: URL-safe
@@ -142,6 +1232,157 @@ class UUSIDGenerator {
         return uuid.replace(new RegExp(this.separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g'), '');
     }
 
+    // Alternative format: URL-safe Base64 (22 chars, no padding; any prefix is dropped)
+    base64url() {
+        return hexToBase64url(this.bytesFor('base64url').toString('hex'));
+    }
+
+    // Canonical form of a base64url() ID
+    fromBase64url(text) {
+        return this.formatHex(base64urlToHex(text));
+    }
+
+    // Alternative format: Base58 (22 chars, no 0/O/I/l; any prefix is dropped)
+    base58() {
+        return this.toBase58(this.bytesFor('base58'));
+    }
+
+    // Canonical form of a base58() ID
+    fromBase58(text) {
+        return this.formatHex(baseNToHex(text, BASE58_ALPHABET, 'Base58'));
+    }
+
+    // Alternative format: Base62 (22 alphanumeric chars; any prefix is dropped)
+    base62() {
+        return this.toBase62(this.bytesFor('base62'));
+    }
+
+    // Canonical form of a base62() ID
+    fromBase62(text) {
+        return this.formatHex(baseNToHex(text, BASE62_ALPHABET, 'Base62'));
+    }
+
+    // nanoid-style random ID of `length` symbols from `alphabet`. Bytes are masked to the next
+    // power of two and out-of-range ones rejected; reducing them modulo the alphabet size
+    // would favour its first symbols
+    shortId(options = {}) {
+        const { length = SHORT_ID_LENGTH, alphabet = SHORT_ID_ALPHABET } = options;
+        const symbols = alphabetSymbols(alphabet);
+        checkShortIdLength(length);
+
+        const mask = (2 << (31 - Math.clz32((symbols.length - 1) | 1))) - 1;
+        // Enough bytes that one draw usually fills the ID
+        const step = Math.ceil(1.6 * mask * length / symbols.length);
+        let id = '';
+        let produced = 0;
+        while (produced < length) {
+            const bytes = this.randomBytes(step);
+            for (let i = 0; i < step && produced < length; i++) {
+                const index = bytes[i] & mask;
+                if (index < symbols.length) {
+                    id += symbols[index];
+                    produced++;
+                }
+            }
+        }
+        return id;
+    }
+
+    // ULID (Crockford Base32, 48-bit ms timestamp + 80 random bits)
+    ulid() {
+        this.updateMetrics();
+        this.checkValidityWindow();
+        const random = BigInt(`0x${this.randomBytes(10).toString('hex')}`);
+        return this.formatUlid(Math.floor(this.now()), random);
+    }
+
+    // Returns a ulid() variant that stays strictly increasing within a millisecond by
+    // incrementing the previous random part (and ignores backward clock moves)
+    monotonicUlid() {
+        let lastTime = -1;
+        let lastRandom = 0n;
+        return () => {
+            this.updateMetrics();
+            this.checkValidityWindow();
+            const time = Math.floor(this.now());
+            if (time > lastTime) {
+                lastTime = time;
+                lastRandom = BigInt(`0x${this.randomBytes(10).toString('hex')}`);
+            } else if (lastRandom === ULID_MAX_RANDOM) {
+                throw new Error('ULID random component exhausted within one millisecond');
+            } else {
+                lastRandom++;
+            }
+            return this.formatUlid(lastTime, lastRandom);
+        };
+    }
+
+    formatUlid(time, random) {
+        if (time < 0 || time > ULID_MAX_TIME) {
+            throw new Error(`ULID timestamp out of range: ${time}`);
+        }
+        return hexToUlid(time.toString(16).padStart(12, '0') + random.toString(16).padStart(20, '0'));
+    }
+
+    decodeUlid(ulid) {
+        const hex = ulidToHex(ulid);
+        const timestamp = parseInt(hex.substring(0, 12), 16);
+        return {
+            timestamp,
+            date: new Date(timestamp),
+            random: hex.substring(12)
+        };
+    }
+
+    // Same 128 bits in UUID form; the result carries no RFC version/variant bits
+    ulidToUuid(ulid) {
+        return this.formatHex(ulidToHex(ulid));
+    }
+
+    uuidToUlid(id) {
+        return hexToUlid(this.splitId(id).hex);
+    }
+
+    // KSUID (27-char Base62: 32-bit seconds since ksuidEpoch + 128-bit random payload)
+    ksuid() {
+        this.updateMetrics();
+        this.checkValidityWindow();
+        const seconds = Math.floor((this.now() - this.ksuidEpoch) / 1000);
+        if (seconds < 0 || seconds > 0xffffffff) {
+            throw new Error(`KSUID timestamp out of range for epoch ${new Date(this.ksuidEpoch).toISOString()}`);
+        }
+        const payload = this.randomBytes(16).toString('hex');
+        const value = BigInt(`0x${seconds.toString(16).padStart(8, '0')}${payload}`);
+        return encodeBigInt(value, BASE62_ALPHABET, KSUID_LENGTH);
+    }
+
+    parseKsuid(ksuid) {
+        const hex = parseKsuidValue(ksuid).toString(16).padStart(40, '0');
+        const timestamp = this.ksuidEpoch + parseInt(hex.substring(0, 8), 16) * 1000;
+        return {
+            timestamp,
+            date: new Date(timestamp),
+            payload: hex.substring(8)
+        };
+    }
+
+    // Adjacent KSUIDs in sort order, for exclusive range-scan bounds
+    ksuidNext(ksuid) {
+        const value = parseKsuidValue(ksuid);
+        if (value === KSUID_MAX) {
+            throw new Error('KSUID has no successor');
+        }
+        return encodeBigInt(value + 1n, BASE62_ALPHABET, KSUID_LENGTH);
+    }
+
+    ksuidPrev(ksuid) {
+        const value = parseKsuidValue(ksuid);
+        if (value === 0n) {
+            throw new Error('KSUID has no predecessor');
+        }
+        return encodeBigInt(value - 1n, BASE62_ALPHABET, KSUID_LENGTH);
+    }
+
     // Alternative format: Hierarchical
     hierarchical(options = {}) {
         const { levels = 3, separator = '.', parent = null } = options;
@@ -171,7 +1412,11 @@ class UUSIDGenerator {
 
     // Content-based (deterministic) ID generation
     fromContent(content, options = {}) {
-        const { namespace = 'default', algorithm = 'sha256' } = options;
+        const { namespace = 'default', algorithm = 'sha256', rfc = null } = options;
+        if (rfc) {
+            return this.nameBased(content, namespace, rfc);
+        }
+
         const hash = crypto.createHash(algorithm);
         hash.update(namespace);
         hash.update(content);
@@ -187,6 +1432,35 @@ class UUSIDGenerator {
         ].join(this.separator);
     }
 
+    // RFC 9562 name-based ID: hash(namespace bytes + name), then set version and variant
+    nameBased(content, namespace, rfc) {
+        const layout = NAME_BASED_VERSIONS[rfc];
+        if (!layout) {
+            throw new Error(`Unsupported name-based version: ${rfc} (use 'v3', 'v5' or 'v8')`);
+        }
+
+        const namespaceHex = this.resolveNamespace(namespace);
+        const hash = crypto.createHash(layout.algorithm);
+        hash.update(Buffer.from(namespaceHex, 'hex'));
+        hash.update(content);
+        const bytes = hash.digest().subarray(0, 16);
+
+        bytes[6] = (bytes[6] & 0x0f) | (layout.version << 4);
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+        return this.formatHex(bytes.toString('hex'));
+    }
+
+    // Accept a standard namespace name (DNS, URL, OID, X500) or any UUID
+    resolveNamespace(namespace) {
+        const standard = NAMESPACES[String(namespace).toUpperCase()];
+        const hex = (standard || String(namespace)).replace(/-/g, '').toLowerCase();
+        if (!/^[0-9a-f]{32}$/.test(hex)) {
+            throw new Error('Name-based IDs require a UUID namespace or one of DNS, URL, OID, X500');
+        }
+        return hex;
+    }
+
     // Encryption support
     encrypt(data) {
         if (!this.secretKey) {
@@ -194,7 +1468,7 @@ class UUSIDGenerator {
         }
 
         const key = Buffer.from(this.secretKey.padEnd(32, '0').substring(0, 32));
-        const iv = crypto.randomBytes(16);
+        const iv = this.randomBytes(16);
         const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
         let encrypted = cipher.update(data, 'utf8', 'hex');
         encrypted += cipher.final('hex');
@@ -225,7 +1499,7 @@ class UUSIDGenerator {
 
     // Validation methods
     validate(id, options = {}) {
-        const { strict = false, allowPrefix = true } = options;
+        const { strict = false, allowPrefix = true, version = null, checksum = this.checksum } = options;
 
         let cleanId = id;
 
@@ -234,6 +1508,35 @@ class UUSIDGenerator {
             cleanId = id.substring(this.prefix.length + 1);
         }
 
+        // The check character is verified, then the rest is validated as a plain ID
+        if (checksum) {
+            try {
+                cleanId = this.stripChecksum(cleanId);
+            } catch (error) {
+                return { valid: false, isValid: false, reason: error.message, version: null, entropy: 0 };
+            }
+        }
+
+        // Base32 and Base64url IDs are checked in their canonical form
+        const encoding = this.idEncoding(cleanId);
+        if (encoding) {
+            try {
+                cleanId = this.decodeIdEncoding(cleanId, encoding);
+            } catch (error) {
+                return { valid: false, isValid: false, reason: error.message, version: null, entropy: 0 };
+            }
+        }
+
+        // Compact and URL-safe IDs are checked in their dashed form
+        if (/^[0-9a-f]{32}$/i.test(cleanId)) {
+            cleanId = this.formatHex(cleanId);
+        }
+
+        // ULIDs carry no RFC bits, so strict mode does not apply to them
+        if (ULID_PATTERN.test(cleanId)) {
+            return this.validateUlid(cleanId);
+        }
+
         // Create dynamic regex based on current separator
         const escapedSeparator = this.separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
         const uuidRegex = new RegExp(`^[0-9a-f]{8}${escapedSeparator}[0-9a-f]{4}${escapedSeparator}[0-9a-f]{4}${escapedSeparator}[0-9a-f]{4}${escapedSeparator}[0-9a-f]{12}$`, 'i');
@@ -250,11 +1553,22 @@ class UUSIDGenerator {
 
         // Calculate entropy (approximate)
         const hexString = cleanId.replace(new RegExp(escapedSeparator, 'g'), '');
-        const entropy = hexString.split('').reduce((acc, char, i, arr) => {
-            const charCount = arr.filter(c => c === char).length;
-            const probability = charCount / arr.length;
-            return acc - probability * Math.log2(probability);
-        }, 0);
+        const entropy = charEntropy(hexString);
+
+        // Strict mode: version nibble and variant bits must follow RFC 9562
+        if (strict) {
+            const bitErrors = this.checkRfcBits(hexString, version);
+            if (bitErrors.length > 0) {
+                return {
+                    valid: false,
+                    isValid: false,
+                    reason: bitErrors.map(error => error.message).join('; '),
+                    version: 'uusid',
+                    entropy: entropy,
+                    bitErrors: bitErrors
+                };
+            }
+        }
 
         // Time range validation
         try {
@@ -287,33 +1601,421 @@ class UUSIDGenerator {
             };
         }
 
-        return {
-            valid: true,
-            isValid: true,
-            version: 'uusid',
-            entropy: entropy
-        };
+        return {
+            valid: true,
+            isValid: true,
+            version: 'uusid',
+            uuidVersion: parseInt(hexString[12], 16),
+            entropy: entropy
+        };
+    }
+
+    validateUlid(ulid) {
+        const entropy = charEntropy(ulid.toUpperCase());
+        const { timestamp } = this.decodeUlid(ulid);
+        if (this.validAfter && timestamp < this.validAfter) {
+            return { valid: false, isValid: false, reason: 'Before valid range', version: 'ulid', entropy };
+        }
+        if (this.validBefore && timestamp > this.validBefore) {
+            return { valid: false, isValid: false, reason: 'After valid range', version: 'ulid', entropy };
+        }
+        return { valid: true, isValid: true, version: 'ulid', entropy };
+    }
+
+    // Report which RFC 9562 version/variant bits of a 32-digit hex ID are wrong
+    checkRfcBits(hexString, expectedVersion = null) {
+        const errors = [];
+        const toBits = (value, width) => value.toString(2).padStart(width, '0');
+
+        const versionNibble = parseInt(hexString[12], 16);
+        const versionOk = expectedVersion
+            ? versionNibble === expectedVersion
+            : versionNibble >= 1 && versionNibble <= 8;
+        if (!versionOk) {
+            const expected = expectedVersion ? toBits(expectedVersion, 4) : '0001-1000';
+            errors.push({
+                field: 'version',
+                bits: '48-51',
+                expected: expected,
+                actual: toBits(versionNibble, 4),
+                message: `Version bits 48-51 are ${toBits(versionNibble, 4)}, expected ${expected}`
+            });
+        }
+
+        const variantBits = parseInt(hexString[16], 16) >> 2;
+        if (variantBits !== 0b10) {
+            errors.push({
+                field: 'variant',
+                bits: '64-65',
+                expected: '10',
+                actual: toBits(variantBits, 2),
+                message: `Variant bits 64-65 are ${toBits(variantBits, 2)}, expected 10`
+            });
+        }
+
+        return errors;
+    }
+
+    // Alternative encoding an ID is written in: 'base32' (RFC 4648), 'crockford', 'base64url' or
+    // null. 26 RFC 4648 characters can also spell a ULID, so they only count as Base32 when
+    // they decode to UUID version and variant bits; Crockford IDs are recognised by their hyphens
+    idEncoding(id) {
+        if (typeof id !== 'string') {
+            return null;
+        }
+        if (BASE32_PATTERN.test(id) && hasRfcBits(base32ToHex(id))) {
+            return 'base32';
+        }
+        if (id.includes('-') && CROCKFORD_ID_PATTERN.test(normalizeCrockford(id))) {
+            return 'crockford';
+        }
+        if (BASE64URL_PATTERN.test(id)) {
+            return 'base64url';
+        }
+        return null;
+    }
+
+    decodeIdEncoding(id, encoding) {
+        if (encoding === 'base64url') {
+            return this.fromBase64url(id);
+        }
+        return this.fromBase32(id, { encoding: encoding === 'base32' ? 'rfc4648' : 'crockford' });
+    }
+
+    // Extract timestamp from ID
+    extractTimestamp(id) {
+        const encoding = this.idEncoding(id);
+        if (encoding) {
+            id = this.decodeIdEncoding(id, encoding);
+        }
+        if (ULID_PATTERN.test(id)) {
+            return this.decodeUlid(id).timestamp;
+        }
+
+        // Remove separators (handle both custom separator and dots from hierarchical IDs)
+        const escapedSeparator = this.separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const cleanId = id.replace(new RegExp(escapedSeparator, 'g'), '').replace(/\./g, '');
+
+        if (cleanId.length < 32) {
+            throw new Error('Invalid ID format for timestamp extraction');
+        }
+
+        return this.timestampFromHex(cleanId);
+    }
+
+    // Timestamp of 32 hex digits, read with this generator's layout and epoch
+    timestampFromHex(hex) {
+        // UUIDv7 stores milliseconds since the epoch (Unix by default) in the first 48 bits
+        if (hex[12] === '7') {
+            return this.layoutEpoch(7) + parseInt(hex.substring(0, 12), 16);
+        }
+
+        // v6 keeps the v1 timestamp but stores it most significant first
+        const version = hex[12] === '6' ? 6 : 1;
+        const timestampHex = version === 6
+            ? hex.substring(0, 12) + hex.substring(13, 16)
+            : hex.substring(13, 16) + hex.substring(8, 12) + hex.substring(0, 8);
+
+        const timestamp = BigInt(`0x${timestampHex}`);
+
+        // Convert from 100-nanosecond intervals to milliseconds, keeping the sub-ms fraction
+        return this.layoutEpoch(version) + Number(timestamp / 10000n) + Number(timestamp % 10000n) / 10000;
+    }
+
+    // Append the check character of a dashed, compact or prefixed ID, computed over its 32 hex digits
+    addChecksum(id) {
+        return `${id}${checkCharacter(this.splitId(id).hex, HEX_ALPHABET)}`;
+    }
+
+    // Verify and remove the check character of a checksummed ID: a hex form, RFC 4648 Base32,
+    // or Crockford Base32 with its check symbol
+    stripChecksum(id) {
+        const body = typeof id === 'string' ? id.slice(0, -1) : '';
+        const check = body ? id.slice(-1) : '';
+        if (BASE32_PATTERN.test(body)) {
+            if (checkCharacter(body, BASE32_ALPHABET) !== check) {
+                throw new Error(`Checksum mismatch: ${id}`);
+            }
+            return body;
+        }
+        if (body.includes('-') && normalizeCrockford(id).length === 27 && CROCKFORD_ID_PATTERN.test(normalizeCrockford(id))) {
+            crockfordToHex(id);
+            return body.replace(/-$/, '');
+        }
+
+        let hex;
+        try {
+            hex = this.splitId(body).hex;
+        } catch (error) {
+            throw new Error(`Invalid checksummed ID: ${id}`);
+        }
+        if (checkCharacter(hex, HEX_ALPHABET) !== check.toLowerCase()) {
+            throw new Error(`Checksum mismatch: ${id}`);
+        }
+        return body;
+    }
+
+    // Split an ID into its prefix and 32 hex digits
+    splitId(id) {
+        let prefix = null;
+        let body = id;
+        if (this.prefix && id.startsWith(`${this.prefix}${this.separator}`)) {
+            prefix = this.prefix;
+            body = id.substring(this.prefix.length + this.separator.length);
+        }
+
+        const hex = body.replace(new RegExp(escapeRegex(this.separator), 'g'), '').toLowerCase();
+        if (!/^[0-9a-f]{32}$/.test(hex)) {
+            throw new Error('Invalid ID format for conversion');
+        }
+        return { prefix, hex };
+    }
+
+    // Format 32 hex digits as 8-4-4-4-12 with the generator's separator
+    formatHex(hex, prefix = null, separator = this.separator) {
+        const uuid = [
+            hex.substring(0, 8),
+            hex.substring(8, 12),
+            hex.substring(12, 16),
+            hex.substring(16, 20),
+            hex.substring(20, 32)
+        ].join(separator);
+        return prefix ? `${prefix}${separator}${uuid}` : uuid;
+    }
+
+    // The 16 bytes of an ID, e.g. for a BINARY(16) column; any prefix is dropped
+    toBytes(id) {
+        return Buffer.from(this.splitId(id).hex, 'hex');
+    }
+
+    // ID from its 16 bytes (Buffer or Uint8Array), with the generator's separator unless
+    // options.separator is given
+    fromBytes(bytes, options = {}) {
+        const { separator = this.separator, prefix = null } = options;
+        if (!(bytes instanceof Uint8Array) || bytes.length !== 16) {
+            throw new Error('fromBytes() expects 16 bytes');
+        }
+        // A view on the same memory, so a Uint8Array is not copied
+        const hex = Buffer.from(bytes.buffer, bytes.byteOffset, 16).toString('hex');
+        return this.formatHex(hex, prefix, separator);
+    }
+
+    // The ID as an unsigned 128-bit BigInt; any prefix is dropped
+    toBigInt(id) {
+        return BigInt(`0x${this.splitId(id).hex}`);
+    }
+
+    fromBigInt(value, options = {}) {
+        const { separator = this.separator, prefix = null } = options;
+        if (typeof value !== 'bigint' || value < 0n || value > ID_MAX) {
+            throw new Error(`fromBigInt() expects a BigInt from 0 to 2^128 - 1, got ${value}`);
+        }
+        return this.formatHex(value.toString(16).padStart(32, '0'), prefix, separator);
+    }
+
+    // Convert a v1 ID to the time-sortable v6 layout (lossless)
+    toV6(id) {
+        const { prefix, hex } = this.splitId(id);
+        if (hex[12] === '6') {
+            return this.formatHex(hex, prefix);
+        }
+        if (hex[12] !== '1') {
+            throw new Error(`Cannot convert version ${hex[12]} ID to v6`);
+        }
+
+        const timestampHex = hex.substring(13, 16) + hex.substring(8, 12) + hex.substring(0, 8);
+        return this.formatHex(`${timestampHex.substring(0, 12)}6${timestampHex.substring(12)}${hex.substring(16)}`, prefix);
+    }
+
+    // Convert a v6 ID back to the v1 layout (lossless)
+    toV1(id) {
+        const { prefix, hex } = this.splitId(id);
+        if (hex[12] === '1') {
+            return this.formatHex(hex, prefix);
+        }
+        if (hex[12] !== '6') {
+            throw new Error(`Cannot convert version ${hex[12]} ID to v1`);
+        }
+
+        const timestampHex = hex.substring(0, 12) + hex.substring(13, 16);
+        return this.formatHex(`${timestampHex.substring(7)}${timestampHex.substring(3, 7)}1${timestampHex.substring(0, 3)}${hex.substring(16)}`, prefix);
+    }
+
+    // Read an ID in any supported format, optionally behind a prefix, and describe it in all of
+    // them. options.from skips detection for input whose format is known
+    parse(id, options = {}) {
+        const { from = null } = options;
+        if (typeof id !== 'string') {
+            throw new Error(`Invalid ID: ${id}`);
+        }
+        if (from && !ID_FORMATS.includes(from)) {
+            throw new Error(`Unsupported ID format: ${from} (use ${ID_FORMATS.join(', ')})`);
+        }
+
+        // The whole string is tried first, so prefix-like leading characters of an ID stay part of it
+        const attempts = [[null, id]];
+        if (this.prefix && id.startsWith(`${this.prefix}${this.separator}`)) {
+            attempts.push([this.prefix, id.substring(this.prefix.length + this.separator.length)]);
+        }
+        const match = PREFIX_PATTERN.exec(id);
+        if (match) {
+            attempts.push([match[1], match[3]]);
+        }
+
+        let failure = null;
+        for (const [prefix, body] of attempts) {
+            try {
+                const format = from || this.detectFormat(body);
+                if (format) {
+                    return this.describeId(this.decodeFormat(body, format), format, prefix, body);
+                }
+            } catch (error) {
+                failure = failure || error;
+            }
+        }
+        throw failure || new Error(`Unrecognised ID format: ${id}`);
+    }
+
+    // Re-encode an existing ID in another format (options.to, 'standard' by default); any
+    // prefix is dropped. options.separator is used for 'custom'
+    convert(id, options = {}) {
+        const { from = null, to = 'standard', separator = this.separator } = options;
+        if (!ID_FORMATS.includes(to)) {
+            throw new Error(`Unsupported ID format: ${to} (use ${ID_FORMATS.join(', ')})`);
+        }
+        return this.encodeFormat(this.parse(id, { from }).hex, to, separator);
     }
 
-    // Extract timestamp from ID
-    extractTimestamp(id) {
-        // Remove separators (handle both custom separator and dots from hierarchical IDs)
-        const escapedSeparator = this.separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        const cleanId = id.replace(new RegExp(escapedSeparator, 'g'), '').replace(/\./g, '');
+    // Guess the format of an unprefixed ID from its characters. A 22-character ID is read as
+    // Base64url; Base58 and Base62 cannot be detected
+    detectFormat(body) {
+        const delimited = DELIMITED_PATTERN.exec(body);
+        if (delimited) {
+            return delimited[2] === '-' ? 'standard' : 'custom';
+        }
+        if (/^[0-9a-f]{32}$/i.test(body)) {
+            return 'compact';
+        }
+        if (/^[0-9a-f]+(\.[0-9a-f]+)+$/i.test(body) && body.replace(/\./g, '').length === 32) {
+            return 'hierarchical';
+        }
 
-        if (cleanId.length < 32) {
-            throw new Error('Invalid ID format for timestamp extraction');
+        const encoding = this.idEncoding(body);
+        if (encoding === 'base32' || encoding === 'crockford') {
+            return encoding;
+        }
+        if (ULID_PATTERN.test(body)) {
+            return 'ulid';
+        }
+        if (BASE32_PATTERN.test(body)) {
+            return 'base32';
+        }
+        if (body.length !== 22) {
+            return null;
+        }
+
+        // Base58 and Base62 use the same characters as Base64url, so no reading of them can be told
+        // apart reliably: only Base64url is detected, and the other two always need { from }
+        if (encoding === 'base64url' && hasRfcBits(this.decodeFormat(body, 'base64url'))) {
+            return 'base64url';
+        }
+        throw new Error(`Not a Base64url ID: ${body}; pass { from: 'base58' } or { from: 'base62' } for those formats`);
+    }
+
+    // 32 hex digits of an unprefixed ID in the given format
+    decodeFormat(body, format) {
+        switch (format) {
+            case 'standard':
+            case 'custom': {
+                const groups = DELIMITED_PATTERN.exec(body);
+                if (!groups) {
+                    throw new Error(`Invalid ${format} ID: ${body}`);
+                }
+                return [1, 3, 4, 5, 6].map(i => groups[i]).join('').toLowerCase();
+            }
+            case 'compact':
+            case 'urlSafe':
+            case 'hierarchical': {
+                const hex = format === 'hierarchical' ? body.replace(/\./g, '') : body;
+                if (!/^[0-9a-f]{32}$/i.test(hex)) {
+                    throw new Error(`Invalid ${format} ID: ${body}`);
+                }
+                return hex.toLowerCase();
+            }
+            case 'base32':
+                return base32ToHex(body);
+            case 'crockford':
+                return crockfordToHex(body);
+            case 'ulid':
+                return ulidToHex(body);
+            case 'base64url':
+                return base64urlToHex(body);
+            case 'base58':
+                return baseNToHex(body, BASE58_ALPHABET, 'Base58');
+            case 'base62':
+                return baseNToHex(body, BASE62_ALPHABET, 'Base62');
+            default:
+                throw new Error(`Unsupported ID format: ${format} (use ${ID_FORMATS.join(', ')})`);
         }
+    }
 
-        const timeLow = parseInt(cleanId.substring(0, 8), 16);
-        const timeMid = parseInt(cleanId.substring(8, 12), 16);
-        const timeHigh = parseInt(cleanId.substring(12, 16), 16) & 0x0fff;
+    // 32 hex digits in the given format, the inverse of decodeFormat()
+    encodeFormat(hex, format, separator = this.separator) {
+        switch (format) {
+            case 'standard':
+            case 'custom':
+                return [hex.substring(0, 8), hex.substring(8, 12), hex.substring(12, 16), hex.substring(16, 20), hex.substring(20)]
+                    .join(format === 'custom' ? separator : '-');
+            case 'compact':
+            case 'urlSafe':
+                return hex;
+            case 'hierarchical':
+                return [hex.substring(0, 10), hex.substring(10, 20), hex.substring(20)].join('.');
+            case 'base32':
+                return this.toBase32(Buffer.from(hex, 'hex'));
+            case 'crockford':
+                return hexToCrockford(hex);
+            case 'ulid':
+                return hexToUlid(hex);
+            case 'base64url':
+                return hexToBase64url(hex);
+            case 'base58':
+                return this.toBase58(Buffer.from(hex, 'hex'));
+            case 'base62':
+                return this.toBase62(Buffer.from(hex, 'hex'));
+            default:
+                throw new Error(`Unsupported ID format: ${format} (use ${ID_FORMATS.join(', ')})`);
+        }
+    }
 
-        const timestamp = (timeHigh * 0x1000000000000) + (timeMid * 0x100000000) + timeLow;
-        const uuidEpoch = new Date('1582-10-15').getTime();
+    describeId(hex, format, prefix, body) {
+        const canonical = this.formatHex(hex);
+        const version = parseInt(hex[12], 16);
+
+        // Only ULIDs and time-based UUID versions carry a timestamp
+        let timestamp = null;
+        if (format === 'ulid') {
+            timestamp = this.decodeUlid(body).timestamp;
+        } else if ([1, 6, 7].includes(version)) {
+            try {
+                timestamp = this.extractTimestamp(canonical);
+            } catch (error) {
+                timestamp = null;
+            }
+        }
 
-        // Convert from 100-nanosecond intervals to milliseconds
-        return uuidEpoch + (timestamp / 10000);
+        return {
+            format,
+            prefix,
+            separator: format === 'standard' || format === 'custom' ? DELIMITED_PATTERN.exec(body)[2] : null,
+            hex,
+            canonical,
+            version: format === 'ulid' ? null : version,
+            timestamp,
+            representations: Object.fromEntries(ID_FORMATS
+                .filter(name => name !== 'custom')
+                .map(name => [name, this.encodeFormat(hex, name)]))
+        };
     }
 
     // Time range validation
@@ -339,7 +2041,7 @@ class UUSIDGenerator {
             duplicates: 0,
             uniqueIds: 0, // Will be calculated
             timeRange: { earliest: null, latest: null },
-            formats: { standard: 0, prefixed: 0, custom: 0 },
+            formats: { standard: 0, prefixed: 0, custom: 0, ulid: 0, base32: 0, base64url: 0 },
             errors: []
         };
 
@@ -358,9 +2060,15 @@ class UUSIDGenerator {
             const validation = this.validate(id);
             if (validation.valid) {
                 analysis.valid++;
+                const plainId = this.checksum ? this.stripChecksum(id) : id;
 
                 // Analyze format
-                if (this.prefix && id.startsWith(`${this.prefix}${this.separator}`)) {
+                const encoding = this.idEncoding(plainId);
+                if (validation.version === 'ulid') {
+                    analysis.formats.ulid++;
+                } else if (encoding) {
+                    analysis.formats[encoding === 'base64url' ? 'base64url' : 'base32']++;
+                } else if (this.prefix && id.startsWith(`${this.prefix}${this.separator}`)) {
                     analysis.formats.prefixed++;
                 } else if (id.includes(this.separator)) {
                     analysis.formats.standard++;
@@ -370,7 +2078,7 @@ class UUSIDGenerator {
 
                 // Extract timestamp
                 try {
-                    const timestamp = this.extractTimestamp(id);
+                    const timestamp = this.extractTimestamp(plainId);
                     timestamps.push(timestamp);
                 } catch (error) {
                     analysis.errors.push(`Timestamp extraction failed for ${id}: ${error.message}`);
@@ -414,7 +2122,7 @@ class UUSIDGenerator {
     // Performance metrics
     updateMetrics() {
         this.metrics.totalGenerated++;
-        const now = Date.now();
+        const now = this.now();
 
         // Calculate current rate (IDs per second)
         this.metrics.rateSamples.push(now);
@@ -433,7 +2141,7 @@ class UUSIDGenerator {
     }
 
     getMetrics() {
-        const uptime = Date.now() - this.metrics.startTime;
+        const uptime = this.now() - this.metrics.startTime;
         const avgRate = uptime > 0 ? this.metrics.totalGenerated / (uptime / 1000) : 0;
 
         return {
@@ -443,13 +2151,14 @@ class UUSIDGenerator {
             currentRate: this.metrics.currentRate,
             peakRate: this.metrics.peakRate,
             collisions: this.metrics.collisions,
+            clockDrift: this.metrics.clockDrift,
             memoryUsage: this.getMemoryUsage()
         };
     }
 
     // Health check
     async healthCheck() {
-        const start = Date.now();
+        const start = this.now();
 
         try {
             // Generate test IDs
@@ -464,28 +2173,34 @@ class UUSIDGenerator {
             const noDuplicates = uniqueIds.size === testIds.length;
 
             // Performance check
-            const generationTime = Date.now() - start;
+            const generationTime = this.now() - start;
             const rate = 100 / (generationTime / 1000);
 
+            // KSUIDs share the RNG and clock: check they round-trip and do not repeat
+            const ksuids = Array.from({ length: 10 }, () => this.ksuid());
+            const ksuidOk = new Set(ksuids).size === ksuids.length &&
+                ksuids.every(id => Math.abs(this.parseKsuid(id).timestamp - this.now()) < 2000);
+
             return {
-                healthy: allValid && noDuplicates && rate > 10,
+                healthy: allValid && noDuplicates && rate > 10 && ksuidOk,
                 checks: {
                     validation: allValid,
                     uniqueness: noDuplicates,
-                    performance: rate > 10
+                    performance: rate > 10,
+                    ksuid: ksuidOk
                 },
                 metrics: {
                     generationTime: `${generationTime}ms`,
                     rate: `${Math.round(rate)} IDs/sec`,
                     memoryUsage: this.getMemoryUsage()
                 },
-                timestamp: new Date().toISOString()
+                timestamp: new Date(this.now()).toISOString()
             };
         } catch (error) {
             return {
                 healthy: false,
                 error: error.message,
-                timestamp: new Date().toISOString()
+                timestamp: new Date(this.now()).toISOString()
             };
         }
     }
@@ -514,6 +2229,14 @@ class UUSIDGenerator {
         return result;
     }
 
+    toBase58(buffer) {
+        return encodeBytes(buffer, BASE58_ALPHABET);
+    }
+
+    toBase62(buffer) {
+        return encodeBytes(buffer, BASE62_ALPHABET);
+    }
+
     formatDuration(ms) {
         if (ms < 1000) return `${ms}ms`;
         if (ms < 60000) return `${Math.round(ms / 1000)}s`;
@@ -529,6 +2252,18 @@ class UUSIDGenerator {
     }
 }
 
+// Sequence fields read and write the shared registry entry instead of the instance
+for (const field of SEQUENCE_FIELDS) {
+    Object.defineProperty(UUSIDGenerator.prototype, field, {
+        get() {
+            return (this.sequenceState || this.bindSequence())[field];
+        },
+        set(value) {
+            (this.sequenceState || this.bindSequence())[field] = value;
+        }
+    });
+}
+
 /**
  * Prefixed ID Generator
  */
@@ -538,6 +2273,123 @@ class PrefixedGenerator extends UUSIDGenerator {
     }
 }
 
+/**
+ * Registry of entity types and their ID prefixes, for Stripe-style IDs such as usr_… and ord_…
+ */
+class PrefixRegistry {
+    constructor(options = {}) {
+        const { separator = '_', generator = null, ...generatorOptions } = options;
+        if (typeof separator !== 'string' || !separator || /[a-z0-9]/i.test(separator)) {
+            throw new Error(`Invalid prefix separator: ${separator} (must not contain letters or digits)`);
+        }
+        this.separator = separator;
+        this.generator = generator || new UUSIDGenerator(generatorOptions);
+        this.entities = new Map();
+        this.prefixes = new Map();
+    }
+
+    // Add an entity type; returns the registry so registrations can be chained
+    register(type, options = {}) {
+        const { prefix, format = 'standard', length = null } = options;
+        if (typeof type !== 'string' || !type) {
+            throw new Error('Entity type must be a non-empty string');
+        }
+        if (typeof prefix !== 'string' || !/^[a-z][a-z0-9]*$/i.test(prefix)) {
+            throw new Error(`Invalid prefix for ${type}: ${prefix} (letters and digits, starting with a letter)`);
+        }
+        if (this.entities.has(type)) {
+            throw new Error(`Entity type already registered: ${type}`);
+        }
+        if (this.prefixes.has(prefix)) {
+            throw new Error(`Prefix ${prefix} is already registered for ${this.prefixes.get(prefix)}`);
+        }
+        if (format !== 'short' && !ID_FORMATS.includes(format)) {
+            throw new Error(`Unsupported ID format: ${format} (use ${ID_FORMATS.join(', ')} or short)`);
+        }
+
+        // Only shortId() bodies have a chosen length; the 128-bit formats have a fixed width
+        let bodyLength;
+        if (format === 'short') {
+            bodyLength = length ?? SHORT_ID_LENGTH;
+            checkShortIdLength(bodyLength);
+            if (this.generator.checksum) {
+                throw new Error(`Short IDs have no check character; register ${type} with another format`);
+            }
+        } else {
+            bodyLength = this.generator.encodeFormat('0'.repeat(32), format).length;
+            if (length !== null) {
+                throw new Error(`${format} IDs are always ${bodyLength} characters; use format 'short' to choose a length`);
+            }
+        }
+
+        this.entities.set(type, { prefix, format, length: bodyLength });
+        this.prefixes.set(prefix, type);
+        return this;
+    }
+
+    entity(type) {
+        const entity = this.entities.get(type);
+        if (!entity) {
+            throw new Error(`Unknown entity type: ${type}`);
+        }
+        return entity;
+    }
+
+    // The entity's prefix replaces the generator's own. The bytes come from the generator, so its
+    // monotonic ordering and a subclass's generate() apply, and checksum: true appends the same
+    // check character as addChecksum()
+    generate(type) {
+        const { prefix, format, length } = this.entity(type);
+        if (format === 'short') {
+            return `${prefix}${this.separator}${this.generator.shortId({ length })}`;
+        }
+        const hex = this.generator.bytesFor('PrefixRegistry.generate').toString('hex');
+        const check = this.generator.checksum ? checkCharacter(hex, HEX_ALPHABET) : '';
+        return `${prefix}${this.separator}${this.generator.encodeFormat(hex, format)}${check}`;
+    }
+
+    // Entity type and canonical ID of a registered ID; unknown prefixes and malformed bodies throw.
+    // Short IDs carry no UUID, so their `id` is the body itself
+    parse(id) {
+        const text = String(id);
+        const at = text.indexOf(this.separator);
+        const prefix = at > 0 ? text.substring(0, at) : null;
+        const type = this.prefixes.get(prefix);
+        if (!type) {
+            throw new Error(`Unknown ID prefix: ${prefix === null ? text : prefix}`);
+        }
+
+        const { format, length } = this.entities.get(type);
+        const checked = this.generator.checksum && format !== 'short';
+        const rest = text.substring(at + this.separator.length);
+        if (rest.length !== length + (checked ? 1 : 0)) {
+            throw new Error(`Invalid ${type} ID: ${text}`);
+        }
+        if (format === 'short') {
+            if (![...rest].every(char => SHORT_ID_ALPHABET.includes(char))) {
+                throw new Error(`Invalid ${type} ID: ${text}`);
+            }
+            return { type, prefix, id: rest };
+        }
+
+        const body = checked ? rest.slice(0, -1) : rest;
+        const hex = this.generator.decodeFormat(body, format);
+        if (checked && checkCharacter(hex, HEX_ALPHABET) !== rest.slice(-1)) {
+            throw new Error(`Checksum mismatch: ${text}`);
+        }
+        return { type, prefix, id: this.generator.formatHex(hex) };
+    }
+
+    // Whether `id` is a well-formed ID of the given entity type
+    is(type, id) {
+        try {
+            return this.parse(id).type === type;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
 /**
  * Encrypted ID Generator
  */
@@ -553,6 +2405,349 @@ class EncryptedGenerator extends UUSIDGenerator {
         const id = super.generate();
         return this.encrypt(id);
     }
+
+    // Encrypted IDs have no 16-byte form, and the plain bytes must not leak
+    generateBytes() {
+        throw new Error('EncryptedGenerator does not support generateBytes(); use generate()');
+    }
+
+    // Nor can base32(), base58(), base62() or generateObject() encode them
+    bytesFor(format) {
+        throw new Error(`EncryptedGenerator does not support ${format}(); encrypted IDs have no 16-byte form`);
+    }
+}
+
+// Twitter's Snowflake epoch (2010-11-04T01:42:54.657Z) and field widths. 41 + 5 + 5 + 12 = 63
+// bits, so IDs stay positive in a signed BIGINT column
+const SNOWFLAKE_EPOCH = 1288834974657;
+const SNOWFLAKE_BITS = Object.freeze({ timestamp: 41, datacenter: 5, worker: 5, sequence: 12 });
+const SNOWFLAKE_OUTPUTS = ['bigint', 'string'];
+
+/**
+ * Clock, sequence and policy engine behind SnowflakeGenerator. Kept private, as the UUID
+ * formatting methods it inherits cannot handle 64-bit integer IDs
+ */
+class SnowflakeEngine extends UUSIDGenerator {
+    constructor(options = {}) {
+        if (options.stateFile || options.prefix || options.checksum) {
+            throw new Error('SnowflakeGenerator does not support stateFile, prefix or checksum');
+        }
+        const { timestampBits, ...engineOptions } = options;
+        super({ ...engineOptions, version: 1, precision: 'ms' });
+
+        this.epoch = options.epoch != null ? new Date(options.epoch).getTime() : SNOWFLAKE_EPOCH;
+        if (Number.isNaN(this.epoch)) {
+            throw new Error(`Invalid Snowflake epoch: ${options.epoch}`);
+        }
+        this.bits = { ...SNOWFLAKE_BITS, timestamp: timestampBits ?? SNOWFLAKE_BITS.timestamp, ...options.bits };
+        const totalBits = Object.values(this.bits).reduce((sum, width) => {
+            if (!Number.isInteger(width) || width < 0) {
+                throw new Error(`Invalid Snowflake bit width: ${width}`);
+            }
+            return sum + width;
+        }, 0);
+        if (totalBits > 63 || this.bits.timestamp < 1 || this.bits.sequence < 1) {
+            throw new Error('Snowflake fields must fit in 63 bits, with at least 1 timestamp and 1 sequence bit');
+        }
+        this.totalBits = totalBits;
+
+        this.datacenterId = this.checkField('datacenterId', options.datacenterId ?? 0, this.bits.datacenter);
+        this.workerId = this.checkField('workerId', options.workerId ?? 0, this.bits.worker);
+        this.maxSequence = 2 ** this.bits.sequence - 1;
+        this.output = options.output || 'bigint';
+        if (!SNOWFLAKE_OUTPUTS.includes(this.output)) {
+            throw new Error(`Unsupported Snowflake output: ${options.output} (use 'bigint' or 'string')`);
+        }
+    }
+
+    checkField(name, value, width) {
+        if (!Number.isInteger(value) || value < 0 || value >= 2 ** width) {
+            throw new Error(`${name} must be an integer from 0 to ${2 ** width - 1}`);
+        }
+        return value;
+    }
+
+    // No clock sequence to bump: hold the last timestamp (as v7 does) so IDs stay unique and ordered
+    handleClockRegression(clock) {
+        if (this.clockRegression !== 'increment') {
+            return super.handleClockRegression(clock);
+        }
+        this.metrics.clockDrift++;
+        this.borrowedFrom = clock;
+        return { ms: this.lastTimestamp, subMs: 0 };
+    }
+
+    // Workers are told apart by their datacenter and worker IDs rather than the node ID
+    sequenceKey() {
+        return `${this.monotonicScope()}:${this.datacenterId}:${this.workerId}`;
+    }
+
+    monotonicScope() {
+        return `snowflake:${this.epoch}:${Object.values(this.bits).join('/')}`;
+    }
+
+    orderKey(id) {
+        return BigInt(id);
+    }
+
+    generateBytes() {
+        throw new Error('Snowflake IDs are 64-bit integers; use generate()');
+    }
+
+    nextId() {
+        const { sequence } = this.getTimestamp();
+
+        this.checkValidityWindow();
+
+        const elapsed = this.lastTimestamp - this.epoch;
+        if (elapsed < 0 || elapsed >= 2 ** this.bits.timestamp) {
+            throw new Error(`Timestamp ${new Date(this.lastTimestamp).toISOString()} is outside the ${this.bits.timestamp}-bit range of the Snowflake epoch`);
+        }
+
+        const { datacenter, worker, sequence: sequenceBits } = this.bits;
+        const id = (BigInt(elapsed) << BigInt(datacenter + worker + sequenceBits))
+            | (BigInt(this.datacenterId) << BigInt(worker + sequenceBits))
+            | (BigInt(this.workerId) << BigInt(sequenceBits))
+            | BigInt(sequence);
+
+        return this.output === 'string' ? id.toString() : id;
+    }
+
+    // Split a Snowflake ID (bigint or decimal string) into its fields
+    decodeSnowflake(id) {
+        let value;
+        try {
+            value = BigInt(id);
+        } catch (error) {
+            throw new Error(`Invalid Snowflake ID: ${id}`);
+        }
+        if (value < 0n || value >= 1n << BigInt(this.totalBits)) {
+            throw new Error(`Snowflake ID out of range for ${this.totalBits} bits: ${id}`);
+        }
+
+        const field = (shift, width) => Number((value >> BigInt(shift)) & ((1n << BigInt(width)) - 1n));
+        const { datacenter, worker, sequence } = this.bits;
+        const timestamp = this.epoch + field(datacenter + worker + sequence, this.bits.timestamp);
+
+        return {
+            timestamp,
+            date: new Date(timestamp),
+            datacenterId: field(worker + sequence, datacenter),
+            workerId: field(sequence, worker),
+            sequence: field(0, sequence)
+        };
+    }
+
+    validate(id) {
+        const invalid = (reason) => ({ valid: false, isValid: false, reason, version: null, entropy: 0 });
+        if (typeof id !== 'bigint' && !(typeof id === 'string' && /^\d+$/.test(id))) {
+            return invalid('Invalid format');
+        }
+
+        let decoded;
+        try {
+            decoded = this.decodeSnowflake(id);
+        } catch (error) {
+            return invalid(error.message);
+        }
+
+        const entropy = charEntropy(String(id));
+        if (this.validAfter && decoded.timestamp < this.validAfter) {
+            return { ...invalid('Before valid range'), version: 'snowflake', entropy };
+        }
+        if (this.validBefore && decoded.timestamp > this.validBefore) {
+            return { ...invalid('After valid range'), version: 'snowflake', entropy };
+        }
+
+        return { valid: true, isValid: true, version: 'snowflake', entropy };
+    }
+
+    extractTimestamp(id) {
+        return this.decodeSnowflake(id).timestamp;
+    }
+
+    // The shared analysis works on strings, and a bigint and its decimal string are the same ID
+    analyze(idArray) {
+        return super.analyze(idArray.map(String));
+    }
+}
+
+/**
+ * Snowflake-style 64-bit ID generator: timestamp | datacenter | worker | sequence. It wraps
+ * the engine instead of extending UUSIDGenerator, so it only has methods that work on its IDs
+ */
+class SnowflakeGenerator {
+    constructor(options = {}) {
+        // Not enumerable, so only the Snowflake settings show up in logs and spreads
+        Object.defineProperty(this, 'engine', { value: new SnowflakeEngine(options) });
+        const { epoch, bits, datacenterId, workerId, output } = this.engine;
+        Object.assign(this, { epoch, bits, datacenterId, workerId, output });
+    }
+
+    generate() {
+        return this.engine.generate();
+    }
+
+    generateBatch(count) {
+        return this.engine.generateBatch(count);
+    }
+
+    generateAsync() {
+        return this.engine.generateAsync();
+    }
+
+    generateBatchAsync(count) {
+        return this.engine.generateBatchAsync(count);
+    }
+
+    decodeSnowflake(id) {
+        return this.engine.decodeSnowflake(id);
+    }
+
+    validate(id) {
+        return this.engine.validate(id);
+    }
+
+    extractTimestamp(id) {
+        return this.engine.extractTimestamp(id);
+    }
+
+    isInTimeRange(id, start, end) {
+        return this.engine.isInTimeRange(id, start, end);
+    }
+
+    analyze(idArray) {
+        return this.engine.analyze(idArray);
+    }
+
+    getMetrics() {
+        return this.engine.getMetrics();
+    }
+}
+
+/**
+ * Immutable ID value: 16 bytes kept as hex, with fields decoded on demand by the generator
+ * that issued (or parsed) them
+ */
+class UUSID {
+    constructor(hex, options = {}) {
+        if (!/^[0-9a-f]{32}$/.test(hex)) {
+            throw new Error(`Invalid UUSID hex: ${hex}`);
+        }
+        const { generator = defaultGenerator, prefix = null, sequence = null } = options;
+        this.hex = hex;
+        this.prefix = prefix;
+        // Not enumerable, so only the ID itself shows up in logs and spreads
+        Object.defineProperty(this, 'generator', { value: generator });
+        Object.defineProperty(this, 'issuedSequence', { value: sequence });
+        Object.freeze(this);
+    }
+
+    // Read an ID in any format parse() detects; checksummed IDs need a checksum generator
+    static parse(text, options = {}) {
+        const { generator = defaultGenerator, from = null } = options;
+        const plain = generator.checksum ? generator.stripChecksum(String(text)) : String(text);
+        const { hex, prefix } = generator.parse(plain, { from });
+        return new UUSID(hex, { generator, prefix });
+    }
+
+    get version() {
+        return parseInt(this.hex[12], 16);
+    }
+
+    // Milliseconds since the Unix epoch, or null for versions without a timestamp
+    get timestamp() {
+        return [1, 6, 7].includes(this.version) ? this.generator.timestampFromHex(this.hex) : null;
+    }
+
+    // 12 hex digits of the v1/v6 node field; v7 has random bits there
+    get node() {
+        return this.version === 1 || this.version === 6 ? this.hex.substring(20) : null;
+    }
+
+    // 14-bit v1/v6 clock sequence field, which already includes the per-tick sequence
+    get clockSeq() {
+        return this.version === 1 || this.version === 6 ? parseInt(this.hex.substring(16, 20), 16) & MAX_SEQUENCE : null;
+    }
+
+    // Per-tick counter: read from the v7 bits (with the generator's precision), and known
+    // for v1/v6 only when the object came from generateObject()
+    get sequence() {
+        if (this.issuedSequence !== null || this.version !== 7) {
+            return this.issuedSequence;
+        }
+        const randBHigh = parseInt(this.hex.substring(16, 20), 16) & MAX_SEQUENCE;
+        if (this.generator.precision === 'high') {
+            return randBHigh;
+        }
+        return (parseInt(this.hex.substring(13, 16), 16) << 2) | (randBHigh >> 12);
+    }
+
+    // BigInt in time order; v1 is read in its time-first (v6) field order
+    get sortKey() {
+        const hex = this.hex;
+        if (this.version !== 1) {
+            return BigInt(`0x${hex}`);
+        }
+        return BigInt(`0x${hex.substring(13, 16)}${hex.substring(8, 12)}${hex.substring(0, 8)}${hex.substring(16)}`);
+    }
+
+    // Same 128 bits; the prefix is presentation only. Strings are parsed, and unreadable ones are unequal
+    equals(other, options = {}) {
+        let that;
+        try {
+            that = this.coerce(other, options);
+        } catch (error) {
+            // A Base58/Base62 string without { from } may well hold these bits, so that is the
+            // caller's error to handle; anything else unreadable is simply another value
+            if (error.message.includes('pass { from')) {
+                throw error;
+            }
+            return false;
+        }
+        return this.hex === that.hex;
+    }
+
+    // -1, 0 or 1 in time order. IDs of different versions are compared by timestamp first
+    compare(other, options = {}) {
+        const that = this.coerce(other, options);
+        if (this.version !== that.version) {
+            const a = this.timestamp;
+            const b = that.timestamp;
+            if (a !== null && b !== null && a !== b) {
+                return a < b ? -1 : 1;
+            }
+        }
+        const a = this.sortKey;
+        const b = that.sortKey;
+        return a === b ? 0 : (a < b ? -1 : 1);
+    }
+
+    // Strings are read with this ID's generator; options.from as for parse()
+    coerce(other, options = {}) {
+        return other instanceof UUSID ? other : UUSID.parse(other, { generator: this.generator, from: options.from });
+    }
+
+    // The ID as generate() would return it, or its bits in another format (see ID_FORMATS)
+    toString(format) {
+        if (format) {
+            return this.generator.encodeFormat(this.hex, format);
+        }
+        const id = this.generator.formatHex(this.hex, this.prefix);
+        return this.generator.checksum ? this.generator.addChecksum(id) : id;
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+
+    // Like Date: a number hint gives the timestamp, anything else the string
+    [Symbol.toPrimitive](hint) {
+        if (hint === 'number') {
+            return this.timestamp ?? NaN;
+        }
+        return this.toString();
+    }
 }
 
 /**
@@ -564,8 +2759,9 @@ class WorkerPool {
         this.batchSize = options.batchSize || 1000;
         this.generators = [];
 
+        // Each generator gets its own node slot: leased when leaseDir is set, else its index
         for (let i = 0; i < this.workers; i++) {
-            this.generators.push(new UUSIDGenerator());
+            this.generators.push(new UUSIDGenerator(options.leaseDir ? { leaseDir: options.leaseDir } : { nodeSlot: i }));
         }
     }
 
@@ -583,8 +2779,71 @@ class WorkerPool {
     }
 }
 
+// node:cluster coordination: the primary hands out node slots to workers over IPC
+const NODE_SLOT_REQUEST = 'uusid:node-slot-request';
+const NODE_SLOT_GRANT = 'uusid:node-slot';
+let slotRequestCounter = 0;
+
+// Call in the primary. Slots are freed when the worker that holds them exits
+function serveNodeSlots(cluster = require('cluster')) {
+    const owners = new Map();
+    cluster.on('message', (worker, message) => {
+        if (!message || message.type !== NODE_SLOT_REQUEST) {
+            return;
+        }
+        let slot = 0;
+        while (owners.has(slot)) {
+            slot++;
+        }
+        if (slot >= NODE_SLOT_COUNT) {
+            worker.send({ type: NODE_SLOT_GRANT, requestId: message.requestId, error: 'No free node slot' });
+            return;
+        }
+        owners.set(slot, worker.id);
+        worker.send({ type: NODE_SLOT_GRANT, requestId: message.requestId, slot });
+    });
+    cluster.on('exit', (worker) => {
+        for (const [slot, owner] of owners) {
+            if (owner === worker.id) {
+                owners.delete(slot);
+            }
+        }
+    });
+    return owners;
+}
+
+// Call in a worker: resolves to a slot for createGenerator({ nodeSlot })
+function requestNodeSlot(options = {}) {
+    if (typeof process.send !== 'function') {
+        return Promise.reject(new Error('requestNodeSlot() must be called in a cluster worker'));
+    }
+    const requestId = `${process.pid}:${++slotRequestCounter}`;
+    const timeout = options.timeout ?? 5000;
+    return new Promise((resolve, reject) => {
+        const onMessage = (message) => {
+            if (!message || message.type !== NODE_SLOT_GRANT || message.requestId !== requestId) {
+                return;
+            }
+            clearTimeout(timer);
+            process.removeListener('message', onMessage);
+            if (message.error) {
+                reject(new Error(message.error));
+            } else {
+                resolve(message.slot);
+            }
+        };
+        const timer = setTimeout(() => {
+            process.removeListener('message', onMessage);
+            reject(new Error(`No node slot from the primary within ${timeout}ms; is serveNodeSlots() running?`));
+        }, timeout);
+        process.on('message', onMessage);
+        process.send({ type: NODE_SLOT_REQUEST, requestId });
+    });
+}
+
 // Singleton instance for convenience
 const defaultGenerator = new UUSIDGenerator();
+const defaultV7Generator = new UUSIDGenerator({ version: 7 });
 
 // Main API functions
 function uusid(options) {
@@ -603,6 +2862,14 @@ function uusidBatch(count, options) {
     return defaultGenerator.generateBatch(count);
 }
 
+function uusidV7(options) {
+    if (options) {
+        const generator = new UUSIDGenerator({ ...options, version: 7 });
+        return generator.generate();
+    }
+    return defaultV7Generator.generate();
+}
+
 function createGenerator(options) {
     return new UUSIDGenerator(options);
 }
@@ -611,10 +2878,18 @@ function createPrefixedGenerator(prefix, options) {
     return new PrefixedGenerator(prefix, options);
 }
 
+function createPrefixRegistry(options) {
+    return new PrefixRegistry(options);
+}
+
 function createEncryptedGenerator(options) {
     return new EncryptedGenerator(options);
 }
 
+function createSnowflakeGenerator(options) {
+    return new SnowflakeGenerator(options);
+}
+
 function createWorkerPool(options) {
     return new WorkerPool(options);
 }
@@ -623,43 +2898,104 @@ function createWorkerPool(options) {
 const validate = (id, options) => defaultGenerator.validate(id, options);
 const extractTimestamp = (id) => defaultGenerator.extractTimestamp(id);
 const isInTimeRange = (id, start, end) => defaultGenerator.isInTimeRange(id, start, end);
+const toV6 = (id) => defaultGenerator.toV6(id);
+const toV1 = (id) => defaultGenerator.toV1(id);
 const analyze = (idArray) => defaultGenerator.analyze(idArray);
 const getMetrics = () => defaultGenerator.getMetrics();
+const getNodeInfo = () => defaultGenerator.getNodeInfo();
 const healthCheck = () => defaultGenerator.healthCheck();
+const ulid = () => defaultGenerator.ulid();
+const monotonicUlid = () => defaultGenerator.monotonicUlid();
+const decodeUlid = (id) => defaultGenerator.decodeUlid(id);
+const ulidToUuid = (id) => defaultGenerator.ulidToUuid(id);
+const uuidToUlid = (id) => defaultGenerator.uuidToUlid(id);
+const ksuid = () => defaultGenerator.ksuid();
+const parseKsuid = (id) => defaultGenerator.parseKsuid(id);
+const ksuidNext = (id) => defaultGenerator.ksuidNext(id);
+const ksuidPrev = (id) => defaultGenerator.ksuidPrev(id);
+const decodeSnowflake = (id, options) => new SnowflakeGenerator(options).decodeSnowflake(id);
 
 // Export everything
 module.exports = {
     // Main functions
     uusid,
     uusidBatch,
+    uusidV7,
 
     // Classes
     UUSIDGenerator,
     PrefixedGenerator,
+    PrefixRegistry,
     EncryptedGenerator,
+    SnowflakeGenerator,
     WorkerPool,
+    UUSID,
+
+    // Errors
+    ClockRegressionError,
+    SequenceOverflowError,
 
     // Factory functions
     createGenerator,
     createPrefixedGenerator,
+    createPrefixRegistry,
     createEncryptedGenerator,
+    createSnowflakeGenerator,
     createWorkerPool,
 
     // Utility functions
     validate,
     extractTimestamp,
     isInTimeRange,
+    toV6,
+    toV1,
     analyze,
     getMetrics,
+    getNodeInfo,
+    serveNodeSlots,
+    requestNodeSlot,
     healthCheck,
+    decodeSnowflake,
+    ulid,
+    monotonicUlid,
+    decodeUlid,
+    ulidToUuid,
+    uuidToUlid,
+    ksuid,
+    parseKsuid,
+    ksuidNext,
+    ksuidPrev,
+    collisionProbability,
+    safeLength,
 
     // Convenience methods
-    base32: () => defaultGenerator.base32(),
+    base32: (options) => defaultGenerator.base32(options),
+    fromBase32: (text, options) => defaultGenerator.fromBase32(text, options),
     urlSafe: () => defaultGenerator.urlSafe(),
+    base64url: () => defaultGenerator.base64url(),
+    fromBase64url: (text) => defaultGenerator.fromBase64url(text),
+    base58: () => defaultGenerator.base58(),
+    fromBase58: (text) => defaultGenerator.fromBase58(text),
+    base62: () => defaultGenerator.base62(),
+    fromBase62: (text) => defaultGenerator.fromBase62(text),
+    shortId: (options) => defaultGenerator.shortId(options),
+    parse: (id, options) => defaultGenerator.parse(id, options),
+    convert: (id, options) => defaultGenerator.convert(id, options),
+    toBytes: (id) => defaultGenerator.toBytes(id),
+    fromBytes: (bytes, options) => defaultGenerator.fromBytes(bytes, options),
+    toBigInt: (id) => defaultGenerator.toBigInt(id),
+    fromBigInt: (value, options) => defaultGenerator.fromBigInt(value, options),
+    generateBytes: () => defaultGenerator.generateBytes(),
+    generateObject: () => defaultGenerator.generateObject(),
+    addChecksum: (id) => defaultGenerator.addChecksum(id),
+    stripChecksum: (id) => defaultGenerator.stripChecksum(id),
     compact: () => defaultGenerator.compact(),
     hierarchical: (options) => defaultGenerator.hierarchical(options),
     fromContent: (content, options) => defaultGenerator.fromContent(content, options),
 
+    // Name-based namespaces
+    NAMESPACES,
+
     // Default generator instance
     defaultGenerator
 };
@@ -7,17 +7,54 @@
 import {
     uusid,
     uusidBatch,
+    uusidV7,
     UUSIDGenerator,
     PrefixedGenerator,
+    PrefixRegistry,
     EncryptedGenerator,
+    SnowflakeGenerator,
+    decodeSnowflake,
+    ulid,
+    monotonicUlid,
+    decodeUlid,
+    ulidToUuid,
+    uuidToUlid,
+    ksuid,
+    parseKsuid,
+    ksuidNext,
+    ksuidPrev,
+    ClockRegressionError,
     validate,
     extractTimestamp,
     isInTimeRange,
+    toV6,
+    toV1,
     analyze,
     getMetrics,
     healthCheck,
     base32,
+    fromBase32,
     urlSafe,
+    base64url,
+    fromBase64url,
+    base58,
+    fromBase58,
+    base62,
+    fromBase62,
+    shortId,
+    collisionProbability,
+    safeLength,
+    parse,
+    convert,
+    toBytes,
+    fromBytes,
+    toBigInt,
+    fromBigInt,
+    generateBytes,
+    addChecksum,
+    stripChecksum,
+    generateObject,
+    UUSID,
     compact,
     hierarchical,
     fromContent
@@ -44,11 +81,117 @@ assert(typeof ts === 'number' && Math.abs(ts - Date.now()) < 5000, `extractTimes
 const batch = uusidBatch(50);
 assert(batch.length === 50 && new Set(batch).size === 50, `uusidBatch(50) returns 50 unique ids`);
 
+const v7 = uusidV7();
+assert(/^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(v7), `uusidV7() emits RFC 9562 v7 (${v7})`);
+assert(validate(v7).uuidVersion === 7 && Math.abs(extractTimestamp(v7) - Date.now()) < 5000, `validate()/extractTimestamp() recognise UUIDv7`);
+const v7batch = new UUSIDGenerator({ version: 7 }).generateBatch(500);
+assert(v7batch.every((x, i) => i === 0 || v7batch[i - 1] < x), `UUIDv7 batch is strictly increasing`);
+
+const v6 = new UUSIDGenerator({ version: 6 }).generate();
+assert(/^[0-9a-f]{8}-[0-9a-f]{4}-6[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(v6), `version: 6 emits RFC 9562 v6 (${v6})`);
+assert(toV1(toV6(id)) === id && extractTimestamp(toV6(id)) === ts, `toV6()/toV1() round-trip and keep the timestamp`);
+
+assert(new UUSIDGenerator({ clockSeq: 0x3fff }).generateBatch(300).every(x => validate(x, { strict: true }).valid),
+    `sequence never overflows into the variant bits`);
+const badVariant = `${id.substring(0, 19)}f${id.substring(20)}`;
+const strictResult = validate(badVariant, { strict: true });
+assert(!strictResult.valid && strictResult.bitErrors[0].field === 'variant', `validate({ strict: true }) reports bad variant bits`);
+
+const hrBatch = new UUSIDGenerator({ version: 6, precision: 'high' }).generateBatch(200);
+assert(hrBatch.every((x, i) => i === 0 || hrBatch[i - 1] < x) && hrBatch.some(x => !Number.isInteger(extractTimestamp(x))),
+    `precision: 'high' sorts in order and extracts fractional ms`);
+
+const regressing = new UUSIDGenerator({ clockRegression: 'throw' });
+regressing.generate();
+regressing.lastTimestamp = Date.now() + 60000;
+let regressionError = null;
+try { regressing.generate(); } catch (e) { regressionError = e; }
+assert(regressionError instanceof ClockRegressionError && regressing.getMetrics().clockDrift === 1,
+    `clockRegression: 'throw' raises ClockRegressionError and counts clockDrift`);
+
+// Pruning keeps an idle v7 entry held ahead of the clock; the idle, past sentinel shows a scan ran
+const ahead = new UUSIDGenerator({ version: 7 });
+ahead.generate();
+ahead.lastTimestamp = Date.now() + 60000;
+const heldAhead = ahead.generate();
+const sentinel = new UUSIDGenerator({ nodeId: '02ffffffffff', clockSeq: 7 });
+sentinel.generate();
+const sentinelState = sentinel.bindSequence();
+ahead.bindSequence().touchedAt -= 2000;
+sentinelState.touchedAt -= 2000;
+sentinelState.lastTimestamp -= 2000;
+for (let i = 0; i < 16384 && sentinel.bindSequence() === sentinelState; i++) uusid({ nodeId: '02eeeeeeeeee', clockSeq: i });
+assert(sentinel.bindSequence() !== sentinelState && ahead.generate() > heldAhead,
+    `registry pruning drops idle past entries but keeps those held ahead of the clock`);
+
 const a = analyze(batch);
 assert(a.valid === 50 && a.duplicates === 0, `analyze() reports all 50 valid, no dupes`);
 
 assert(typeof base32() === 'string', `base32() returns string`);
 assert(typeof urlSafe() === 'string', `urlSafe() returns string`);
+const b32 = base32();
+assert(fromBase32('AFLD4OVV2PLHMTDB564ZGAV5LM') === '01563e3a-b5d3-d676-4c61-efb99302bd5b' && validate(b32).valid
+    && Math.abs(extractTimestamp(b32) - Date.now()) < 5000, `fromBase32() decodes RFC 4648 and validate()/extractTimestamp() accept it`);
+const crockford = base32({ encoding: 'crockford', checkSymbol: true });
+assert(fromBase32('oLarz3-ndekt-sv4rr-ffq69-g5fav') === '01563e3a-b5d3-d676-4c61-efb99302bd5b' && validate(crockford.toLowerCase()).valid,
+    `Crockford Base32 ignores case and maps I/L/O`);
+const typo = `${crockford.substring(0, 8)}${crockford[8] === '0' ? '1' : '0'}${crockford.substring(9)}`;
+assert(!validate(typo).valid, `Crockford check symbol catches a typo (${crockford})`);
+const b64 = base64url();
+assert(/^[A-Za-z0-9_-]{21}[AQgw]$/.test(b64) && validate(b64).valid && Math.abs(extractTimestamp(b64) - Date.now()) < 5000,
+    `base64url() is 22 chars and accepted by validate()/extractTimestamp()`);
+assert(fromBase64url('AVY-OrXT1nZMYe-5kwK9Ww') === '01563e3a-b5d3-d676-4c61-efb99302bd5b', `fromBase64url() decodes RFC 4648 §5`);
+const b58 = base58();
+const b62 = base62();
+assert(/^[1-9A-HJ-NP-Za-km-z]{22}$/.test(b58) && validate(fromBase58(b58)).valid
+    && /^[0-9A-Za-z]{22}$/.test(b62) && validate(fromBase62(b62)).valid, `base58()/base62() are 22 chars and round-trip`);
+const refBytes = Uint8Array.from([1, 86, 62, 58, 181, 211, 214, 118, 76, 97, 239, 185, 147, 2, 189, 91]);
+const baseGen = new UUSIDGenerator();
+assert(baseGen.toBase58(refBytes) === '1AaLyDYFxmKZxXbNo18znE' && baseGen.toBase62(refBytes) === '02WP8qFtGJTkHk10j5u4aZ'
+    && fromBase62('02WP8qFtGJTkHk10j5u4aZ') === '01563e3a-b5d3-d676-4c61-efb99302bd5b', `Base58/Base62 match the server encoding`);
+const parsedV7 = parse(v7);
+assert(parsedV7.format === 'standard' && Object.entries(parsedV7.representations).every(([format, text]) => parse(text, { from: format }).canonical === v7)
+    && convert(`usr_${parsedV7.representations.base62}`, { from: 'base62' }) === v7, `parse()/convert() read every format back`);
+assert(convert('01ARZ3NDEKTSV4RRFFQ69G5FAV', { to: 'base62' }) === '02WP8qFtGJTkHk10j5u4aZ', `convert() matches the server encoding`);
+let needsFrom = null;
+try { parse('1Cg9cBpZCN9e53UJt1KPwv'); } catch (e) { needsFrom = e; }
+assert(needsFrom && needsFrom.message.includes('pass { from') && parse('1Cg9cBpZCN9e53UJt1KPwv', { from: 'base58' }).format === 'base58'
+    && parse(base64url()).format === 'base64url', `parse() detects Base64url and asks for { from } on Base58/Base62`);
+const rawId = generateBytes();
+assert(rawId instanceof Uint8Array && rawId.length === 16 && validate(fromBytes(rawId)).valid
+    && fromBytes(toBytes(v7)) === v7 && fromBigInt(toBigInt(v7)) === v7, `generateBytes()/toBytes()/toBigInt() round-trip`);
+const seededBytes = (n) => new Uint8Array(n).fill(7);
+const bytesGen = new UUSIDGenerator({ version: 7, random: seededBytes, now: () => 1700000000000, nodeId: 'a1b2c3d4e5f6' });
+assert(fromBytes(bytesGen.generateBytes()) === '018bcfe5-6800-7000-8707-070707070707', `generateBytes() lays out v7 fields`);
+const checkedGen = new UUSIDGenerator({ checksum: true });
+const checked = checkedGen.generate();
+const swapped = `${checked[1]}${checked[0]}${checked.substring(2)}`;
+assert(checked.length === 37 && checkedGen.validate(checked).valid && checkedGen.validate(checkedGen.base32()).valid
+    && (checked[0] === checked[1] || !validate(swapped, { checksum: true }).valid)
+    && addChecksum(stripChecksum(checked)) === checked, `checksum: true appends a Damm check character`);
+assert(checkedGen.validate(checkedGen.compact()).valid && validate(checkedGen.base64url()).valid, `checksummed compact IDs validate and base64url() drops the check character`);
+assert(addChecksum('01563e3a-b5d3-d676-4c61-efb99302bd5b') === '01563e3a-b5d3-d676-4c61-efb99302bd5be'
+    && checkedGen.stripChecksum('AFLD4OVV2PLHMTDB564ZGAV5LMG') === 'AFLD4OVV2PLHMTDB564ZGAV5LM', `check characters match the server entry`);
+const objectGen = new UUSIDGenerator({ version: 7, now: () => 1700000000000 });
+const objects = [objectGen.generateObject(), objectGen.generateObject()];
+const reparsed = UUSID.parse(String(objects[1]), { generator: objectGen });
+assert(objects[0].compare(reparsed) === -1 && reparsed.equals(objects[1]) && reparsed.sequence === objects[1].sequence
+    && objects[0].timestamp === 1700000000000 && JSON.stringify([objects[0]]) === `["${objects[0]}"]`, `generateObject() returns ordered UUSID values`);
+const valueObject = UUSID.parse('01a14eb9-d435-7000-8051-1a159e83c6f9');
+assert(Object.isFrozen(valueObject) && valueObject.toString('base62') === '034i1VoLzUqxLzggaNbZ8r'
+    && generateObject().node === generateObject().node, `UUSID.parse() and toString(format) match the server entry`);
+const registry = new PrefixRegistry().register('user', { prefix: 'usr', format: 'base58' }).register('order', { prefix: 'ord' });
+const registryId = registry.generate('user');
+assert(/^usr_[1-9A-HJ-NP-Za-km-z]{22}$/.test(registryId) && registry.parse(registryId).type === 'user'
+    && registry.is('order', registry.generate('order')) && !registry.is('user', 'ord_x'), `PrefixRegistry generates and parses typed prefixes`);
+const shortRegistry = new PrefixRegistry().register('invite', { prefix: 'inv', format: 'short', length: 10 });
+assert(/^inv_[0-9A-Za-z]{10}$/.test(shortRegistry.generate('invite')) && !shortRegistry.is('invite', 'inv_abc'), `PrefixRegistry short entities have their registered length`);
+let shortCalls = 0;
+const skewedGen = new UUSIDGenerator({ random: (n) => Uint8Array.from({ length: n }, () => [62, 63, 5][shortCalls++ % 3]) });
+assert(/^[0-9A-Za-z]{12}$/.test(shortId()) && /^[ab]{10}$/.test(shortId({ length: 10, alphabet: 'ab' }))
+    && skewedGen.shortId({ length: 8 }) === '55555555', `shortId() rejects out-of-range bytes`);
+assert(safeLength({ count: 1e6 }) === 10 && Math.abs(collisionProbability({ length: 8, count: 1e6 }) - 0.0022874) < 1e-6,
+    `safeLength()/collisionProbability() size IDs from volume`);
 assert(typeof compact() === 'string' && !compact().includes('-'), `compact() has no separators`);
 assert(hierarchical().split('.').length === 3, `hierarchical() returns 3-level dotted id`);
 
@@ -65,6 +208,81 @@ assert(typeof contentId === 'string' && contentId.length === 36, `fromContent()
 const contentId2 = await fromContent('hello@example.com');
 assert(contentId === contentId2, `fromContent() is deterministic for same input`);
 
+const rfcIds = await Promise.all(['v3', 'v5', 'v8'].map(rfc => fromContent('www.example.com', { rfc, namespace: 'DNS' })));
+assert(rfcIds.join() === [
+    '5df41881-3aed-3515-88a7-2f4a814cf09e',
+    '2ed6657d-e927-568b-95e1-2665a8aea6a2',
+    '5c146b14-3c52-8afd-938a-375d0df1fbf6'
+].join(), `fromContent({ rfc }) matches RFC v3/v5/v8 reference values`);
+
+let frozenNow = Date.now();
+const asyncGen = new UUSIDGenerator();
+asyncGen.readClock = () => ({ ms: frozenNow, subMs: 0 });
+asyncGen.generate();
+asyncGen.sequenceCounter = 0x3fff;
+setTimeout(() => { frozenNow += 1; }, 5);
+const asyncId = await asyncGen.generateAsync();
+assert(extractTimestamp(asyncId) === frozenNow, `generateAsync() yields until the next tick instead of spinning`);
+assert(new Set(await new UUSIDGenerator().generateBatchAsync(100)).size === 100, `generateBatchAsync() returns unique ids`);
+
+const seeded = (seed) => (n) => Uint8Array.from({ length: n }, () => (seed = (seed * 1103515245 + 12345) >>> 0) >>> 24);
+const fakeNow = Date.parse('2030-01-01T00:00:00Z');
+const seededIds = [1, 2].map(() => new UUSIDGenerator({ version: 7, random: seeded(7), now: () => fakeNow }).generateBatch(3).join());
+assert(seededIds[0] === seededIds[1], `seeded random + fake clock give reproducible ids`);
+assert(extractTimestamp(seededIds[0].split(',')[0]) === fakeNow, `timestamps come from options.now`);
+
+const nodeInfo = new UUSIDGenerator().getNodeInfo();
+assert(nodeInfo.strategy === 'random' && nodeInfo.multicast, `default node id is random with the multicast bit`);
+assert(new UUSIDGenerator({ nodeId: '02:00:00:ab:cd:ef' }).nodeId === '020000abcdef', `explicit node id is normalised`);
+let macRejected = false;
+try { new UUSIDGenerator({ nodeIdStrategy: 'mac' }); } catch { macRejected = true; }
+assert(macRejected, `mac strategy is rejected in the browser`);
+
+const snowflake = new SnowflakeGenerator({ datacenterId: 1, workerId: 2 });
+const flakes = snowflake.generateBatch(1000);
+assert(typeof flakes[0] === 'bigint' && new Set(flakes).size === 1000, `SnowflakeGenerator returns unique bigints`);
+const flakeParts = decodeSnowflake(flakes[0]);
+assert(flakeParts.datacenterId === 1 && flakeParts.workerId === 2, `decodeSnowflake() recovers datacenter and worker`);
+assert(snowflake.validate(String(flakes[0])).valid && snowflake.analyze(flakes).valid === 1000, `snowflake ids validate and analyze`);
+assert(!('compact' in snowflake) && !('base64url' in snowflake), `SnowflakeGenerator has no UUID formatting methods`);
+
+const ulidValue = ulid();
+assert(validate(ulidValue).version === 'ulid' && extractTimestamp(ulidValue) === decodeUlid(ulidValue).timestamp, `ulid() is detected by validate() and extractTimestamp()`);
+assert(ulidToUuid('01ARZ3NDEKTSV4RRFFQ69G5FAV') === '01563e3a-b5d3-d676-4c61-efb99302bd5b', `ulidToUuid() keeps the 128 bits`);
+assert(uuidToUlid('01563e3a-b5d3-d676-4c61-efb99302bd5b') === '01ARZ3NDEKTSV4RRFFQ69G5FAV', `uuidToUlid() round-trips`);
+const nextUlid = monotonicUlid();
+const ulidBurst = Array.from({ length: 500 }, () => nextUlid());
+assert(ulidBurst.every((value, i) => i === 0 || value > ulidBurst[i - 1]), `monotonicUlid() is strictly increasing`);
+assert(analyze([ulidValue, uusid()]).formats.ulid === 1, `analyze() counts ULIDs in mixed sets`);
+
+const ksuidValue = ksuid();
+assert(/^[0-9A-Za-z]{27}$/.test(ksuidValue) && Math.abs(parseKsuid(ksuidValue).timestamp - Date.now()) < 5000, `ksuid() encodes the current second`);
+assert(parseKsuid('0ujtsYcgvSTl8PAuAdqWYSMnLOv').payload === 'b5a1cd34b5f99d1154fb6853345c9735', `parseKsuid() matches the reference KSUID`);
+assert(ksuidPrev(ksuidNext(ksuidValue)) === ksuidValue, `ksuidNext()/ksuidPrev() are inverses`);
+
+const epochGen = new UUSIDGenerator({ epoch: '2024-01-01' });
+const epochId = epochGen.generate();
+assert(Math.abs(epochGen.extractTimestamp(epochId) - Date.now()) < 5000, `extractTimestamp() honours a custom epoch`);
+let wrapped = null;
+try { new UUSIDGenerator({ version: 7, epoch: -8.64e15 }).generate(); } catch (e) { wrapped = e; }
+assert(wrapped && /48-bit/.test(wrapped.message), `timestamps that overflow their field throw instead of wrapping`);
+let fixedWidth = null;
+try { new UUSIDGenerator({ timestampBits: 40 }); } catch (e) { fixedWidth = e; }
+assert(fixedWidth && /SnowflakeGenerator/.test(fixedWidth.message), `UUID generators reject timestampBits`);
+
+const sharedOptions = { nodeId: '02aabbccddee', clockSeq: 42, now: () => fakeNow };
+const sharedIds = [new UUSIDGenerator(sharedOptions), new UUSIDGenerator(sharedOptions)]
+    .flatMap(g => g.generateBatch(20)).concat(uusidBatch(20, sharedOptions));
+assert(new Set(sharedIds).size === sharedIds.length, `generators with the same nodeId and clockSeq share one sequence`);
+const monoGens = [1, 2, 3].map(() => new UUSIDGenerator({ version: 6, monotonic: true, now: () => fakeNow }));
+const monoIds = Array.from({ length: 30 }, (_, i) => monoGens[i % 3].generate());
+assert(monoIds.every((id, i) => i === 0 || id > monoIds[i - 1]), `monotonic: true orders IDs across generators`);
+const slotted = new UUSIDGenerator({ nodeSlot: 258 });
+assert(slotted.nodeId.endsWith('0102') && slotted.getNodeInfo().slot === 258, `nodeSlot fills the low 16 bits of the node ID`);
+let leaseErr = null;
+try { new UUSIDGenerator({ leaseDir: '/tmp' }); } catch (e) { leaseErr = e; }
+assert(leaseErr && /server entry/.test(leaseErr.message), `node slot leases are rejected in the browser`);
+
 // --- prefixed ---
 const pgen = new PrefixedGenerator('user');
 const pid = pgen.generate();
@@ -78,6 +296,9 @@ assert(typeof encId === 'string' && encId.includes(':'), `EncryptedGenerator.gen
 const decoded = await enc.decrypt(encId);
 const decValidation = enc.validate(decoded);
 assert(decValidation.valid, `decrypt() round-trips to a valid uusid`);
+let encBase58Error = null;
+try { enc.base58(); } catch (e) { encBase58Error = e; }
+assert(encBase58Error && encBase58Error.message.includes('no 16-byte form'), `EncryptedGenerator.base58() throws rather than encode the IV`);
 
 // --- health check ---
 const hc = await healthCheck();
@@ -1,35 +1,95 @@
 const {
     uusid,
     uusidBatch,
+    uusidV7,
     createGenerator,
     createPrefixedGenerator,
+    createPrefixRegistry,
     createEncryptedGenerator,
+    createSnowflakeGenerator,
+    decodeSnowflake,
+    ulid,
+    monotonicUlid,
+    decodeUlid,
+    ulidToUuid,
+    uuidToUlid,
+    ksuid,
+    parseKsuid,
+    ksuidNext,
+    ksuidPrev,
     createWorkerPool,
     validate,
     extractTimestamp,
     isInTimeRange,
+    toV6,
+    toV1,
     analyze,
     getMetrics,
     healthCheck,
+    serveNodeSlots,
+    requestNodeSlot,
     base32,
+    fromBase32,
     urlSafe,
+    base64url,
+    fromBase64url,
+    base58,
+    fromBase58,
+    base62,
+    fromBase62,
+    shortId,
+    collisionProbability,
+    safeLength,
+    parse,
+    convert,
+    toBytes,
+    fromBytes,
+    toBigInt,
+    fromBigInt,
+    generateBytes,
+    addChecksum,
+    stripChecksum,
+    generateObject,
     compact,
     hierarchical,
     fromContent,
-    UUSIDGenerator
+    NAMESPACES,
+    UUSIDGenerator,
+    UUSID,
+    ClockRegressionError,
+    SequenceOverflowError
 } = require('./index.js');
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// fs.rmSync needs Node 14.14; the package supports 14.0
+const removeDir = (dir) => (fs.rmSync ? fs.rmSync(dir, { recursive: true, force: true }) : fs.rmdirSync(dir, { recursive: true }));
+
 console.log('🧪 Enhanced UUSID Test Suite\n');
 
 // Test counter
 let tests = 0;
 let passed = 0;
 
+// Tests returning a promise are settled before the summary is printed
+const pending = [];
+
 function test(name, fn) {
     tests++;
     try {
         console.log(`⚡ ${name}`);
-        fn();
+        const result = fn();
+        if (result && typeof result.then === 'function') {
+            pending.push(result.then(() => {
+                console.log(`  ✅ PASS (async): ${name}\n`);
+                passed++;
+            }, (error) => {
+                console.log(`  ❌ FAIL (async): ${name}: ${error.message}\n`);
+            }));
+            return;
+        }
         console.log('  ✅ PASS\n');
         passed++;
     } catch (error) {
@@ -66,6 +126,69 @@ test('Batch Generation', () => {
     }
 });
 
+test('UUIDv7 Generation', () => {
+    const id = uusidV7();
+    console.log(`  UUIDv7: ${id}`);
+
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(id)) {
+        throw new Error('Should carry version 7 and RFC variant bits');
+    }
+
+    const generator = createGenerator({ version: 7 });
+    const batch = generator.generateBatch(1000);
+    const sorted = [...batch].sort();
+    if (batch.some((value, i) => value !== sorted[i])) {
+        throw new Error('UUIDv7 batch should sort lexicographically in generation order');
+    }
+
+    const before = Date.now();
+    const fresh = uusidV7();
+    const extracted = extractTimestamp(fresh);
+    if (extracted < before || extracted > Date.now()) {
+        throw new Error('Extracted UUIDv7 timestamp should be within generation window');
+    }
+
+    const validation = validate(fresh);
+    if (!validation.valid || validation.uuidVersion !== 7) {
+        throw new Error('validate() should recognise UUIDv7');
+    }
+});
+
+test('UUIDv6 Generation and Conversion', () => {
+    const generator = createGenerator({ version: 6 });
+    const id = generator.generate();
+    console.log(`  UUIDv6: ${id}`);
+
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-6[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(id)) {
+        throw new Error('Should carry version 6 and RFC variant bits');
+    }
+    if (!id.endsWith(generator.nodeId)) {
+        throw new Error('v6 should keep the generator node field');
+    }
+
+    const v1 = uusid();
+    const v6 = toV6(v1);
+    console.log(`  ${v1} -> ${v6}`);
+
+    if (toV1(v6) !== v1) {
+        throw new Error('toV1(toV6(id)) should round-trip losslessly');
+    }
+    if (extractTimestamp(v6) !== extractTimestamp(v1)) {
+        throw new Error('v1 and v6 layouts should decode to the same timestamp');
+    }
+    if (toV6(v6) !== v6) {
+        throw new Error('toV6() should leave v6 IDs unchanged');
+    }
+
+    const older = toV6(uusid({ clockSeq: 1 }));
+    const stamp = Date.now();
+    while (Date.now() === stamp) { /* wait for the next millisecond */ }
+    const newer = toV6(uusid({ clockSeq: 1 }));
+    if (!(older < newer)) {
+        throw new Error('v6 IDs should sort by creation time');
+    }
+});
+
 // Enhanced Format Tests
 test('Base32 Format', () => {
     const id = base32();
@@ -78,6 +201,43 @@ test('Base32 Format', () => {
     if (!/^[A-Z2-7]+$/.test(id)) {
         throw new Error('Should contain only base32 characters');
     }
+    if (!validate(id).valid || Math.abs(extractTimestamp(id) - Date.now()) > 5000) {
+        throw new Error('validate() and extractTimestamp() should accept RFC 4648 Base32');
+    }
+    if (fromBase32('AFLD4OVV2PLHMTDB564ZGAV5LM') !== '01563e3a-b5d3-d676-4c61-efb99302bd5b') {
+        throw new Error('fromBase32() should decode RFC 4648 to the canonical form');
+    }
+});
+
+test('Crockford Base32 Format', () => {
+    const reference = '01563e3a-b5d3-d676-4c61-efb99302bd5b';
+    if (fromBase32('01ARZ3-NDEKT-SV4RR-FFQ69-G5FAV') !== reference) {
+        throw new Error('Crockford IDs should decode like the equivalent ULID');
+    }
+    // Read over the phone: any case, I/L for 1, O for 0
+    if (fromBase32('oLarz3-ndekt-sv4rr-ffq69-g5fav') !== reference) {
+        throw new Error('Crockford decoding should ignore case and map I/L/O');
+    }
+
+    const id = base32({ encoding: 'crockford', checkSymbol: true });
+    console.log(`  Crockford ID: ${id}`);
+    if (!/^[0-9A-HJKMNP-TV-Z]{6}(-[0-9A-HJKMNP-TV-Z]{5}){3}-[0-9A-HJKMNP-TV-Z]{5}[0-9A-HJKMNP-Z*~$=]$/.test(id)) {
+        throw new Error('Should be hyphen-grouped Crockford symbols plus a check symbol');
+    }
+    if (!validate(id).valid || !validate(id.toLowerCase()).valid || Math.abs(extractTimestamp(id) - Date.now()) > 5000) {
+        throw new Error('validate() and extractTimestamp() should accept Crockford Base32');
+    }
+
+    // Change one symbol: the mod-37 check symbol no longer matches
+    const symbol = id[8] === '0' ? '1' : '0';
+    const typo = `${id.substring(0, 8)}${symbol}${id.substring(9)}`;
+    const result = validate(typo);
+    if (result.valid || !result.reason.includes('Check symbol')) {
+        throw new Error('A typo should fail the check symbol');
+    }
+    if (analyze([id, base32(), uusid()]).formats.base32 !== 2) {
+        throw new Error('analyze() should count both Base32 encodings');
+    }
 });
 
 test('URL-Safe Format', () => {
@@ -93,6 +253,440 @@ test('URL-Safe Format', () => {
     }
 });
 
+test('Base64url Format', () => {
+    const id = base64url();
+    console.log(`  Base64url ID: ${id}`);
+
+    if (!/^[A-Za-z0-9_-]{22}$/.test(id)) {
+        throw new Error('Should be 22 unpadded URL-safe Base64 characters');
+    }
+    if (fromBase64url('AVY-OrXT1nZMYe-5kwK9Ww') !== '01563e3a-b5d3-d676-4c61-efb99302bd5b') {
+        throw new Error('Should decode RFC 4648 §5 Base64url to the canonical form');
+    }
+    if (!validate(id).valid || Math.abs(extractTimestamp(id) - Date.now()) > 5000) {
+        throw new Error('validate() and extractTimestamp() should accept Base64url directly');
+    }
+    if (validate(`${id.substring(0, 21)}B`).valid) {
+        throw new Error('Non-zero padding bits should be rejected');
+    }
+    if (analyze([id, uusid()]).formats.base64url !== 1) {
+        throw new Error('analyze() should count Base64url IDs');
+    }
+});
+
+test('Base58 and Base62 Formats', () => {
+    const id58 = base58();
+    const id62 = base62();
+    console.log(`  Base58 ID: ${id58}`);
+    console.log(`  Base62 ID: ${id62}`);
+
+    if (!/^[1-9A-HJ-NP-Za-km-z]{22}$/.test(id58) || !/^[0-9A-Za-z]{22}$/.test(id62)) {
+        throw new Error('Should be 22 Base58 / Base62 characters');
+    }
+    if (fromBase58('1AaLyDYFxmKZxXbNo18znE') !== '01563e3a-b5d3-d676-4c61-efb99302bd5b'
+        || fromBase62('02WP8qFtGJTkHk10j5u4aZ') !== '01563e3a-b5d3-d676-4c61-efb99302bd5b') {
+        throw new Error('Should decode to the canonical form');
+    }
+    const gen = createGenerator();
+    const bytes = Buffer.from('01563e3ab5d3d6764c61efb99302bd5b', 'hex');
+    if (gen.toBase58(bytes) !== '1AaLyDYFxmKZxXbNo18znE' || gen.toBase62(bytes) !== '02WP8qFtGJTkHk10j5u4aZ') {
+        throw new Error('Should zero-pad to a fixed length');
+    }
+    if (!validate(fromBase58(id58)).valid || !validate(fromBase62(id62)).valid) {
+        throw new Error('Should round-trip to a valid ID');
+    }
+
+    const ids = Array.from({ length: 20 }, () => gen.base62());
+    const sorted = [...ids].sort().map(fromBase62);
+    if (sorted.join() !== ids.map(fromBase62).sort().join()) {
+        throw new Error('Base62 should sort in the same order as the hex IDs');
+    }
+    const ids58 = Array.from({ length: 20 }, () => gen.base58());
+    if ([...ids58].sort().map(fromBase58).join() !== ids58.map(fromBase58).sort().join()) {
+        throw new Error('Base58 should sort in the same order as the hex IDs');
+    }
+
+    for (const bad of ['0AaLyDYFxmKZxXbNo18znE', '1AaLyDYFxmKZxXbNo18zn', 'zzzzzzzzzzzzzzzzzzzzzz']) {
+        let threw = false;
+        try { fromBase58(bad); } catch (e) { threw = true; }
+        if (!threw) throw new Error(`Should reject ${bad}`);
+    }
+});
+
+test('Format Conversion and Parsing', () => {
+    const id = uusidV7();
+    const parsed = parse(id);
+    console.log(`  Parsed: ${parsed.format} v${parsed.version} ${new Date(parsed.timestamp).toISOString()}`);
+
+    if (parsed.format !== 'standard' || parsed.canonical !== id || Math.abs(parsed.timestamp - Date.now()) > 5000) {
+        throw new Error('Should parse a standard ID with its timestamp');
+    }
+    // Base58 and Base62 cannot be detected from their characters, so they need { from }
+    for (const [format, text] of Object.entries(parsed.representations)) {
+        const again = parse(text, { from: ['base58', 'base62'].includes(format) ? format : null });
+        if (again.canonical !== id || again.format !== (format === 'urlSafe' ? 'compact' : format)) {
+            throw new Error(`Should detect ${format} (${text}) and convert it back`);
+        }
+    }
+
+    // Every 22-character Base64url ID is detected; Base58 and Base62 round-trip with { from }
+    for (const version of [1, 6, 7]) {
+        // Fresh generators, so the IDs do not all share one node ID and clock sequence
+        for (let g = 0; g < 100; g++) {
+            const source = createGenerator({ version });
+            for (const original of source.generateBatch(10)) {
+                const detected = parse(source.convert(original, { to: 'base64url' }));
+                if (detected.format !== 'base64url' || detected.canonical !== original) {
+                    throw new Error(`Base64url ${original} should be detected and parse back`);
+                }
+                for (const format of ['base58', 'base62']) {
+                    if (parse(source.convert(original, { to: format }), { from: format }).canonical !== original) {
+                        throw new Error(`${format} ${original} should parse back with { from }`);
+                    }
+                }
+            }
+        }
+    }
+    for (const text of ['1Cg9cBpZCN9e53UJt1KPwv', '034i1VoLzUqxLzggaNbZ8r']) {
+        try {
+            parse(text);
+            throw new Error(`Should ask for { from } on ${text}`);
+        } catch (error) {
+            if (!error.message.includes("pass { from: 'base58' } or { from: 'base62' }")) {
+                throw error;
+            }
+        }
+    }
+
+    const custom = parse(`ord:${id.replace(/-/g, '_').toUpperCase()}`);
+    if (custom.format !== 'custom' || custom.prefix !== 'ord' || custom.separator !== '_' || custom.canonical !== id) {
+        throw new Error('Should strip a prefix and read a custom separator');
+    }
+    const userGen = createPrefixedGenerator('usr');
+    if (userGen.parse(userGen.generate()).prefix !== 'usr') {
+        throw new Error("Should recognise the generator's own prefix");
+    }
+
+    if (convert('01ARZ3NDEKTSV4RRFFQ69G5FAV', { to: 'base62' }) !== '02WP8qFtGJTkHk10j5u4aZ'
+        || convert('1AaLyDYFxmKZxXbNo18znE', { from: 'base58', to: 'custom', separator: ':' }) !== '01563e3a:b5d3:d676:4c61:efb99302bd5b'
+        || convert(parsed.representations.hierarchical) !== id) {
+        throw new Error('Should convert between formats');
+    }
+
+    for (const [input, options] of [['not-an-id', {}], [id, { to: 'hex' }], [id, { from: 'base58' }]]) {
+        let threw = false;
+        try { convert(input, options); } catch (e) { threw = true; }
+        if (!threw) throw new Error(`Should reject ${input} ${JSON.stringify(options)}`);
+    }
+});
+
+test('Binary and BigInt Representations', () => {
+    const bytes = generateBytes();
+    console.log(`  Bytes: ${bytes.toString('hex')}`);
+
+    if (!Buffer.isBuffer(bytes) || bytes.length !== 16 || !validate(fromBytes(bytes)).valid) {
+        throw new Error('generateBytes() should return 16 bytes of a valid ID');
+    }
+    const id = uusid();
+    if (fromBytes(toBytes(id)) !== id || fromBigInt(toBigInt(id)) !== id) {
+        throw new Error('Should round-trip through bytes and BigInt');
+    }
+    if (toBigInt('01563e3a-b5d3-d676-4c61-efb99302bd5b') !== 0x01563e3ab5d3d6764c61efb99302bd5bn
+        || fromBigInt(1n, { separator: '', prefix: 'id' }) !== 'id00000000000000000000000000000001') {
+        throw new Error('BigInt conversion should be big-endian and honour separator and prefix');
+    }
+    const view = new Uint8Array(32).subarray(16);
+    view.set(toBytes(id));
+    if (fromBytes(view, { separator: '_' }) !== id.replace(/-/g, '_')) {
+        throw new Error('fromBytes() should read a Uint8Array view at its offset');
+    }
+
+    const gen = createGenerator({ version: 6, monotonic: true });
+    const keys = Array.from({ length: 50 }, (_, i) => (i % 2 ? gen.generateBytes().toString('hex') : gen.generate().replace(/-/g, '')));
+    if (keys.some((key, i) => i > 0 && !(key > keys[i - 1]))) {
+        throw new Error('generateBytes() should share monotonic ordering with generate()');
+    }
+
+    for (const fn of [() => fromBytes(Buffer.alloc(15)), () => fromBigInt(1n << 128n), () => fromBigInt(-1n),
+        () => createEncryptedGenerator({ secretKey: 'k' }).generateBytes()]) {
+        let threw = false;
+        try { fn(); } catch (e) { threw = true; }
+        if (!threw) throw new Error(`Should throw: ${fn}`);
+    }
+
+    // The Base32/58/62 encoders still go through a subclass's own generate()
+    class FixedGenerator extends UUSIDGenerator {
+        generate() {
+            return '01563e3a-b5d3-d676-4c61-efb99302bd5b';
+        }
+    }
+    const fixed = new FixedGenerator();
+    if (fixed.base58() !== '1AaLyDYFxmKZxXbNo18znE' || fromBase32(fixed.base32()) !== fixed.generate()) {
+        throw new Error('base32()/base58() should encode the IDs of an overridden generate()');
+    }
+    const encrypted = createEncryptedGenerator({ secretKey: 'k' });
+    for (const format of ['base32', 'base58', 'base62']) {
+        try {
+            encrypted[format]();
+            throw new Error(`EncryptedGenerator.${format}() should throw`);
+        } catch (error) {
+            if (!error.message.includes('no 16-byte form')) {
+                throw error;
+            }
+        }
+    }
+});
+
+test('Checksummed IDs', () => {
+    const gen = createGenerator({ checksum: true });
+    const id = gen.generate();
+    console.log(`  Checksummed ID: ${id}`);
+
+    if (id.length !== 37 || !gen.validate(id).valid || !validate(id, { checksum: true }).valid) {
+        throw new Error('Should append one check character that validate() accepts');
+    }
+    if (validate(stripChecksum(id)).valid !== true || addChecksum(stripChecksum(id)) !== id) {
+        throw new Error('stripChecksum() and addChecksum() should be inverses');
+    }
+
+    // Every single-character typo and every adjacent swap must be caught
+    for (let i = 0; i < id.length; i++) {
+        if (id[i] === '-') {
+            continue;
+        }
+        for (const char of '0123456789abcdef') {
+            const typo = `${id.substring(0, i)}${char}${id.substring(i + 1)}`;
+            if (char !== id[i] && validate(typo, { checksum: true }).valid) {
+                throw new Error(`Missed typo at ${i}: ${typo}`);
+            }
+        }
+        const swap = `${id.substring(0, i)}${id[i + 1]}${id[i]}${id.substring(i + 2)}`;
+        if (id[i + 1] && id[i + 1] !== '-' && id[i] !== id[i + 1] && validate(swap, { checksum: true }).valid) {
+            throw new Error(`Missed swap at ${i}: ${swap}`);
+        }
+    }
+
+    const b32 = gen.base32();
+    const crockford = gen.base32({ encoding: 'crockford' });
+    const compactId = gen.compact();
+    const at = [...compactId].findIndex((char, i) => char !== compactId[i + 1]);
+    const compactSwap = `${compactId.substring(0, at)}${compactId[at + 1]}${compactId[at]}${compactId.substring(at + 2)}`;
+    if (b32.length !== 27 || !gen.validate(b32).valid || !gen.validate(crockford).valid || stripChecksum(compactId).length !== 32
+        || !gen.validate(compactId).valid || gen.validate(compactSwap).valid) {
+        throw new Error('Base32, Crockford and compact output should carry a check character that validate() checks');
+    }
+    const b64 = gen.base64url();
+    if (b64.length !== 22 || !validate(b64).valid) {
+        throw new Error('base64url() should encode the 16 bytes without the check character');
+    }
+    if (addChecksum('01563e3a-b5d3-d676-4c61-efb99302bd5b') !== '01563e3a-b5d3-d676-4c61-efb99302bd5be'
+        || gen.stripChecksum('AFLD4OVV2PLHMTDB564ZGAV5LMG') !== 'AFLD4OVV2PLHMTDB564ZGAV5LM') {
+        throw new Error('Should match the reference check characters');
+    }
+    const userGen = createPrefixedGenerator('usr', { checksum: true });
+    const userId = userGen.generate();
+    if (!userGen.validate(userId).valid || userGen.analyze([userId]).formats.prefixed !== 1) {
+        throw new Error('Prefixed IDs should carry a check character');
+    }
+    if (validate(id).valid || validate(uusid(), { checksum: true }).valid) {
+        throw new Error('validate() should only accept a check character when asked to');
+    }
+});
+
+test('ID Value Objects', () => {
+    const id = generateObject();
+    console.log(`  UUSID object: ${id}`);
+
+    if (!(id instanceof UUSID) || !Object.isFrozen(id) || !validate(String(id)).valid) {
+        throw new Error('generateObject() should return a frozen UUSID');
+    }
+    if (id.timestamp !== extractTimestamp(String(id)) || id.node !== String(id).slice(-12) || id.clockSeq === null) {
+        throw new Error('v1 getters should decode timestamp, node and clock sequence');
+    }
+    if (JSON.stringify({ id }) !== `{"id":"${id}"}` || `${id}` !== id.toString() || +id !== id.timestamp) {
+        throw new Error('Should serialise to its string and convert to its timestamp');
+    }
+
+    // Same millisecond: the v7 sequence orders the IDs and survives a round-trip through a string
+    const gen = createGenerator({ version: 7, now: () => 1700000000000 });
+    const batch = [gen.generateObject(), gen.generateObject(), gen.generateObject()];
+    const parsed = batch.map(value => UUSID.parse(value.toString(), { generator: gen }));
+    if (parsed.map(value => value.sequence).join() !== batch.map(value => value.sequence).join()
+        || batch[2].sequence - batch[0].sequence !== 2 || batch[0].timestamp !== 1700000000000) {
+        throw new Error('v7 sequence should be decoded from the bits');
+    }
+    const shuffled = [parsed[2], parsed[0], parsed[1]].sort((a, b) => a.compare(b));
+    if (!shuffled.every((value, i) => value.equals(batch[i])) || batch[0].compare(String(batch[1])) !== -1 || batch[1].compare(batch[1]) !== 0) {
+        throw new Error('compare() should follow time order');
+    }
+    if (!batch.every(value => value.equals(value.toString('base58'), { from: 'base58' }) && value.equals(value.toString('base32')))
+        || batch[0].equals(batch[1]) || batch[0].equals('not an id')) {
+        throw new Error('equals() should compare the bits of any readable form');
+    }
+    // Without { from }, a Base58 string may be this very ID: equals() must not answer false
+    try {
+        batch[0].equals(batch[0].toString('base58'));
+        throw new Error('equals() should ask for { from } on a Base58 string');
+    } catch (error) {
+        if (!error.message.includes('pass { from')) {
+            throw error;
+        }
+    }
+
+    // v1 stores the low time bits first; the later v1 ID must still sort after the v7 ones
+    if (id.compare(batch[0]) !== 1 || batch[0].compare(id) !== -1) {
+        throw new Error('IDs of different versions should compare by timestamp');
+    }
+
+    const value = UUSID.parse('01a14eb9-d435-7000-8051-1a159e83c6f9');
+    if (value.toString('base58') !== '1Cg9cBpZCN9e53UJt1KPwv' || value.version !== 7 || value.node !== null || value.prefix !== null) {
+        throw new Error('UUSID.parse() should read existing IDs');
+    }
+
+    // The sequence is the one this generator issued, even while another shares its state
+    const sharedOptions = { nodeId: '02aabbccddee', clockSeq: 7, now: () => 1700000000000 };
+    const [left, right] = [createGenerator(sharedOptions), createGenerator(sharedOptions)];
+    const interleaved = [left.generateObject(), right.generateObject(), left.generateObject(), right.generateObject()];
+    if (interleaved.map(value => value.sequence).join() !== '0,1,2,3') {
+        throw new Error('generateObject() should keep the sequence of the ID it issued');
+    }
+
+    // A subclass's own generate() is used; encrypted IDs have no object form
+    class FixedGenerator extends UUSIDGenerator {
+        generate() {
+            return '01563e3a-b5d3-d676-4c61-efb99302bd5b';
+        }
+    }
+    if (String(new FixedGenerator().generateObject()) !== '01563e3a-b5d3-d676-4c61-efb99302bd5b') {
+        throw new Error('generateObject() should wrap the IDs of an overridden generate()');
+    }
+    try {
+        createEncryptedGenerator({ secretKey: 'k' }).generateObject();
+        throw new Error('EncryptedGenerator.generateObject() should throw');
+    } catch (error) {
+        if (!error.message.includes('no 16-byte form')) {
+            throw error;
+        }
+    }
+
+    const userGen = createPrefixedGenerator('usr', { checksum: true });
+    const user = userGen.generateObject();
+    if (user.prefix !== 'usr' || !userGen.validate(String(user)).valid || !UUSID.parse(String(user), { generator: userGen }).equals(user)) {
+        throw new Error('Prefix and check character should survive toString() and UUSID.parse()');
+    }
+});
+
+test('Prefix Registry', () => {
+    const registry = createPrefixRegistry({ version: 7 })
+        .register('user', { prefix: 'usr', format: 'base62' })
+        .register('order', { prefix: 'ord' })
+        .register('invite', { prefix: 'inv', format: 'short', length: 10 });
+    const userId = registry.generate('user');
+    const orderId = registry.generate('order');
+    console.log(`  Registry IDs: ${userId}, ${orderId}`);
+
+    if (!/^usr_[0-9A-Za-z]{22}$/.test(userId) || !/^ord_[0-9a-f]{8}-/.test(orderId)) {
+        throw new Error('Should write each entity in its own prefix and format');
+    }
+    const user = registry.parse(userId);
+    if (user.type !== 'user' || user.prefix !== 'usr' || convert(user.id, { to: 'base62' }) !== userId.substring(4)
+        || registry.parse(orderId).type !== 'order' || !validate(registry.parse(orderId).id).valid) {
+        throw new Error('parse() should return the entity type and canonical ID');
+    }
+    if (!registry.is('user', userId) || registry.is('user', orderId) || registry.is('order', 'ord_123')) {
+        throw new Error('is() should check type and body');
+    }
+
+    const rejected = ['cus_02WP8qFtGJTkHk10j5u4aZ', 'usr_02WP8qFtGJTkHk10j5u4a', userId.replace('_', '-'), `usr_${orderId.substring(4)}`];
+    for (const id of rejected) {
+        try {
+            registry.parse(id);
+            throw new Error(`Should reject ${id}`);
+        } catch (error) {
+            if (error.message.startsWith('Should reject')) {
+                throw error;
+            }
+        }
+    }
+
+    // Short entities take their length from the registration; parse() returns the body as is
+    const invite = registry.generate('invite');
+    if (!/^inv_[0-9A-Za-z]{10}$/.test(invite) || registry.parse(invite).id !== invite.substring(4) || registry.is('invite', 'inv_abc')) {
+        throw new Error('Short entities should generate and parse IDs of their registered length');
+    }
+
+    // The generator's checksum and monotonic ordering apply to registry IDs too
+    const checked = createPrefixRegistry({ version: 7, checksum: true, monotonic: true }).register('user', { prefix: 'usr' });
+    const checkedIds = Array.from({ length: 20 }, () => checked.generate('user'));
+    const tampered = checkedIds[0].slice(0, -1) + (checkedIds[0].endsWith('0') ? '1' : '0');
+    if (!checkedIds.every(id => checked.is('user', id) && validate(id.substring(4), { checksum: true }).valid)
+        || checked.is('user', tampered) || checkedIds.some((id, i) => i > 0 && !(id > checkedIds[i - 1]))) {
+        throw new Error('Registry IDs should carry the check character and sort in generation order');
+    }
+
+    const conflicts = [
+        () => registry.register('customer', { prefix: 'usr' }),
+        () => registry.register('user', { prefix: 'acct' }),
+        () => registry.register('invoice', { prefix: 'in_v' }),
+        () => registry.register('invoice', { prefix: 'invc', format: 'base58', length: 16 }),
+        () => registry.register('invoice', { prefix: 'invc', format: 'short', length: 0 }),
+        () => checked.register('invite', { prefix: 'inv', format: 'short' }),
+        () => registry.generate('invoice'),
+        () => createPrefixRegistry({ separator: 'x' })
+    ];
+    for (const conflict of conflicts) {
+        let threw = false;
+        try {
+            conflict();
+        } catch (error) {
+            threw = true;
+        }
+        if (!threw) {
+            throw new Error('Duplicate or invalid registrations should throw');
+        }
+    }
+});
+
+test('Short IDs and Collision Sizing', () => {
+    const code = shortId({ length: 8 });
+    console.log(`  Short ID: ${shortId()}, share code: ${code}`);
+
+    if (!/^[0-9A-Za-z]{12}$/.test(shortId()) || !/^[0-9A-Za-z]{8}$/.test(code) || !/^[ab]{16}$/.test(shortId({ length: 16, alphabet: 'ab' }))) {
+        throw new Error('Should draw length symbols from the alphabet');
+    }
+
+    // 62 and 63 fall outside Base62 after masking; modulo reduction would map them to '0' and '1'
+    let calls = 0;
+    const skewed = createGenerator({ random: (n) => Uint8Array.from({ length: n }, () => [62, 63, 5][calls++ % 3]) });
+    if (skewed.shortId({ length: 20 }) !== '5'.repeat(20)) {
+        throw new Error('Out-of-range bytes should be rejected, not reduced');
+    }
+
+    const probability = collisionProbability({ length: 8, count: 1e6 });
+    if (Math.abs(probability - 0.0022874) > 1e-6 || collisionProbability({ count: 1 }) !== 0 || !(collisionProbability({ length: 22, count: 1e9 }) > 0)) {
+        throw new Error('collisionProbability() should follow the birthday bound');
+    }
+    const length = safeLength({ count: 1e6 });
+    if (length !== 10 || collisionProbability({ length, count: 1e6 }) > 1e-6 || collisionProbability({ length: length - 1, count: 1e6 }) <= 1e-6) {
+        throw new Error('safeLength() should return the shortest length within the risk');
+    }
+    if (safeLength({ count: 1e6, risk: 0.01, alphabet: '0123456789' }) !== 14 || safeLength({ count: 0 }) !== 1) {
+        throw new Error('safeLength() should account for the alphabet and risk');
+    }
+
+    for (const invalid of [() => shortId({ length: 0 }), () => shortId({ alphabet: 'aa' }), () => safeLength({ count: 10, risk: 1 }), () => collisionProbability({})]) {
+        let threw = false;
+        try {
+            invalid();
+        } catch (error) {
+            threw = true;
+        }
+        if (!threw) {
+            throw new Error('Invalid lengths, alphabets, risks and counts should throw');
+        }
+    }
+});
+
 test('Compact Format', () => {
     const id = compact();
     console.log(`  Compact ID: ${id}`);
@@ -173,6 +767,40 @@ test('Content-Based IDs', () => {
     }
 });
 
+test('RFC Name-Based IDs', () => {
+    // Reference values from RFC 9562 appendix A/B and other RFC implementations
+    const expected = {
+        v3: '5df41881-3aed-3515-88a7-2f4a814cf09e',
+        v5: '2ed6657d-e927-568b-95e1-2665a8aea6a2',
+        v8: '5c146b14-3c52-8afd-938a-375d0df1fbf6'
+    };
+
+    for (const rfc of Object.keys(expected)) {
+        const id = fromContent('www.example.com', { rfc, namespace: 'DNS' });
+        console.log(`  ${rfc}: ${id}`);
+        if (id !== expected[rfc]) {
+            throw new Error(`${rfc} should be ${expected[rfc]}`);
+        }
+        if (!validate(id, { strict: true }).valid) {
+            throw new Error(`${rfc} should carry RFC version and variant bits`);
+        }
+    }
+
+    const custom = fromContent('www.example.com', { rfc: 'v5', namespace: NAMESPACES.DNS });
+    if (custom !== expected.v5) {
+        throw new Error('Namespace UUIDs and standard names should be interchangeable');
+    }
+
+    try {
+        fromContent('x', { rfc: 'v5', namespace: 'not-a-uuid' });
+        throw new Error('Should reject non-UUID namespaces');
+    } catch (error) {
+        if (!error.message.includes('UUID namespace')) {
+            throw error;
+        }
+    }
+});
+
 // Encryption Tests
 test('Encrypted Generator', () => {
     const secretKey = 'my-super-secret-key-32-characters';
@@ -214,6 +842,38 @@ test('Enhanced Validation', () => {
     }
 });
 
+test('Strict RFC Validation', () => {
+    const ids = [uusid(), uusidV7(), createGenerator({ version: 6 }).generate()];
+    for (const id of ids) {
+        if (!validate(id, { strict: true }).valid) {
+            throw new Error(`Generated ID should pass strict validation: ${id}`);
+        }
+    }
+
+    // Sequence must wrap inside the 14-bit clock-seq field instead of hitting the variant bits
+    const generator = createGenerator({ clockSeq: 0x3fff });
+    const corrupted = generator.generateBatch(500).filter(id => !validate(id, { strict: true }).valid);
+    if (corrupted.length > 0) {
+        throw new Error(`Sequence overflowed into variant bits: ${corrupted[0]}`);
+    }
+
+    const id = uusid();
+    const badVariant = `${id.substring(0, 19)}c${id.substring(20)}`;
+    const result = validate(badVariant, { strict: true });
+    console.log(`  ${badVariant}: ${result.reason}`);
+    if (result.valid || result.bitErrors.length !== 1 || result.bitErrors[0].field !== 'variant' || result.bitErrors[0].actual !== '11') {
+        throw new Error('Should report the wrong variant bits');
+    }
+    if (!validate(badVariant).valid) {
+        throw new Error('Non-strict validation should stay lenient');
+    }
+
+    const wrongVersion = validate(id, { strict: true, version: 7 });
+    if (wrongVersion.valid || wrongVersion.bitErrors[0].field !== 'version' || wrongVersion.bitErrors[0].actual !== '0001') {
+        throw new Error('Should report the wrong version nibble');
+    }
+});
+
 // Timestamp Extraction Tests
 test('Timestamp Extraction', () => {
     const beforeTime = Date.now();
@@ -228,6 +888,34 @@ test('Timestamp Extraction', () => {
     }
 });
 
+test('High-Resolution Timestamps', () => {
+    const before = Date.now();
+    const generator = createGenerator({ version: 6, precision: 'high' });
+    const batch = generator.generateBatch(200);
+    const after = Date.now() + 1;
+
+    const timestamps = batch.map(id => extractTimestamp(id));
+    console.log(`  ${batch[0]} -> ${timestamps[0]}`);
+
+    if (timestamps.some(ts => ts < before || ts > after)) {
+        throw new Error('High-resolution timestamps should stay anchored to wall-clock time');
+    }
+    if (timestamps.every(ts => Number.isInteger(ts))) {
+        throw new Error('Should carry sub-millisecond precision');
+    }
+
+    const sorted = [...batch].sort();
+    if (batch.some((id, i) => id !== sorted[i])) {
+        throw new Error('High-resolution v6 IDs should sort in generation order');
+    }
+
+    const v7 = createGenerator({ version: 7, precision: 'high' }).generateBatch(200);
+    const v7Sorted = [...v7].sort();
+    if (v7.some((id, i) => id !== v7Sorted[i])) {
+        throw new Error('High-resolution v7 IDs should sort in generation order');
+    }
+});
+
 // Time Range Tests
 test('Time Range Validation', () => {
     const id = uusid();
@@ -281,12 +969,12 @@ test('Health Check', async () => {
     const health = await healthCheck();
     console.log(`  Health check:`, health);
 
-    if (health.status !== 'healthy') {
+    if (health.healthy !== true) {
         throw new Error('Generator should be healthy');
     }
 
-    if (!health.lastGenerated) {
-        throw new Error('Should have last generated ID');
+    if (!health.checks.validation || !health.checks.uniqueness) {
+        throw new Error('Validation and uniqueness checks should pass');
     }
 });
 
@@ -337,6 +1025,595 @@ test('Time Restrictions', () => {
     }
 });
 
+test('Clock Regression Handling', () => {
+    // Simulate an NTP step back by pretending the last ID was issued a minute from now
+    const generator = createGenerator({ clockSeq: 100 });
+    const first = generator.generate();
+    generator.lastTimestamp = Date.now() + 60000;
+    const second = generator.generate();
+    console.log(`  ${first} -> ${second}`);
+
+    if (generator.clockSeq === 100) {
+        throw new Error('Default policy should increment clockSeq');
+    }
+    if (generator.getMetrics().clockDrift !== 1) {
+        throw new Error('clockDrift metric should count the regression');
+    }
+
+    const strict = createGenerator({ clockRegression: 'throw' });
+    strict.generate();
+    strict.lastTimestamp = Date.now() + 60000;
+    try {
+        strict.generate();
+        throw new Error('Should throw on clock regression');
+    } catch (error) {
+        if (!(error instanceof ClockRegressionError) || error.drift <= 0) {
+            throw error;
+        }
+        console.log(`  ✓ ${error.name}: ${error.message}`);
+    }
+
+    const patient = createGenerator({ clockRegression: 'wait' });
+    patient.generate();
+    const target = Date.now() + 5;
+    patient.lastTimestamp = target;
+    patient.generate();
+    if (Date.now() < target) {
+        throw new Error('Wait policy should sit out the drift');
+    }
+
+    const v7 = createGenerator({ version: 7 });
+    const before = v7.generate();
+    v7.lastTimestamp += 60000;
+    const after = v7.generate();
+    if (!(after > before)) {
+        throw new Error('v7 IDs should stay monotonic across a clock regression');
+    }
+
+    // More IDs than one tick holds, 30s behind: the overflow must move on to the next tick, not spin
+    const held = v7.lastTimestamp + 30000;
+    v7.lastTimestamp = held;
+    const started = Date.now();
+    let previous = v7.generate();
+    for (let i = 0; i < 17000; i++) {
+        const next = v7.generate();
+        if (!(next > previous)) {
+            throw new Error('v7 IDs should stay monotonic past a sequence overflow during a regression');
+        }
+        previous = next;
+    }
+    if (Date.now() - started > 10000 || v7.lastTimestamp !== held + 1) {
+        throw new Error('Overflow during a v7 regression should advance the logical tick instead of waiting');
+    }
+});
+
+test('Persistent Generator State', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uusid-state-'));
+    const stateFile = path.join(dir, 'state.json');
+
+    try {
+        const first = createGenerator({ stateFile });
+        first.generateBatch(50);
+
+        // Restart straight away: the stored timestamp is still reserved, so clockSeq must move on
+        const restarted = createGenerator({ stateFile });
+        console.log(`  clockSeq ${first.clockSeq} -> ${restarted.clockSeq}`);
+        if (restarted.nodeId !== first.nodeId) {
+            throw new Error('Node ID should be restored from the state file');
+        }
+        if (restarted.clockSeq === first.clockSeq) {
+            throw new Error('clockSeq should bump when the stored timestamp is in the future');
+        }
+
+        // A state file from long ago keeps its clock sequence
+        const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        fs.writeFileSync(stateFile, JSON.stringify({ ...saved, lastTimestamp: Date.now() - 60000 }));
+        const later = createGenerator({ stateFile });
+        if (later.clockSeq !== saved.clockSeq) {
+            throw new Error('clockSeq should be reused when the stored timestamp is in the past');
+        }
+
+        // A live process saving again must not hand its older clockSeq to the next start
+        const live = createGenerator({ stateFile });
+        live.generateBatch(5);
+        const bumped = createGenerator({ stateFile });
+        const boundBefore = JSON.parse(fs.readFileSync(stateFile, 'utf8')).sequenceBound;
+        live.saveState();
+        const stored = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        const third = createGenerator({ stateFile });
+        if (stored.clockSeq !== bumped.clockSeq || stored.sequenceBound < boundBefore
+            || third.clockSeq === bumped.clockSeq || third.clockSeq === live.clockSeq) {
+            throw new Error('Saving should keep the newest clockSeq and the largest sequence bound');
+        }
+
+        // v7 IDs have no clockSeq: a restart resumes after the stored timestamp
+        const v7File = path.join(dir, 'v7.json');
+        createGenerator({ version: 7, stateFile: v7File }).generate();
+        const reserved = JSON.parse(fs.readFileSync(v7File, 'utf8')).lastTimestamp;
+        const resumed = createGenerator({ version: 7, stateFile: v7File }).generate();
+        if (extractTimestamp(resumed) < reserved) {
+            throw new Error('v7 generators should resume after the stored timestamp');
+        }
+
+        if (fs.readdirSync(dir).some(name => !name.endsWith('.json'))) {
+            throw new Error('Lock and temp files should be cleaned up');
+        }
+    } finally {
+        removeDir(dir);
+    }
+});
+
+test('Sequence Overflow Policies', () => {
+    // Freeze the clock so the whole sequence space is used up within one tick
+    const frozen = Date.now();
+    const freeze = (generator) => {
+        generator.readClock = () => ({ ms: frozen, subMs: 0 });
+        return generator;
+    };
+
+    const borrowing = freeze(createGenerator({ sequenceOverflow: 'borrow' }));
+    borrowing.generate();
+    borrowing.sequenceCounter = 0x3fff;
+    const borrowed = borrowing.generate();
+    const next = borrowing.generate();
+    console.log(`  Borrowed tick: ${borrowed}`);
+
+    if (extractTimestamp(borrowed) !== frozen + 1 || extractTimestamp(next) !== frozen + 1) {
+        throw new Error('Borrow policy should run ahead on the next tick');
+    }
+    if (borrowing.getMetrics().clockDrift !== 0) {
+        throw new Error('Borrowed ticks should not count as clock regressions');
+    }
+
+    const throwing = freeze(createGenerator({ sequenceOverflow: 'throw' }));
+    throwing.generate();
+    throwing.sequenceCounter = 0x3fff;
+    try {
+        throwing.generate();
+        throw new Error('Throw policy should raise SequenceOverflowError');
+    } catch (error) {
+        if (!(error instanceof SequenceOverflowError)) {
+            throw error;
+        }
+        console.log(`  ✓ ${error.name}: ${error.message}`);
+    }
+});
+
+test('Pluggable RNG and Clock', () => {
+    // Seeded byte generator so two generators draw the same random stream
+    const seeded = (seed) => (n) => {
+        const bytes = new Uint8Array(n);
+        for (let i = 0; i < n; i++) {
+            seed = (seed * 1103515245 + 12345) >>> 0;
+            bytes[i] = seed >>> 24;
+        }
+        return bytes;
+    };
+    let now = Date.parse('2030-01-01T00:00:00Z');
+    const clock = () => now;
+
+    const a = createGenerator({ version: 7, random: seeded(42), now: clock });
+    const b = createGenerator({ version: 7, random: seeded(42), now: clock });
+    const idsA = a.generateBatch(5);
+    const idsB = b.generateBatch(5);
+    console.log(`  Reproducible v7: ${idsA[0]}`);
+    if (idsA.join() !== idsB.join() || a.nodeId !== b.nodeId) {
+        throw new Error('Same seed and clock should give the same IDs');
+    }
+    if (extractTimestamp(idsA[0]) !== now) {
+        throw new Error('Timestamps should come from the injected clock');
+    }
+
+    const windowed = createGenerator({ now: clock, validAfter: now + 1000 });
+    try {
+        windowed.generate();
+        throw new Error('Should reject generation before validAfter');
+    } catch (error) {
+        if (!error.message.includes('before valid-after')) {
+            throw error;
+        }
+    }
+    now += 1000;
+    windowed.generate();
+
+    const regressing = createGenerator({ now: clock, clockRegression: 'throw' });
+    regressing.generate();
+    now -= 5000;
+    try {
+        regressing.generate();
+        throw new Error('Fake clock step back should be detected');
+    } catch (error) {
+        if (!(error instanceof ClockRegressionError) || error.drift !== 5000) {
+            throw error;
+        }
+    }
+
+    // A frozen clock never ticks: overflow borrows the next tick instead of spinning forever
+    const frozen = createGenerator({ version: 7, now: () => 1700000000000 });
+    const frozenIds = frozen.generateBatch(20000);
+    if (new Set(frozenIds).size !== 20000 || extractTimestamp(frozenIds[19999]) !== 1700000000001) {
+        throw new Error('Overflow on an injected clock should borrow the next tick');
+    }
+    const waiting = createGenerator({ now: clock, clockRegression: 'wait', maxClockWait: 50 });
+    waiting.generate();
+    now -= 10;
+    try {
+        waiting.generate();
+        throw new Error('Waiting on a frozen clock should give up');
+    } catch (error) {
+        if (!(error instanceof ClockRegressionError)) {
+            throw error;
+        }
+    }
+
+    try {
+        createGenerator({ random: () => new Uint8Array(1) });
+        throw new Error('Short random output should be rejected');
+    } catch (error) {
+        if (!error.message.includes('must return')) {
+            throw error;
+        }
+    }
+});
+
+test('Node ID Strategies', () => {
+    const info = createGenerator().getNodeInfo();
+    console.log(`  Default node info:`, info);
+    if (info.strategy !== 'random' || !info.multicast) {
+        throw new Error('Default node ID should be random with the multicast bit set');
+    }
+
+    const explicit = createGenerator({ nodeId: '02:00:00:AB:CD:EF' });
+    if (explicit.nodeId !== '020000abcdef' || explicit.getNodeInfo().strategy !== 'explicit') {
+        throw new Error('Explicit node IDs should be normalised');
+    }
+    try {
+        createGenerator({ nodeId: 'not-a-node' });
+        throw new Error('Invalid explicit node ID should be rejected');
+    } catch (error) {
+        if (!error.message.includes('Invalid nodeId')) {
+            throw error;
+        }
+    }
+
+    const hashed = createGenerator({ nodeIdStrategy: 'hostname-hash' });
+    if (hashed.nodeId !== createGenerator({ nodeIdStrategy: 'hostname-hash' }).nodeId || !hashed.getNodeInfo().multicast) {
+        throw new Error('Hostname hash should be stable and marked multicast');
+    }
+
+    process.env.UUSID_TEST_POD = 'api-7d9f-xk2p';
+    const fromEnv = createGenerator({ nodeIdStrategy: 'env', nodeIdEnv: 'UUSID_TEST_POD' });
+    delete process.env.UUSID_TEST_POD;
+    if (fromEnv.getNodeInfo().env !== 'UUSID_TEST_POD' || fromEnv.nodeId === hashed.nodeId) {
+        throw new Error('Env strategy should hash the named variable');
+    }
+
+    const mac = createGenerator({ nodeIdStrategy: 'mac' }).getNodeInfo();
+    if (!['mac', 'random'].includes(mac.strategy)) {
+        throw new Error('MAC strategy should report its source');
+    }
+});
+
+test('Snowflake IDs', () => {
+    const snowflake = createSnowflakeGenerator({ epoch: '2020-01-01', datacenterId: 3, workerId: 17 });
+    const ids = snowflake.generateBatch(5000);
+    console.log(`  Snowflake: ${ids[0]}`);
+
+    if (typeof ids[0] !== 'bigint' || ids[0] >= 2n ** 63n) {
+        throw new Error('Snowflake IDs should be positive 63-bit bigints');
+    }
+    if (new Set(ids).size !== ids.length || ids.some((id, i) => i > 0 && id <= ids[i - 1])) {
+        throw new Error('Snowflake IDs should be unique and increasing');
+    }
+
+    const parts = decodeSnowflake(ids[0], { epoch: '2020-01-01' });
+    if (parts.datacenterId !== 3 || parts.workerId !== 17 || Math.abs(parts.timestamp - Date.now()) > 5000) {
+        throw new Error('decodeSnowflake() should recover the fields');
+    }
+    if (!snowflake.validate(String(ids[0])).valid || snowflake.validate('12ab').valid) {
+        throw new Error('validate() should accept decimal strings and reject junk');
+    }
+    if (!snowflake.isInTimeRange(ids[0], Date.now() - 60000, Date.now() + 60000)) {
+        throw new Error('isInTimeRange() should work on Snowflake IDs');
+    }
+    const analysis = snowflake.analyze([ids[0], ids[1], String(ids[1])]);
+    if (analysis.valid !== 2 || analysis.duplicates !== 1) {
+        throw new Error('analyze() should treat a bigint and its string as the same ID');
+    }
+
+    // Narrow sequence field: 2 bits allow 4 IDs per millisecond
+    const frozen = Date.now();
+    const narrow = createSnowflakeGenerator({ bits: { sequence: 2 }, sequenceOverflow: 'throw', output: 'string', now: () => frozen });
+    const burst = narrow.generateBatch(4);
+    if (typeof burst[0] !== 'string' || narrow.decodeSnowflake(burst[3]).sequence !== 3) {
+        throw new Error('Sequence should fill the configured width');
+    }
+    try {
+        narrow.generate();
+        throw new Error('Fifth ID in the same millisecond should overflow');
+    } catch (error) {
+        if (!(error instanceof SequenceOverflowError)) {
+            throw error;
+        }
+    }
+
+    // UUID formatting methods would crash on integer IDs, so the generator does not have them
+    for (const method of ['compact', 'base64url', 'toV6', 'hierarchical', 'generateBytes', 'generateObject']) {
+        if (method in snowflake) {
+            throw new Error(`SnowflakeGenerator should not have ${method}()`);
+        }
+    }
+
+    try {
+        createSnowflakeGenerator({ workerId: 32 });
+        throw new Error('workerId wider than its field should be rejected');
+    } catch (error) {
+        if (!error.message.includes('workerId')) {
+            throw error;
+        }
+    }
+});
+
+test('ULID Support', () => {
+    const id = ulid();
+    console.log(`  ULID: ${id}`);
+    if (!/^[0-7][0-9A-HJKMNP-TV-Z]{25}$/.test(id) || Math.abs(decodeUlid(id).timestamp - Date.now()) > 5000) {
+        throw new Error('ulid() should encode the current time in Crockford Base32');
+    }
+
+    // Reference vector from the ULID spec tooling
+    if (ulidToUuid('01ARZ3NDEKTSV4RRFFQ69G5FAV') !== '01563e3a-b5d3-d676-4c61-efb99302bd5b' ||
+        uuidToUlid('01563E3A-B5D3-D676-4C61-EFB99302BD5B') !== '01ARZ3NDEKTSV4RRFFQ69G5FAV') {
+        throw new Error('ULID <-> UUID conversion should keep the same 128 bits');
+    }
+
+    const next = monotonicUlid();
+    const burst = Array.from({ length: 1000 }, () => next());
+    if (burst.some((value, i) => i > 0 && value <= burst[i - 1])) {
+        throw new Error('monotonicUlid() should be strictly increasing');
+    }
+
+    const mixed = [id, uusid(), id.toLowerCase(), 'ZZZZZZZZZZZZZZZZZZZZZZZZZZ'];
+    const analysis = analyze(mixed);
+    if (!validate(id.toLowerCase()).valid || validate(mixed[3]).valid) {
+        throw new Error('validate() should accept ULIDs case-insensitively and reject overflowing ones');
+    }
+    if (analysis.formats.ulid !== 2 || analysis.formats.standard !== 1 || analysis.invalid !== 1) {
+        throw new Error('analyze() should count ULIDs alongside UUIDs');
+    }
+    if (extractTimestamp(id) !== decodeUlid(id).timestamp) {
+        throw new Error('extractTimestamp() should detect ULIDs');
+    }
+});
+
+test('KSUID Support', () => {
+    const id = ksuid();
+    console.log(`  KSUID: ${id}`);
+    if (!/^[0-9A-Za-z]{27}$/.test(id) || Math.abs(parseKsuid(id).timestamp - Date.now()) > 5000) {
+        throw new Error('ksuid() should encode the current second in 27 Base62 chars');
+    }
+
+    // Reference KSUID from the segmentio/ksuid README
+    const reference = parseKsuid('0ujtsYcgvSTl8PAuAdqWYSMnLOv');
+    if (reference.timestamp !== Date.parse('2017-10-10T04:00:47Z') || reference.payload !== 'b5a1cd34b5f99d1154fb6853345c9735') {
+        throw new Error('parseKsuid() should decode the standard layout');
+    }
+    if (ksuidNext('0ujtsYcgvSTl8PAuAdqWYSMnLOv') !== '0ujtsYcgvSTl8PAuAdqWYSMnLOw' || ksuidPrev(ksuidNext(id)) !== id) {
+        throw new Error('ksuidNext()/ksuidPrev() should step through sort order');
+    }
+    if (ksuidNext('0ujtsYcgvSTl8PAuAdqWYSMnLOz') !== '0ujtsYcgvSTl8PAuAdqWYSMnLP0') {
+        throw new Error('ksuidNext() should carry into the next digit');
+    }
+
+    const custom = createGenerator({ ksuidEpoch: '2024-01-01', now: () => Date.parse('2024-01-01T00:01:40Z') });
+    const customId = custom.ksuid();
+    if (custom.parseKsuid(customId).timestamp !== Date.parse('2024-01-01T00:01:40Z') || !(customId < id)) {
+        throw new Error('Custom epochs should shift the 32-bit seconds field');
+    }
+    if (custom.getMetrics().totalGenerated !== 1) {
+        throw new Error('ksuid() should count towards metrics');
+    }
+});
+
+test('Custom Epoch and Timestamp Width', () => {
+    const epoch = '2024-01-01';
+    const generator = createGenerator({ epoch });
+    const id = generator.generate();
+    console.log(`  Custom-epoch ID: ${id}`);
+
+    if (Math.abs(generator.extractTimestamp(id) - Date.now()) > 5000) {
+        throw new Error('extractTimestamp() should decode with the configured epoch');
+    }
+    if (!generator.isInTimeRange(id, Date.now() - 60000, Date.now() + 60000) || isInTimeRange(id, Date.now() - 60000, Date.now() + 60000)) {
+        throw new Error('isInTimeRange() should honour the epoch only on the configured generator');
+    }
+
+    const v7 = createGenerator({ version: 7, epoch });
+    const v7Id = v7.generate();
+    if (!v7Id.startsWith('00') || Math.abs(v7.extractTimestamp(v7Id) - Date.now()) > 5000) {
+        throw new Error('v7 should count milliseconds from the custom epoch');
+    }
+
+    // 48 bits of milliseconds last about 8900 years, so an epoch at the start of Date's range overflows
+    try {
+        createGenerator({ version: 7, epoch: -8.64e15 }).generate();
+        throw new Error('Overflowing timestamps should throw instead of wrapping');
+    } catch (error) {
+        if (!error.message.includes('48-bit')) {
+            throw error;
+        }
+    }
+    try {
+        createGenerator({ epoch: Date.now() + 86400000 }).generate();
+        throw new Error('Times before the epoch should be rejected');
+    } catch (error) {
+        if (!error.message.includes('before the epoch')) {
+            throw error;
+        }
+    }
+    // UUID timestamp fields have a fixed width; only Snowflake IDs can resize theirs
+    try {
+        createGenerator({ version: 7, timestampBits: 40 });
+        throw new Error('UUID generators should reject timestampBits');
+    } catch (error) {
+        if (!error.message.includes('SnowflakeGenerator')) {
+            throw error;
+        }
+    }
+    if (createSnowflakeGenerator({ timestampBits: 40 }).engine.bits.timestamp !== 40) {
+        throw new Error('timestampBits should set the Snowflake timestamp width');
+    }
+});
+
+test('Process-Wide Sequence and Monotonic Ordering', () => {
+    // A frozen clock makes every ID fall into the same tick
+    const frozen = Date.parse('2031-01-01T00:00:00Z');
+    const options = { nodeId: '02aabbccddee', clockSeq: 42, now: () => frozen };
+    const a = createGenerator(options);
+    const b = createGenerator(options);
+    const shared = [];
+    for (let i = 0; i < 100; i++) {
+        shared.push(a.generate(), b.generate(), uusid(options));
+    }
+    shared.push(...uusidBatch(50, options));
+    console.log(`  Shared-state IDs: ${shared[0]}, ${shared[1]}`);
+    if (new Set(shared).size !== shared.length) {
+        throw new Error('Generators with the same nodeId and clockSeq should share one sequence');
+    }
+
+    // Distinct node IDs in the same tick sort by node, not by issue order, unless monotonic
+    for (const version of [1, 6, 7]) {
+        const generators = [1, 2, 3].map(() => createGenerator({ version, monotonic: true, now: () => frozen }));
+        const ids = [];
+        for (let i = 0; i < 100; i++) {
+            ids.push(generators[i % 3].generate());
+        }
+        const keys = version === 1 ? ids.map(id => toV6(id)) : ids;
+        if (keys.some((key, i) => i > 0 && key <= keys[i - 1])) {
+            throw new Error(`Monotonic v${version} IDs should increase across generators`);
+        }
+    }
+
+    // Pruning the registry must keep an idle entry held ahead of the clock. The sentinel's
+    // entry is idle and in the past, so once it is replaced a scan has run
+    const ahead = createGenerator({ version: 7 });
+    ahead.generate();
+    ahead.lastTimestamp = Date.now() + 60000;
+    const held = ahead.generate();
+    const sentinel = createGenerator({ nodeId: '02ffffffffff', clockSeq: 7 });
+    sentinel.generate();
+    const sentinelState = sentinel.bindSequence();
+    ahead.bindSequence().touchedAt -= 2000;
+    sentinelState.touchedAt -= 2000;
+    sentinelState.lastTimestamp -= 2000;
+    for (let i = 0; i < 16384 && sentinel.bindSequence() === sentinelState; i++) {
+        uusid({ nodeId: '02eeeeeeeeee', clockSeq: i });
+    }
+    if (sentinel.bindSequence() === sentinelState || !(ahead.generate() > held)) {
+        throw new Error('Pruning should drop idle entries in the past but keep those held ahead of the clock');
+    }
+
+    const workers = [1, 2].map(workerId => createSnowflakeGenerator({ workerId, monotonic: true }));
+    const snowflakes = Array.from({ length: 50 }, (_, i) => workers[1 - i % 2].generate());
+    if (snowflakes.some((id, i) => i > 0 && id <= snowflakes[i - 1])) {
+        throw new Error('Monotonic Snowflake IDs should increase across workers');
+    }
+});
+
+test('Node Slot Leases', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uusid-leases-'));
+    const leaseFile = (slot) => path.join(dir, `node-slot-${slot}.lease`);
+
+    try {
+        // Same MAC address, distinct slots in the low 16 bits
+        const a = createGenerator({ nodeIdStrategy: 'mac', leaseDir: dir });
+        const b = createGenerator({ nodeIdStrategy: 'mac', leaseDir: dir });
+        console.log(`  Leased node IDs: ${a.nodeId}, ${b.nodeId}`);
+        if (a.nodeSlot !== 0 || b.nodeSlot !== 1 || !b.nodeId.endsWith('0001') || b.getNodeInfo().slot !== 1) {
+            throw new Error('Each generator should lease the lowest free slot');
+        }
+
+        // Renewal extends the lease; a lease taken over while lapsed moves the generator to a new slot
+        const { expiresAt } = JSON.parse(fs.readFileSync(leaseFile(1), 'utf8'));
+        b.lease.renewAt = 0;
+        b.generate();
+        if (!(JSON.parse(fs.readFileSync(leaseFile(1), 'utf8')).expiresAt >= expiresAt)) {
+            throw new Error('Leases should be renewed while in use');
+        }
+        fs.writeFileSync(leaseFile(1), JSON.stringify({ pid: 1, owner: 'other', expiresAt: Date.now() + 60000 }));
+        b.lease.renewAt = 0;
+        b.generate();
+        if (b.nodeSlot !== 2) {
+            throw new Error('A lost lease should be replaced by a new slot');
+        }
+
+        // Released and expired leases are free again
+        a.releaseNodeSlot();
+        fs.writeFileSync(leaseFile(1), JSON.stringify({ pid: 1, owner: 'crashed', expiresAt: Date.now() - 1 }));
+        const reused = [createGenerator({ leaseDir: dir }), createGenerator({ leaseDir: dir })];
+        if (reused[0].nodeSlot !== 0 || reused[1].nodeSlot !== 1) {
+            throw new Error('Released and expired slots should be leased again');
+        }
+        [b, ...reused].forEach(generator => generator.releaseNodeSlot());
+        if (fs.readdirSync(dir).length !== 0) {
+            throw new Error('Released leases and lock files should be removed');
+        }
+    } finally {
+        removeDir(dir);
+    }
+
+    const pool = createWorkerPool({ workers: 3 });
+    if (pool.generators.map(generator => generator.nodeSlot).join() !== '0,1,2') {
+        throw new Error('Worker pool generators should each get their own slot');
+    }
+
+    // Wire a fake cluster primary to this process's IPC hooks
+    const EventEmitter = require('events');
+    const cluster = new EventEmitter();
+    const worker = { id: 7, send: (message) => setImmediate(() => process.emit('message', message)) };
+    const owners = serveNodeSlots(cluster);
+    process.send = (message) => cluster.emit('message', worker, message);
+    try {
+        const slots = await Promise.all([requestNodeSlot(), requestNodeSlot()]);
+        console.log(`  Cluster slots: ${slots.join(', ')}`);
+        if (slots.join() !== '0,1' || owners.get(1) !== 7) {
+            throw new Error('The primary should hand out distinct slots');
+        }
+        cluster.emit('exit', worker);
+        if (owners.size !== 0) {
+            throw new Error('Slots should be freed when their worker exits');
+        }
+    } finally {
+        delete process.send;
+    }
+});
+
+test('Non-Blocking Async Generation', async () => {
+    let now = Date.now();
+    const generator = createGenerator();
+    generator.readClock = () => ({ ms: now, subMs: 0 });
+    generator.generate();
+    generator.sequenceCounter = 0x3fff;
+
+    // Only a timer can advance the frozen clock, so this resolves only if generateAsync() yields
+    let ticked = false;
+    setTimeout(() => {
+        now += 1;
+        ticked = true;
+    }, 5);
+
+    const id = await generator.generateAsync();
+    console.log(`  Async ID after exhaustion: ${id}`);
+    if (!ticked || extractTimestamp(id) !== now) {
+        throw new Error('generateAsync() should wait for the next tick without blocking');
+    }
+
+    const batch = await createGenerator().generateBatchAsync(100);
+    if (batch.length !== 100 || new Set(batch).size !== 100) {
+        throw new Error('generateBatchAsync() should return unique IDs');
+    }
+});
+
 // Custom Separator Tests
 test('Custom Separators', () => {
     const generator = createGenerator({ separator: '_' });
@@ -375,12 +1652,14 @@ test('Performance Benchmark', () => {
 });
 
 // Summary
-console.log(`📊 Test Results: ${passed}/${tests} tests passed`);
-
-if (passed === tests) {
-    console.log('🎉 All tests passed! UUSID library is working correctly.');
-    process.exit(0);
-} else {
-    console.log('❌ Some tests failed. Please check the implementation.');
-    process.exit(1);
-}
+Promise.all(pending).then(() => {
+    console.log(`📊 Test Results: ${passed}/${tests} tests passed`);
+
+    if (passed === tests) {
+        console.log('🎉 All tests passed! UUSID library is working correctly.');
+        process.exit(0);
+    } else {
+        console.log('❌ Some tests failed. Please check the implementation.');
+        process.exit(1);
+    }
+});